@@ -1,187 +1,344 @@
 /**
  * api.js
  * Handles all interactions with external APIs, specifically Tank01 for NFL player data.
+ * Raw requests go through the active data provider (live Tank01/ESPN, or recorded fixtures).
  */
-import { getCachedData, setCachedData } from './utils.js';
+import { cached, clearCache } from './cache.js';
+import { fixtureProvider } from './fixtureProvider.js';
+import { calculateFantasyPoints } from './scoring.js';
 
 // TANK01 API Constants
 const TANK_API_KEY = '1eb53dd891msh0fb7989313af6d1p1655b2jsn140053348c78';
 const TANK_API_HOST = 'tank01-nfl-live-in-game-real-time-statistics-nfl.p.rapidapi.com';
 
+// ESPN API Constants
+const ESPN_API_BASE = 'https://site.api.espn.com/apis/site/v2/sports/football/nfl';
+
+// Data provider selection (e.g. `game.html?provider=fixtures`), remembered across pages.
+const PROVIDER_PARAM = 'provider';
+const PROVIDER_STORAGE_KEY = 'fantasy-slots-provider';
+
+// Tank01 request scheduling. RapidAPI limits apply to every call the app makes,
+// so all Tank01 requests share one queue with a concurrency cap and a per-minute budget.
+const TANK01_MAX_CONCURRENT = 2;
+const TANK01_REQUESTS_PER_MINUTE = 30;
+const TANK01_MAX_RATE_LIMIT_RETRIES = 3;
+const DEFAULT_RETRY_AFTER_MS = 30 * 1000;
+
 /**
- * Fetches the Tank01 player ID for a given player name.
- * @param {string} playerName - The display name of the NFL player or team defense (e.g., "Patrick Mahomes", "Kansas City Chiefs Defense").
- * @returns {Promise<string|null>} The playerID from Tank01, or null if not found or an error occurs.
+ * Request priorities, lowest value first. User-opened views (e.g. the stats modal) use HIGH
+ * so they jump ahead of background fantasy point polling, which uses LOW.
  */
-export async function getTank01PlayerID(playerName) {
-    const cacheKey = `tank01-id-${playerName.replace(/\s+/g, '-').toLowerCase()}`;
-    const cachedId = getCachedData(cacheKey);
-    if (cachedId) {
-        return cachedId;
-    }
+export const REQUEST_PRIORITY = {
+    HIGH: 0,
+    NORMAL: 1,
+    LOW: 2
+};
 
-    const url = `https://${TANK_API_HOST}/getNFLPlayerInfo?playerName=${encodeURIComponent(playerName)}&getStats=false`;
-    try {
-      const res = await fetch(url, {
-        headers: {
-          'X-RapidAPI-Key': TANK_API_KEY,
-          'X-RapidAPI-Host': TANK_API_HOST,
-        }
-      });
-      if (!res.ok) {
-        console.error(`Tank01 player ID fetch failed for ${playerName}: ${res.status}`);
-        return null;
-      }
-      const data = await res.json();
-      if (data.body && data.body.length > 0 && data.body[0].playerID) {
-        const playerId = data.body[0].playerID;
-        setCachedData(cacheKey, playerId); // Cache indefinitely for the session
-        return playerId;
-      }
-      return null;
-    } catch (e) {
-      console.error(`Error fetching Tank01 player ID for ${playerName}:`, e);
-      return null;
-    }
+const requestQueue = [];              // Pending requests: { url, priority, order, retries, resolve, reject }
+const inFlightRequests = new Map();   // url → { promise, entry } for queued or running requests
+const requestStartTimes = [];         // Start times of requests within the last minute
+let activeRequestCount = 0;
+let requestOrder = 0;                 // Keeps FIFO order within a priority
+let rateLimitedUntil = 0;             // Set from 429 Retry-After responses
+let queueTimer = null;
+
+/**
+ * Parses a Retry-After header (seconds or an HTTP date) into milliseconds.
+ * @param {string|null} retryAfter - The header value.
+ * @returns {number}
+ */
+function parseRetryAfter(retryAfter) {
+    if (!retryAfter) return DEFAULT_RETRY_AFTER_MS;
+    const seconds = Number(retryAfter);
+    if (Number.isFinite(seconds)) return seconds * 1000;
+    const retryDate = Date.parse(retryAfter);
+    return Number.isNaN(retryDate) ? DEFAULT_RETRY_AFTER_MS : Math.max(retryDate - Date.now(), 0);
 }
 
 /**
- * NEW: Fetches the last game for a team, using player endpoint as primary and team schedule as fallback.
- * @param {string} teamAbv - The team's abbreviation (e.g., 'KC').
- * @param {string} samplePlayerID - A player ID from the team to check the player-specific endpoint.
- * @returns {Promise<object|null>} The game data object for the team's last played game.
+ * Wakes the queue up again after `waitMs`, unless a wake-up is already scheduled.
+ * @param {number} waitMs - Milliseconds to wait.
+ */
+function scheduleQueueWakeUp(waitMs) {
+    if (queueTimer) return;
+    queueTimer = setTimeout(() => {
+        queueTimer = null;
+        processRequestQueue();
+    }, waitMs);
+}
+
+/**
+ * Starts as many queued requests as the concurrency cap, minute budget and rate-limit pause allow.
  */
-export async function fetchLastTeamGame(teamAbv, samplePlayerID) {
-    const cacheKey = `tank01-team-game-${teamAbv}`;
-    const TTL = 60 * 1000; // 1 minute TTL
-    const cachedGame = getCachedData(cacheKey);
-    if (cachedGame) {
-        return cachedGame;
+function processRequestQueue() {
+    while (requestQueue.length > 0 && activeRequestCount < TANK01_MAX_CONCURRENT) {
+        const now = Date.now();
+        if (now < rateLimitedUntil) {
+            scheduleQueueWakeUp(rateLimitedUntil - now);
+            return;
+        }
+
+        while (requestStartTimes.length > 0 && now - requestStartTimes[0] >= 60 * 1000) {
+            requestStartTimes.shift();
+        }
+        if (requestStartTimes.length >= TANK01_REQUESTS_PER_MINUTE) {
+            scheduleQueueWakeUp(requestStartTimes[0] + 60 * 1000 - now);
+            return;
+        }
+
+        requestQueue.sort((a, b) => a.priority - b.priority || a.order - b.order);
+        runTank01Request(requestQueue.shift());
     }
+}
 
-  try {
-    // 🔹 1) Try player endpoint first (most reliable for live/in-progress)
-    if (samplePlayerID) {
-        const playerUrl = `https://${TANK_API_HOST}/getNFLPlayerGameStats?playerID=${samplePlayerID}`;
-        const playerRes = await fetch(playerUrl, {
+/**
+ * Performs a queued Tank01 request. 429 responses pause the queue and put the request back in line.
+ * @param {object} entry - The queue entry.
+ */
+async function runTank01Request(entry) {
+    activeRequestCount++;
+    requestStartTimes.push(Date.now());
+    try {
+        const res = await fetch(entry.url, {
           headers: {
-            "X-RapidAPI-Key": TANK_API_KEY,
-            "X-RapidAPI-Host": TANK_API_HOST,
+            'X-RapidAPI-Key': TANK_API_KEY,
+            'X-RapidAPI-Host': TANK_API_HOST,
           }
         });
-        if (playerRes.ok) {
-            const playerData = await playerRes.json();
-            const playerGames = (playerData.body && playerData.body.playerStats) || [];
-
-            if (playerGames.length) {
-              // They return in descending order already, so first one is last game
-              const playerLastGame = playerGames[0];
-              if (
-                playerLastGame.gameStatus === "InProgress" ||
-                playerLastGame.gameStatusCode === "1" ||
-                playerLastGame.gameStatus === "Completed" ||
-                playerLastGame.gameStatusCode === "2"
-              ) {
-                setCachedData(cacheKey, playerLastGame, TTL);
-                return playerLastGame; // ✅ trust this one
-              }
-            }
+        if (res.status === 429 && entry.retries < TANK01_MAX_RATE_LIMIT_RETRIES) {
+            const waitMs = parseRetryAfter(res.headers.get('Retry-After'));
+            console.warn(`Tank01 rate limit hit, pausing requests for ${Math.round(waitMs / 1000)}s.`);
+            rateLimitedUntil = Math.max(rateLimitedUntil, Date.now() + waitMs);
+            entry.retries++;
+            requestQueue.push(entry);
+            return;
+        }
+        if (!res.ok) {
+            throw new Error(`Tank01 request failed: ${res.status}`);
         }
+        const data = await res.json();
+        inFlightRequests.delete(entry.url);
+        entry.resolve(data);
+    } catch (error) {
+        inFlightRequests.delete(entry.url);
+        entry.reject(error);
+    } finally {
+        activeRequestCount--;
+        processRequestQueue();
     }
+}
 
+/**
+ * Queues a Tank01 request. Identical URLs that are already queued or running share one promise;
+ * a higher priority caller promotes the pending request.
+ * @param {string} url - The full request URL.
+ * @param {number} [priority=REQUEST_PRIORITY.NORMAL] - One of REQUEST_PRIORITY.
+ * @returns {Promise<object>} The parsed JSON response.
+ */
+export function scheduleTank01Request(url, priority = REQUEST_PRIORITY.NORMAL) {
+    const pending = inFlightRequests.get(url);
+    if (pending) {
+        pending.entry.priority = Math.min(pending.entry.priority, priority);
+        return pending.promise;
+    }
 
-    // 🔹 2) Fallback: team schedule endpoint
-    const url = `https://${TANK_API_HOST}/getNFLTeamSchedule?teamAbv=${teamAbv}`;
-
-    const res = await fetch(url, {
-      headers: {
-        "X-RapidAPI-Key": TANK_API_KEY,
-        "X-RapidAPI-Host": TANK_API_HOST,
-      }
+    const entry = { url, priority, order: requestOrder++, retries: 0 };
+    const promise = new Promise((resolve, reject) => {
+        entry.resolve = resolve;
+        entry.reject = reject;
     });
-    
-    if (!res.ok) {
-        console.error(`Tank01 team schedule fetch failed for ${teamAbv}: ${res.status}`);
-        return null;
-    }
+    inFlightRequests.set(url, { promise, entry });
+    requestQueue.push(entry);
+    processRequestQueue();
+    return promise;
+}
 
-    const data = await res.json();
-    const games = (data.body && data.body.schedule) || [];
+/**
+ * Performs a GET request against a Tank01 endpoint through the request scheduler.
+ * @param {string} endpoint - The endpoint name (e.g., 'getNFLPlayerInfo').
+ * @param {object} params - Query string parameters.
+ * @param {number} [priority] - One of REQUEST_PRIORITY.
+ * @returns {Promise<object>} The parsed JSON response.
+ * @throws {Error} If the response status is not OK.
+ */
+function fetchTank01(endpoint, params, priority) {
+    const url = new URL(`https://${TANK_API_HOST}/${endpoint}`);
+    Object.entries(params).forEach(([key, value]) => url.searchParams.append(key, value));
+    return scheduleTank01Request(url.toString(), priority);
+}
 
-    if (!games.length) return null;
+/**
+ * The live data provider, backed by the Tank01 (RapidAPI) and ESPN APIs.
+ * Every provider exposes the same methods and returns the raw payload shapes of these APIs,
+ * so callers never need to know where the data came from.
+ */
+export const liveProvider = {
+    name: 'live',
 
-    // filter to completed or in-progress
-    const playedGames = games.filter(g =>
-      g.gameStatus === "Completed" ||
-      g.gameStatusCode === "2" ||
-      g.gameStatus === "InProgress" ||
-      g.gameStatusCode === "1"
-    );
+    /**
+     * @param {string} teamId - The ESPN team abbreviation (e.g., 'KC').
+     * @returns {Promise<Array|null>} ESPN roster position groups (`athletes`), or null if missing.
+     */
+    async fetchTeamRoster(teamId) {
+        const res = await fetch(`${ESPN_API_BASE}/teams/${teamId}/roster`);
+        if (!res.ok) {
+            throw new Error(`ESPN roster request failed for ${teamId}: ${res.status}`);
+        }
+        const data = await res.json();
+        return data.athletes || null;
+    },
 
-    if (!playedGames.length) return null;
+    /**
+     * @param {string} playerName - The display name to search for.
+     * @param {{priority?: number}} [options] - Request options (Tank01 calls accept a REQUEST_PRIORITY).
+     * @returns {Promise<Array>} Tank01 player info entries matching the name.
+     */
+    async searchPlayers(playerName, options = {}) {
+        const data = await fetchTank01('getNFLPlayerInfo', { playerName, getStats: 'false' }, options.priority);
+        return data.body || [];
+    },
 
-    // pick latest by date
-    playedGames.sort((a, b) => b.gameDate.localeCompare(a.gameDate));
-    const latest = playedGames[0];
+    /**
+     * @param {string} playerID - The Tank01 player ID.
+     * @param {string} season - The season's starting year (e.g., '2025').
+     * @param {{priority?: number}} [options] - Request options.
+     * @returns {Promise<object>} The player's games that season keyed by gameID, with fantasy points.
+     */
+    async fetchPlayerGames(playerID, season, options = {}) {
+        const data = await fetchTank01('getNFLGamesForPlayer', { playerID, season, fantasyPoints: 'true' }, options.priority);
+        return data.body || {};
+    },
 
-    setCachedData(cacheKey, latest, TTL);
-    return latest;
+    /**
+     * @param {string} gameID - The Tank01 game ID (e.g., '20250907_KC@CIN').
+     * @param {{priority?: number}} [options] - Request options.
+     * @returns {Promise<{gameID: string, gameStatus: string, gameStatusCode: string, currentPeriod: string|null, gameClock: string|null}>}
+     *   The game's live status.
+     */
+    async fetchGameStatus(gameID, options = {}) {
+        const data = await fetchTank01('getNFLBoxScore', { gameID, playByPlay: 'false', fantasyPoints: 'false' }, options.priority);
+        const body = data.body || {};
+        return {
+            gameID,
+            gameStatus: body.gameStatus || '',
+            gameStatusCode: body.gameStatusCode || '',
+            currentPeriod: body.currentPeriod || null,
+            gameClock: body.gameClock || null
+        };
+    },
 
-  } catch (e) {
-    console.error(`Tank01 team fetch failed for ${teamAbv}:`, e);
-    return null;
-  }
-}
+    /**
+     * @param {string} teamAbv - The team's abbreviation (e.g., 'KC').
+     * @param {string} season - The season's starting year (e.g., '2025').
+     * @param {{priority?: number}} [options] - Request options.
+     * @returns {Promise<Array>} The team's schedule entries for that season.
+     */
+    async fetchTeamSchedule(teamAbv, season, options = {}) {
+        const data = await fetchTank01('getNFLTeamSchedule', { teamAbv, season }, options.priority);
+        return (data.body && data.body.schedule) || [];
+    }
+};
+
+const DATA_PROVIDERS = {
+    [liveProvider.name]: liveProvider,
+    [fixtureProvider.name]: fixtureProvider
+};
+
+let activeProvider = null;
 
 /**
- * Fetches the last game statistics for a given Tank01 player ID.
- * Includes fantasy points.
- * @param {string} playerID - The Tank01 player ID.
- * @returns {Promise<{stats: object, fantasyPoints: number}|null>} An object containing the raw stats and calculated fantasy points, or null if no data or an error occurs.
+ * Returns the data provider all API calls go through.
+ * The provider is chosen by the `provider` URL parameter, which is remembered in localStorage
+ * so the choice survives navigation between pages. Defaults to the live provider.
+ * @returns {object} The active data provider.
  */
-export async function fetchLastGameStats(playerID) {
-    if (!playerID) return null;
-
-    const cacheKey = `tank01-stats-${playerID}`;
-    const TTL = 60 * 1000; // 1 minute TTL
-    const cachedResult = getCachedData(cacheKey);
-    if (cachedResult) {
-        return cachedResult;
+export function getDataProvider() {
+    if (activeProvider) {
+        return activeProvider;
     }
 
-    const url = new URL(`https://${TANK_API_HOST}/getNFLGamesForPlayer`);
-    url.searchParams.append('playerID', playerID);
-    url.searchParams.append('fantasyPoints', 'true');
-
+    let providerName = null;
     try {
-      const res = await fetch(url.toString(), {
-        headers: {
-          'X-RapidAPI-Key': TANK_API_KEY,
-          'X-RapidAPI-Host': TANK_API_HOST,
+        providerName = new URLSearchParams(window.location.search).get(PROVIDER_PARAM);
+        if (providerName) {
+            // Cached responses belong to the previous provider; drop them when switching. Cache
+            // reads wait for the clear, so the new provider never gets the old one's data.
+            if (providerName !== (localStorage.getItem(PROVIDER_STORAGE_KEY) || liveProvider.name)) {
+                clearCache();
+            }
+            localStorage.setItem(PROVIDER_STORAGE_KEY, providerName);
+        } else {
+            providerName = localStorage.getItem(PROVIDER_STORAGE_KEY);
         }
-      });
-      if (!res.ok) {
-        console.error(`Tank01 player stats fetch failed for ID ${playerID}: ${res.status}`);
+    } catch (error) {
+        console.warn('Could not read data provider preference:', error);
+    }
+
+    activeProvider = DATA_PROVIDERS[providerName] || liveProvider;
+    if (activeProvider !== liveProvider) {
+        console.log(`Using "${activeProvider.name}" data provider.`);
+    }
+    return activeProvider;
+}
+
+/**
+ * Fetches a team's schedule for a season, served stale-while-revalidate from the cache.
+ * @param {string} teamAbv - The team's abbreviation (e.g., 'KC').
+ * @param {string} season - The season's starting year (e.g., '2025').
+ * @param {{priority?: number}} [options] - Request options.
+ * @returns {Promise<Array>} The team's schedule entries.
+ */
+export function fetchTeamSchedule(teamAbv, season, options = {}) {
+    return cached('schedules', `${teamAbv}-${season}`, () => getDataProvider().fetchTeamSchedule(teamAbv, season, options));
+}
+
+/**
+ * Fetches a game's live status (quarter and clock while in progress), cached briefly.
+ * @param {string} gameID - The Tank01 game ID.
+ * @param {{priority?: number}} [options] - Request options.
+ * @returns {Promise<object|null>} The game status, or null if it could not be fetched.
+ */
+export async function fetchGameStatus(gameID, options = {}) {
+    try {
+        return await cached('liveGames', gameID, () => getDataProvider().fetchGameStatus(gameID, options));
+    } catch (e) {
+        console.error(`Error fetching game status for ${gameID}:`, e);
         return null;
-      }
-      const data = await res.json();
-      const games = data.body || {};
-      const gameIds = Object.keys(games);
-      if (!gameIds.length) return null;
-      
-      // Sort to get the latest game (assuming gameID is sortable like YYYYMMDD...)
-      gameIds.sort((a,b) => b.localeCompare(a));
-      const lastGameStats = games[gameIds[0]];
-
-      const fantasyPointsRaw = lastGameStats.fantasyPoints
-                            || lastGameStats.fantasyPointsDefault?.PPR
-                            || lastGameStats.fantasyPointsDefault?.standard
-                            || 0;
-      const result = { stats: lastGameStats, fantasyPoints: parseFloat(fantasyPointsRaw) || 0 };
-      setCachedData(cacheKey, result, TTL);
-      return result;
+    }
+}
+
+/**
+ * Fetches a player's game log for a season: their stat lines keyed by gameID.
+ * @param {string} playerID - The Tank01 player ID.
+ * @param {string} season - The season's starting year.
+ * @param {{priority?: number}} [options] - Request options.
+ * @returns {Promise<object|null>} The games keyed by gameID, or null if an error occurs.
+ */
+export async function fetchPlayerGameLog(playerID, season, options = {}) {
+    try {
+        return await cached('stats', `${playerID}-${season}`, () => getDataProvider().fetchPlayerGames(playerID, season, options));
     } catch (e) {
-      console.error(`Error fetching last game stats for player ID ${playerID}:`, e);
-      return null;
+        console.error(`Error fetching games for player ID ${playerID}:`, e);
+        return null;
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Fetches a player's statistics for one game.
+ * @param {string} playerID - The Tank01 player ID.
+ * @param {string} season - The season the game belongs to.
+ * @param {string} gameID - The Tank01 game ID.
+ * @param {{ruleSet: string, customWeights: object|null}} [scoring] - The scoring settings to apply (defaults to PPR).
+ * @param {{priority?: number}} [options] - Request options.
+ * @returns {Promise<{stats: object, fantasyPoints: number}|null>} The raw stats and calculated fantasy points, or null if the player has no stats for that game.
+ */
+export async function fetchPlayerGameStats(playerID, season, gameID, scoring, options = {}) {
+    if (!playerID || !gameID) return null;
+
+    const games = await fetchPlayerGameLog(playerID, season, options);
+    const stats = games && games[gameID];
+    if (!stats) return null;
+
+    return { stats, fantasyPoints: calculateFantasyPoints(stats, scoring) };
+}
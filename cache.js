@@ -0,0 +1,369 @@
+/**
+ * cache.js
+ * A tiered cache for API data: an in-memory layer in front of IndexedDB, so cached data
+ * survives new tabs and sessions. Entries live in namespaces with their own TTLs, the
+ * persistent store is trimmed by least-recent use once it grows past its size budget,
+ * and namespaces can opt into stale-while-revalidate.
+ */
+
+const DB_NAME = 'fantasy-slots-cache';
+const DB_VERSION = 1;
+const STORE_NAME = 'entries';
+
+const MAX_PERSISTED_BYTES = 8 * 1024 * 1024; // Trim least-recently-used entries above this size
+const TRIM_TARGET_RATIO = 0.8;               // ...down to this share of the budget
+const MAX_MEMORY_ENTRIES = 300;
+const ACCESS_WRITE_INTERVAL = 60 * 1000;     // Throttles last-access updates in IndexedDB
+
+/**
+ * Cache namespaces.
+ * - ttl: milliseconds an entry is fresh (null = never expires).
+ * - staleFor: for stale-while-revalidate namespaces, how long past the TTL a stale entry
+ *   may still be served while a fresh copy is fetched in the background.
+ */
+export const CACHE_NAMESPACES = {
+    rosters: { ttl: 10 * 60 * 1000, staleFor: 24 * 60 * 60 * 1000 },
+    schedules: { ttl: 5 * 60 * 1000, staleFor: 6 * 60 * 60 * 1000 },
+    stats: { ttl: 60 * 1000, staleFor: 0 },
+    liveGames: { ttl: 30 * 1000, staleFor: 0 },
+    projections: { ttl: 6 * 60 * 60 * 1000, staleFor: 0 },
+    playerIds: { ttl: null, staleFor: 0 } // ESPN athlete ID → confirmed Tank01 player ID
+};
+
+const memoryCache = new Map(); // `${namespace}:${key}` → entry, in least-recently-used order
+const pendingLoads = new Map(); // `${namespace}:${key}` → promise, shared by concurrent callers
+let dbPromise = null;
+let persistedBytesEstimate = null; // Upper bound of the persisted size: measured once, then kept by writes and trims
+let estimatePromise = null; // The one-off measurement of the persisted size
+let pendingTrim = null;
+let pendingClear = Promise.resolve(); // Reads and writes wait for a clear in progress
+
+/**
+ * Opens (once) the IndexedDB database. Resolves to null where IndexedDB is unavailable,
+ * in which case the cache works from memory only.
+ * @returns {Promise<IDBDatabase|null>}
+ */
+function openDatabase() {
+    if (!dbPromise) {
+        dbPromise = new Promise(resolve => {
+            if (typeof indexedDB === 'undefined') {
+                resolve(null);
+                return;
+            }
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+                store.createIndex('namespace', 'namespace');
+                store.createIndex('lastAccess', 'lastAccess');
+            };
+            request.onsuccess = () => {
+                resolve(request.result);
+                loadPersistedBytesEstimate();
+            };
+            request.onerror = () => {
+                console.warn('IndexedDB cache unavailable, using memory only:', request.error);
+                resolve(null);
+            };
+        });
+    }
+    return dbPromise;
+}
+
+/**
+ * Measures (once) how much the persisted cache holds, so writes can keep a running total
+ * instead of scanning the store.
+ * @returns {Promise<void>}
+ */
+function loadPersistedBytesEstimate() {
+    if (!estimatePromise) {
+        estimatePromise = runStoreRequest('readonly', store => store.getAll())
+            .then(entries => {
+                persistedBytesEstimate = (entries || []).reduce((sum, entry) => sum + entry.size, 0);
+            })
+            .catch(error => {
+                console.warn('Could not measure the cache size:', error);
+                persistedBytesEstimate = 0;
+            });
+    }
+    return estimatePromise;
+}
+
+/**
+ * Runs a single IndexedDB request in its own transaction.
+ * @param {string} mode - 'readonly' or 'readwrite'.
+ * @param {function(IDBObjectStore): IDBRequest} operation - Creates the request.
+ * @returns {Promise<any>} The request result, or null without IndexedDB.
+ */
+async function runStoreRequest(mode, operation) {
+    const db = await openDatabase();
+    if (!db) return null;
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(STORE_NAME, mode);
+        const request = operation(transaction.objectStore(STORE_NAME));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+function getEntryId(namespace, key) {
+    return `${namespace}:${key}`;
+}
+
+function rememberInMemory(entry) {
+    memoryCache.delete(entry.id);
+    memoryCache.set(entry.id, entry);
+    if (memoryCache.size > MAX_MEMORY_ENTRIES) {
+        memoryCache.delete(memoryCache.keys().next().value);
+    }
+}
+
+/**
+ * Classifies an entry as fresh, stale (servable while revalidating) or expired.
+ * @param {object} entry - The cache entry.
+ * @returns {'fresh'|'stale'|'expired'}
+ */
+function getEntryState(entry) {
+    const { ttl, staleFor } = CACHE_NAMESPACES[entry.namespace] || {};
+    if (!ttl) return 'fresh';
+    const age = Date.now() - entry.storedAt;
+    if (age <= ttl) return 'fresh';
+    return age <= ttl + (staleFor || 0) ? 'stale' : 'expired';
+}
+
+/**
+ * Deletes least-recently-used entries until the persisted size is back under budget.
+ */
+async function trimPersistedCache() {
+    const db = await openDatabase();
+    if (!db) return;
+
+    const entries = await runStoreRequest('readonly', store => store.getAll());
+    let totalBytes = entries.reduce((sum, entry) => sum + entry.size, 0);
+    persistedBytesEstimate = totalBytes;
+    if (totalBytes <= MAX_PERSISTED_BYTES) return;
+
+    entries.sort((a, b) => a.lastAccess - b.lastAccess);
+    const evictedIds = [];
+    for (const entry of entries) {
+        if (totalBytes <= MAX_PERSISTED_BYTES * TRIM_TARGET_RATIO) break;
+        evictedIds.push(entry.id);
+        totalBytes -= entry.size;
+        memoryCache.delete(entry.id);
+    }
+    await runStoreRequest('readwrite', store => {
+        evictedIds.forEach(id => store.delete(id));
+        return store.count();
+    });
+    persistedBytesEstimate = totalBytes;
+    console.log(`Cache trimmed: evicted ${evictedIds.length} least-recently-used entries.`);
+}
+
+/**
+ * Reads an entry from memory, falling back to IndexedDB. Expired entries are removed.
+ * @param {string} namespace - One of CACHE_NAMESPACES.
+ * @param {string} key - The key within the namespace.
+ * @returns {Promise<{data: any, isStale: boolean}|null>}
+ */
+export async function cacheGet(namespace, key) {
+    await pendingClear;
+    const id = getEntryId(namespace, key);
+    let entry = memoryCache.get(id);
+
+    if (!entry) {
+        try {
+            entry = await runStoreRequest('readonly', store => store.get(id));
+        } catch (error) {
+            console.warn(`Cache read failed for "${id}":`, error);
+            entry = null;
+        }
+        if (!entry) return null;
+    }
+
+    const state = getEntryState(entry);
+    if (state === 'expired') {
+        cacheDelete(namespace, key);
+        return null;
+    }
+
+    const now = Date.now();
+    if (now - entry.lastAccess > ACCESS_WRITE_INTERVAL) {
+        entry = { ...entry, lastAccess: now };
+        runStoreRequest('readwrite', store => store.put(entry))
+            .catch(error => console.warn(`Cache access update failed for "${id}":`, error));
+    }
+    rememberInMemory(entry);
+    return { data: entry.data, isStale: state === 'stale' };
+}
+
+/**
+ * Stores data in memory and IndexedDB. A full quota trims the cache and retries once.
+ * @param {string} namespace - One of CACHE_NAMESPACES.
+ * @param {string} key - The key within the namespace.
+ * @param {any} data - JSON-serializable data.
+ */
+export async function cacheSet(namespace, key, data) {
+    await pendingClear;
+    const now = Date.now();
+    const entry = {
+        id: getEntryId(namespace, key),
+        namespace,
+        data,
+        storedAt: now,
+        lastAccess: now,
+        size: JSON.stringify(data).length * 2 // Approximate bytes (UTF-16)
+    };
+    rememberInMemory(entry);
+
+    try {
+        await runStoreRequest('readwrite', store => store.put(entry));
+    } catch (error) {
+        if (error?.name !== 'QuotaExceededError') {
+            console.warn(`Cache write failed for "${entry.id}":`, error);
+            return;
+        }
+        console.warn(`Cache quota exceeded while writing "${entry.id}", trimming and retrying.`);
+        try {
+            await trimPersistedCache();
+            await runStoreRequest('readwrite', store => store.put(entry));
+        } catch (retryError) {
+            console.warn(`Cache write failed for "${entry.id}" after trimming:`, retryError);
+            return;
+        }
+    }
+
+    // Only scan the store when the running estimate says the budget may be exceeded.
+    await loadPersistedBytesEstimate();
+    persistedBytesEstimate += entry.size;
+    if (persistedBytesEstimate > MAX_PERSISTED_BYTES && !pendingTrim) {
+        pendingTrim = trimPersistedCache()
+            .catch(error => console.warn('Cache trim failed:', error))
+            .finally(() => { pendingTrim = null; });
+    }
+}
+
+/**
+ * Removes a single entry.
+ * @param {string} namespace - One of CACHE_NAMESPACES.
+ * @param {string} key - The key within the namespace.
+ */
+export async function cacheDelete(namespace, key) {
+    const id = getEntryId(namespace, key);
+    memoryCache.delete(id);
+    try {
+        await runStoreRequest('readwrite', store => store.delete(id));
+    } catch (error) {
+        console.warn(`Cache delete failed for "${id}":`, error);
+    }
+}
+
+/**
+ * Returns cached data, or loads and caches it. Concurrent calls for the same key share one load.
+ * In stale-while-revalidate namespaces a stale entry is returned immediately and refreshed in the background.
+ * Null/undefined results are returned but not cached.
+ * @param {string} namespace - One of CACHE_NAMESPACES.
+ * @param {string} key - The key within the namespace.
+ * @param {function(): Promise<any>} loader - Fetches fresh data.
+ * @returns {Promise<any>}
+ */
+export function cached(namespace, key, loader) {
+    const id = getEntryId(namespace, key);
+    if (pendingLoads.has(id)) {
+        return pendingLoads.get(id);
+    }
+
+    const load = async () => {
+        const data = await loader();
+        if (data !== null && data !== undefined) {
+            await cacheSet(namespace, key, data);
+        }
+        return data;
+    };
+
+    const lookup = (async () => {
+        const hit = await cacheGet(namespace, key);
+        if (hit && !hit.isStale) {
+            return hit.data;
+        }
+        if (hit && hit.isStale) {
+            const revalidation = load()
+                .catch(error => console.warn(`Background refresh failed for "${id}":`, error))
+                .finally(() => pendingLoads.delete(id));
+            pendingLoads.set(id, revalidation.then(() => hit.data));
+            return hit.data;
+        }
+        return load();
+    })();
+
+    const shared = lookup.finally(() => {
+        if (pendingLoads.get(id) === shared) pendingLoads.delete(id);
+    });
+    pendingLoads.set(id, shared);
+    return shared;
+}
+
+/**
+ * Summarizes the persisted cache for display.
+ * @returns {Promise<{entries: number, bytes: number, namespaces: object}>}
+ */
+export async function getCacheStats() {
+    let entries = [];
+    try {
+        entries = (await runStoreRequest('readonly', store => store.getAll())) || [...memoryCache.values()];
+    } catch (error) {
+        console.warn('Could not read cache stats:', error);
+    }
+
+    const namespaces = {};
+    entries.forEach(entry => {
+        const summary = namespaces[entry.namespace] || (namespaces[entry.namespace] = { entries: 0, bytes: 0 });
+        summary.entries++;
+        summary.bytes += entry.size;
+    });
+    return {
+        entries: entries.length,
+        bytes: entries.reduce((sum, entry) => sum + entry.size, 0),
+        namespaces
+    };
+}
+
+/**
+ * Clears the cache, or a single namespace. Reads and writes made meanwhile wait for it to finish,
+ * so they never see the cleared data.
+ * @param {string} [namespace] - The namespace to clear; omit to clear everything.
+ * @returns {Promise<void>}
+ */
+export function clearCache(namespace) {
+    pendingClear = pendingClear.then(() => clearEntries(namespace));
+    return pendingClear;
+}
+
+/**
+ * Removes every entry, or a namespace's entries, from memory and IndexedDB.
+ * @param {string} [namespace]
+ */
+async function clearEntries(namespace) {
+    [...memoryCache.keys()]
+        .filter(id => !namespace || id.startsWith(`${namespace}:`))
+        .forEach(id => memoryCache.delete(id));
+
+    try {
+        await runStoreRequest('readwrite', store => {
+            if (!namespace) return store.clear();
+            const cursorRequest = store.index('namespace').openCursor(IDBKeyRange.only(namespace));
+            cursorRequest.onsuccess = () => {
+                const cursor = cursorRequest.result;
+                if (cursor) {
+                    cursor.delete();
+                    cursor.continue();
+                }
+            };
+            return cursorRequest;
+        });
+    } catch (error) {
+        console.warn('Could not clear cache:', error);
+    }
+    // Measured again on the next write.
+    persistedBytesEstimate = null;
+    estimatePromise = null;
+}
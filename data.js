@@ -1,39 +1,114 @@
 /**
  * data.js
- * Contains static data, such as the list of NFL teams.
+ * Contains static data, such as the list of NFL teams with their conference, division,
+ * colors and bye week for each season we have schedules for.
  */
 
+export const CONFERENCES = ['AFC', 'NFC'];
+export const DIVISIONS = ['East', 'North', 'South', 'West'];
+
 export const teams = [
-    { id: 'BUF', name: 'Buffalo Bills', logo: 'https://a.espncdn.com/i/teamlogos/nfl/500/buf.png' },
-    { id: 'MIA', name: 'Miami Dolphins', logo: 'https://a.espncdn.com/i/teamlogos/nfl/500/mia.png' },
-    { id: 'NE', name: 'New England Patriots', logo: 'https://a.espncdn.com/i/teamlogos/nfl/500/ne.png' },
-    { id: 'NYJ', name: 'New York Jets', logo: 'https://a.espncdn.com/i/teamlogos/nfl/500/nyj.png' },
-    { id: 'BAL', name: 'Baltimore Ravens', logo: 'https://a.espncdn.com/i/teamlogos/nfl/500/bal.png' },
-    { id: 'CIN', name: 'Cincinnati Bengals', logo: 'https://a.espncdn.com/i/teamlogos/nfl/500/cin.png' },
-    { id: 'CLE', name: 'Cleveland Browns', logo: 'https://a.espncdn.com/i/teamlogos/nfl/500/cle.png' },
-    { id: 'PIT', name: 'Pittsburgh Steelers', logo: 'https://a.espncdn.com/i/teamlogos/nfl/500/pit.png' },
-    { id: 'HOU', name: 'Houston Texans', logo: 'https://a.espncdn.com/i/teamlogos/nfl/500/hou.png' },
-    { id: 'IND', name: 'Indianapolis Colts', logo: 'https://a.espncdn.com/i/teamlogos/nfl/500/ind.png' },
-    { id: 'JAX', name: 'Jacksonville Jaguars', logo: 'https://a.espncdn.com/i/teamlogos/nfl/500/jax.png' },
-    { id: 'TEN', name: 'Tennessee Titans', logo: 'https://a.espncdn.com/i/teamlogos/nfl/500/ten.png' },
-    { id: 'DEN', name: 'Denver Broncos', logo: 'https://a.espncdn.com/i/teamlogos/nfl/500/den.png' },
-    { id: 'KC', name: 'Kansas City Chiefs', logo: 'https://a.espncdn.com/i/teamlogos/nfl/500/kc.png' },
-    { id: 'LV', name: 'Las Vegas Raiders', logo: 'https://a.espncdn.com/i/teamlogos/nfl/500/lv.png' },
-    { id: 'LAC', name: 'Los Angeles Chargers', logo: 'https://a.espncdn.com/i/teamlogos/nfl/500/lac.png' },
-    { id: 'DAL', name: 'Dallas Cowboys', logo: 'https://a.espncdn.com/i/teamlogos/nfl/500/dal.png' },
-    { id: 'NYG', name: 'New York Giants', logo: 'https://a.espncdn.com/i/teamlogos/nfl/500/nyg.png' },
-    { id: 'PHI', name: 'Philadelphia Eagles', logo: 'https://a.espncdn.com/i/teamlogos/nfl/500/phi.png' },
-    { id: 'WSH', name: 'Washington Commanders', logo: 'https://a.espncdn.com/i/teamlogos/nfl/500/wsh.png' },
-    { id: 'CHI', name: 'Chicago Bears', logo: 'https://a.espncdn.com/i/teamlogos/nfl/500/chi.png' },
-    { id: 'DET', name: 'Detroit Lions', logo: 'https://a.espncdn.com/i/teamlogos/nfl/500/det.png' },
-    { id: 'GB', name: 'Green Bay Packers', logo: 'https://a.espncdn.com/i/teamlogos/nfl/500/gb.png' },
-    { id: 'MIN', name: 'Minnesota Vikings', logo: 'https://a.espncdn.com/i/teamlogos/nfl/500/min.png' },
-    { id: 'ATL', name: 'Atlanta Falcons', logo: 'https://a.espncdn.com/i/teamlogos/nfl/500/atl.png' },
-    { id: 'CAR', name: 'Carolina Panthers', logo: 'https://a.espncdn.com/i/teamlogos/nfl/500/car.png' },
-    { id: 'NO', name: 'New Orleans Saints', logo: 'https://a.espncdn.com/i/teamlogos/nfl/500/no.png' },
-    { id: 'TB', name: 'Tampa Bay Buccaneers', logo: 'https://a.espncdn.com/i/teamlogos/nfl/500/tb.png' },
-    { id: 'ARI', name: 'Arizona Cardinals', logo: 'https://a.espncdn.com/i/teamlogos/nfl/500/ari.png' },
-    { id: 'LAR', name: 'Los Angeles Rams', logo: 'https://a.espncdn.com/i/teamlogos/nfl/500/lar.png' },
-    { id: 'SF', name: 'San Francisco 49ers', logo: 'https://a.espncdn.com/i/teamlogos/nfl/500/sf.png' },
-    { id: 'SEA', name: 'Seattle Seahawks', logo: 'https://a.espncdn.com/i/teamlogos/nfl/500/sea.png' }
-];
\ No newline at end of file
+    // AFC East
+    { id: 'BUF', name: 'Buffalo Bills', shortName: 'Bills', logo: 'https://a.espncdn.com/i/teamlogos/nfl/500/buf.png',
+      conference: 'AFC', division: 'East', colors: { primary: '#00338D', secondary: '#C60C30' }, byeWeeks: { 2024: 12, 2025: 7 } },
+    { id: 'MIA', name: 'Miami Dolphins', shortName: 'Dolphins', logo: 'https://a.espncdn.com/i/teamlogos/nfl/500/mia.png',
+      conference: 'AFC', division: 'East', colors: { primary: '#008E97', secondary: '#FC4C02' }, byeWeeks: { 2024: 6, 2025: 12 } },
+    { id: 'NE', name: 'New England Patriots', shortName: 'Patriots', logo: 'https://a.espncdn.com/i/teamlogos/nfl/500/ne.png',
+      conference: 'AFC', division: 'East', colors: { primary: '#002244', secondary: '#C60C30' }, byeWeeks: { 2024: 14, 2025: 14 } },
+    { id: 'NYJ', name: 'New York Jets', shortName: 'Jets', logo: 'https://a.espncdn.com/i/teamlogos/nfl/500/nyj.png',
+      conference: 'AFC', division: 'East', colors: { primary: '#125740', secondary: '#FFFFFF' }, byeWeeks: { 2024: 12, 2025: 9 } },
+
+    // AFC North
+    { id: 'BAL', name: 'Baltimore Ravens', shortName: 'Ravens', logo: 'https://a.espncdn.com/i/teamlogos/nfl/500/bal.png',
+      conference: 'AFC', division: 'North', colors: { primary: '#241773', secondary: '#9E7C0C' }, byeWeeks: { 2024: 14, 2025: 7 } },
+    { id: 'CIN', name: 'Cincinnati Bengals', shortName: 'Bengals', logo: 'https://a.espncdn.com/i/teamlogos/nfl/500/cin.png',
+      conference: 'AFC', division: 'North', colors: { primary: '#FB4F14', secondary: '#000000' }, byeWeeks: { 2024: 12, 2025: 10 } },
+    { id: 'CLE', name: 'Cleveland Browns', shortName: 'Browns', logo: 'https://a.espncdn.com/i/teamlogos/nfl/500/cle.png',
+      conference: 'AFC', division: 'North', colors: { primary: '#311D00', secondary: '#FF3C00' }, byeWeeks: { 2024: 10, 2025: 9 } },
+    { id: 'PIT', name: 'Pittsburgh Steelers', shortName: 'Steelers', logo: 'https://a.espncdn.com/i/teamlogos/nfl/500/pit.png',
+      conference: 'AFC', division: 'North', colors: { primary: '#FFB612', secondary: '#101820' }, byeWeeks: { 2024: 9, 2025: 5 } },
+
+    // AFC South
+    { id: 'HOU', name: 'Houston Texans', shortName: 'Texans', logo: 'https://a.espncdn.com/i/teamlogos/nfl/500/hou.png',
+      conference: 'AFC', division: 'South', colors: { primary: '#03202F', secondary: '#A71930' }, byeWeeks: { 2024: 14, 2025: 6 } },
+    { id: 'IND', name: 'Indianapolis Colts', shortName: 'Colts', logo: 'https://a.espncdn.com/i/teamlogos/nfl/500/ind.png',
+      conference: 'AFC', division: 'South', colors: { primary: '#002C5F', secondary: '#A2AAAD' }, byeWeeks: { 2024: 14, 2025: 11 } },
+    { id: 'JAX', name: 'Jacksonville Jaguars', shortName: 'Jaguars', logo: 'https://a.espncdn.com/i/teamlogos/nfl/500/jax.png',
+      conference: 'AFC', division: 'South', colors: { primary: '#101820', secondary: '#D7A22A' }, byeWeeks: { 2024: 12, 2025: 8 } },
+    { id: 'TEN', name: 'Tennessee Titans', shortName: 'Titans', logo: 'https://a.espncdn.com/i/teamlogos/nfl/500/ten.png',
+      conference: 'AFC', division: 'South', colors: { primary: '#0C2340', secondary: '#4B92DB' }, byeWeeks: { 2024: 5, 2025: 10 } },
+
+    // AFC West
+    { id: 'DEN', name: 'Denver Broncos', shortName: 'Broncos', logo: 'https://a.espncdn.com/i/teamlogos/nfl/500/den.png',
+      conference: 'AFC', division: 'West', colors: { primary: '#FB4F14', secondary: '#002244' }, byeWeeks: { 2024: 14, 2025: 12 } },
+    { id: 'KC', name: 'Kansas City Chiefs', shortName: 'Chiefs', logo: 'https://a.espncdn.com/i/teamlogos/nfl/500/kc.png',
+      conference: 'AFC', division: 'West', colors: { primary: '#E31837', secondary: '#FFB81C' }, byeWeeks: { 2024: 6, 2025: 10 } },
+    { id: 'LV', name: 'Las Vegas Raiders', shortName: 'Raiders', logo: 'https://a.espncdn.com/i/teamlogos/nfl/500/lv.png',
+      conference: 'AFC', division: 'West', colors: { primary: '#000000', secondary: '#A5ACAF' }, byeWeeks: { 2024: 10, 2025: 8 } },
+    { id: 'LAC', name: 'Los Angeles Chargers', shortName: 'Chargers', logo: 'https://a.espncdn.com/i/teamlogos/nfl/500/lac.png',
+      conference: 'AFC', division: 'West', colors: { primary: '#0080C6', secondary: '#FFC20E' }, byeWeeks: { 2024: 5, 2025: 12 } },
+
+    // NFC East
+    { id: 'DAL', name: 'Dallas Cowboys', shortName: 'Cowboys', logo: 'https://a.espncdn.com/i/teamlogos/nfl/500/dal.png',
+      conference: 'NFC', division: 'East', colors: { primary: '#003594', secondary: '#869397' }, byeWeeks: { 2024: 7, 2025: 10 } },
+    { id: 'NYG', name: 'New York Giants', shortName: 'Giants', logo: 'https://a.espncdn.com/i/teamlogos/nfl/500/nyg.png',
+      conference: 'NFC', division: 'East', colors: { primary: '#0B2265', secondary: '#A71930' }, byeWeeks: { 2024: 11, 2025: 14 } },
+    { id: 'PHI', name: 'Philadelphia Eagles', shortName: 'Eagles', logo: 'https://a.espncdn.com/i/teamlogos/nfl/500/phi.png',
+      conference: 'NFC', division: 'East', colors: { primary: '#004C54', secondary: '#A5ACAF' }, byeWeeks: { 2024: 5, 2025: 9 } },
+    { id: 'WSH', name: 'Washington Commanders', shortName: 'Commanders', logo: 'https://a.espncdn.com/i/teamlogos/nfl/500/wsh.png',
+      conference: 'NFC', division: 'East', colors: { primary: '#5A1414', secondary: '#FFB612' }, byeWeeks: { 2024: 14, 2025: 12 } },
+
+    // NFC North
+    { id: 'CHI', name: 'Chicago Bears', shortName: 'Bears', logo: 'https://a.espncdn.com/i/teamlogos/nfl/500/chi.png',
+      conference: 'NFC', division: 'North', colors: { primary: '#0B162A', secondary: '#C83803' }, byeWeeks: { 2024: 7, 2025: 5 } },
+    { id: 'DET', name: 'Detroit Lions', shortName: 'Lions', logo: 'https://a.espncdn.com/i/teamlogos/nfl/500/det.png',
+      conference: 'NFC', division: 'North', colors: { primary: '#0076B6', secondary: '#B0B7BC' }, byeWeeks: { 2024: 5, 2025: 8 } },
+    { id: 'GB', name: 'Green Bay Packers', shortName: 'Packers', logo: 'https://a.espncdn.com/i/teamlogos/nfl/500/gb.png',
+      conference: 'NFC', division: 'North', colors: { primary: '#203731', secondary: '#FFB612' }, byeWeeks: { 2024: 10, 2025: 5 } },
+    { id: 'MIN', name: 'Minnesota Vikings', shortName: 'Vikings', logo: 'https://a.espncdn.com/i/teamlogos/nfl/500/min.png',
+      conference: 'NFC', division: 'North', colors: { primary: '#4F2683', secondary: '#FFC62F' }, byeWeeks: { 2024: 6, 2025: 6 } },
+
+    // NFC South
+    { id: 'ATL', name: 'Atlanta Falcons', shortName: 'Falcons', logo: 'https://a.espncdn.com/i/teamlogos/nfl/500/atl.png',
+      conference: 'NFC', division: 'South', colors: { primary: '#A71930', secondary: '#000000' }, byeWeeks: { 2024: 12, 2025: 5 } },
+    { id: 'CAR', name: 'Carolina Panthers', shortName: 'Panthers', logo: 'https://a.espncdn.com/i/teamlogos/nfl/500/car.png',
+      conference: 'NFC', division: 'South', colors: { primary: '#0085CA', secondary: '#101820' }, byeWeeks: { 2024: 11, 2025: 14 } },
+    { id: 'NO', name: 'New Orleans Saints', shortName: 'Saints', logo: 'https://a.espncdn.com/i/teamlogos/nfl/500/no.png',
+      conference: 'NFC', division: 'South', colors: { primary: '#D3BC8D', secondary: '#101820' }, byeWeeks: { 2024: 12, 2025: 11 } },
+    { id: 'TB', name: 'Tampa Bay Buccaneers', shortName: 'Buccaneers', logo: 'https://a.espncdn.com/i/teamlogos/nfl/500/tb.png',
+      conference: 'NFC', division: 'South', colors: { primary: '#D50A0A', secondary: '#FF7900' }, byeWeeks: { 2024: 11, 2025: 9 } },
+
+    // NFC West
+    { id: 'ARI', name: 'Arizona Cardinals', shortName: 'Cardinals', logo: 'https://a.espncdn.com/i/teamlogos/nfl/500/ari.png',
+      conference: 'NFC', division: 'West', colors: { primary: '#97233F', secondary: '#000000' }, byeWeeks: { 2024: 11, 2025: 8 } },
+    { id: 'LAR', name: 'Los Angeles Rams', shortName: 'Rams', logo: 'https://a.espncdn.com/i/teamlogos/nfl/500/lar.png',
+      conference: 'NFC', division: 'West', colors: { primary: '#003594', secondary: '#FFA300' }, byeWeeks: { 2024: 6, 2025: 8 } },
+    { id: 'SF', name: 'San Francisco 49ers', shortName: '49ers', logo: 'https://a.espncdn.com/i/teamlogos/nfl/500/sf.png',
+      conference: 'NFC', division: 'West', colors: { primary: '#AA0000', secondary: '#B3995D' }, byeWeeks: { 2024: 9, 2025: 14 } },
+    { id: 'SEA', name: 'Seattle Seahawks', shortName: 'Seahawks', logo: 'https://a.espncdn.com/i/teamlogos/nfl/500/sea.png',
+      conference: 'NFC', division: 'West', colors: { primary: '#002244', secondary: '#69BE28' }, byeWeeks: { 2024: 10, 2025: 8 } }
+];
+
+/**
+ * Returns a team's bye week in a season from the table above, which only covers past seasons.
+ * findTeamByeWeek (gameStatus.js) reads it from the team's schedule and falls back to this.
+ * @param {object} team - A team from `teams`.
+ * @param {string|number} season - The season's starting year.
+ * @returns {number|null} The bye week, or null if it isn't known for that season.
+ */
+export function getTeamByeWeek(team, season) {
+    return (team.byeWeeks && team.byeWeeks[season]) || null;
+}
+
+/**
+ * Groups the teams by conference and division, in display order.
+ * @param {Array<object>} [teamList] - The teams to group (defaults to all teams).
+ * @returns {Array<{conference: string, division: string, teams: Array<object>}>}
+ */
+export function getTeamsByDivision(teamList = teams) {
+    return CONFERENCES.flatMap(conference => DIVISIONS.map(division => ({
+        conference,
+        division,
+        teams: teamList.filter(t => t.conference === conference && t.division === division)
+    })));
+}
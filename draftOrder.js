@@ -0,0 +1,103 @@
+/**
+ * draftOrder.js
+ * Works out whose pick it is. The draft is a fixed sequence of picks, one per roster slot per
+ * player; a draft order strategy decides which player owns each pick. Every pick is described
+ * by its overall number, its round and its position within the round ("Round 3, Pick 2").
+ */
+
+import { getPlayerCount, getRosterSlots } from './leagueSettings.js';
+
+export const DRAFT_ORDERS = {
+    ALTERNATING: {
+        label: 'Alternating (1, 2, 3, 1, 2, 3)',
+        // Every round runs in seat order.
+        getPlayerNum: (round, pick) => pick
+    },
+    SNAKE: {
+        label: 'Snake (1, 2, 3, 3, 2, 1)',
+        // Even rounds run in reverse seat order.
+        getPlayerNum: (round, pick, playerCount) => (round % 2 === 1 ? pick : playerCount - pick + 1)
+    },
+    FULL_ROSTER: {
+        label: 'Whole roster in a row',
+        // Each player makes all of their picks before the next player starts.
+        getPlayerNum: (round, pick) => pick,
+        picksInRosterOrder: true
+    }
+};
+
+export const DEFAULT_DRAFT_ORDER = 'ALTERNATING';
+
+/**
+ * Returns the draft order strategy for a game's settings.
+ * Games saved before the draft order setting existed alternate.
+ * @param {{draftOrder?: string}} [settings] - The game settings (`gameState.settings`).
+ * @returns {object}
+ */
+function getDraftOrder(settings) {
+    return DRAFT_ORDERS[settings?.draftOrder] || DRAFT_ORDERS[DEFAULT_DRAFT_ORDER];
+}
+
+/**
+ * Returns the number of picks in the draft: one per roster slot per player.
+ * @param {object} settings - The game settings.
+ * @returns {number}
+ */
+export function getTotalPicks(settings) {
+    return getPlayerCount(settings) * getRosterSlots(settings).length;
+}
+
+/**
+ * Describes a pick in the draft.
+ * @param {object} settings - The game settings.
+ * @param {number} overallPick - The 1-based pick number across the whole draft.
+ * @returns {{overallPick: number, round: number, pick: number, playerNum: number}|null}
+ *   The pick, or null if the draft has no such pick.
+ */
+export function getPickInfo(settings, overallPick) {
+    if (overallPick < 1 || overallPick > getTotalPicks(settings)) return null;
+
+    const playerCount = getPlayerCount(settings);
+    const rounds = getRosterSlots(settings).length;
+    const order = getDraftOrder(settings);
+    const index = overallPick - 1;
+
+    // In a whole-roster draft, picks run through one player's rounds before moving to the next seat.
+    const round = order.picksInRosterOrder ? (index % rounds) + 1 : Math.floor(index / playerCount) + 1;
+    const pick = order.picksInRosterOrder ? Math.floor(index / rounds) + 1 : (index % playerCount) + 1;
+
+    return { overallPick, round, pick, playerNum: order.getPlayerNum(round, pick, playerCount) };
+}
+
+/**
+ * Finds the next pick after `overallPick` that belongs to a player who can still draft.
+ * Players whose roster is already full (e.g. after auto-drafting it) are skipped. Picks that
+ * didn't fill a slot (e.g. a spin with nothing draftable) are made up after the last round,
+ * in seat order.
+ * @param {object} settings - The game settings.
+ * @param {number} overallPick - The current pick number (0 to find the first pick).
+ * @param {function(number): boolean} isRosterFullFn - Whether a player's roster is full.
+ * @returns {{overallPick: number, round: number, pick: number, playerNum: number}|null}
+ *   The next pick, or null when every roster is full.
+ */
+export function findNextPick(settings, overallPick, isRosterFullFn) {
+    for (let next = overallPick + 1; next <= getTotalPicks(settings); next++) {
+        const info = getPickInfo(settings, next);
+        if (!isRosterFullFn(info.playerNum)) return info;
+    }
+
+    const seats = Array.from({ length: getPlayerCount(settings) }, (_, i) => i + 1);
+    const playerNum = seats.find(num => !isRosterFullFn(num));
+    if (!playerNum) return null;
+    const extraRound = getRosterSlots(settings).length + 1;
+    return { overallPick: Math.max(overallPick, getTotalPicks(settings)) + 1, round: extraRound, pick: playerNum, playerNum };
+}
+
+/**
+ * Short text for a pick, e.g. "Round 3, Pick 2".
+ * @param {{round: number, pick: number}} pickInfo
+ * @returns {string}
+ */
+export function formatPick(pickInfo) {
+    return `Round ${pickInfo.round}, Pick ${pickInfo.pick}`;
+}
@@ -0,0 +1,84 @@
+/**
+ * fixtureProvider.js
+ * An offline data provider that serves recorded ESPN rosters and Tank01 stats and schedules
+ * from the JSON files in `fixtures/`. Enable it with `?provider=fixtures` to draft, score and
+ * browse stats without network access or RapidAPI quota. The recorded schedules cover Weeks 1-3
+ * of the 2025 season (Week 3 not yet played), so pick one of those as the game's scoring week.
+ */
+
+const FIXTURE_FILES = {
+    rosters: 'fixtures/rosters.json',     // { [teamId]: ESPN `athletes` position groups }
+    players: 'fixtures/players.json',     // [ Tank01 getNFLPlayerInfo entries ]
+    games: 'fixtures/games.json',         // { [playerID]: { [gameID]: Tank01 stat line } }
+    schedules: 'fixtures/schedules.json'  // { [teamAbv]: [ Tank01 schedule entries ] }
+};
+
+const loadedFixtures = {};
+
+/**
+ * Loads a fixture file once and memoizes the parsed result.
+ * @param {string} name - The fixture name (a key of FIXTURE_FILES).
+ * @returns {Promise<any>} The parsed fixture data.
+ */
+function loadFixture(name) {
+    if (!loadedFixtures[name]) {
+        const url = new URL(FIXTURE_FILES[name], import.meta.url);
+        loadedFixtures[name] = fetch(url).then(res => {
+            if (!res.ok) {
+                throw new Error(`Fixture ${name} could not be loaded: ${res.status}`);
+            }
+            return res.json();
+        }).catch(error => {
+            delete loadedFixtures[name]; // Allow a retry on the next call
+            throw error;
+        });
+    }
+    return loadedFixtures[name];
+}
+
+/**
+ * Normalizes a name for loose comparison (case, punctuation and whitespace insensitive).
+ * @param {string} name - The name to normalize.
+ * @returns {string}
+ */
+function normalizeName(name) {
+    return (name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+export const fixtureProvider = {
+    name: 'fixtures',
+
+    async fetchTeamRoster(teamId) {
+        const rosters = await loadFixture('rosters');
+        return rosters[teamId] || null;
+    },
+
+    async searchPlayers(playerName) {
+        const players = await loadFixture('players');
+        const target = normalizeName(playerName);
+        return players.filter(p => normalizeName(p.longName) === target || normalizeName(p.espnName) === target);
+    },
+
+    async fetchPlayerGames(playerID) {
+        // The recorded games all belong to a single season, so the season isn't filtered on.
+        const games = await loadFixture('games');
+        return games[playerID] || {};
+    },
+
+    async fetchGameStatus(gameID) {
+        const schedules = await loadFixture('schedules');
+        const game = Object.values(schedules).flat().find(g => g.gameID === gameID) || {};
+        return {
+            gameID,
+            gameStatus: game.gameStatus || '',
+            gameStatusCode: game.gameStatusCode || '',
+            currentPeriod: game.currentPeriod || null,
+            gameClock: game.gameClock || null
+        };
+    },
+
+    async fetchTeamSchedule(teamAbv, season) {
+        const schedules = await loadFixture('schedules');
+        return (schedules[teamAbv] || []).filter(g => g.season === String(season));
+    }
+};
@@ -4,19 +4,30 @@
  */
 
 // Import from new modular files
-import { gameState, playerData, isFantasyRosterFull, isPlayerPositionUndraftable, switchTurn, setGamePhase, updateLocalPlayerData } from './playerState.js';
-import { getOrCreateChild, updatePlayerContentDisplay, displayDraftInterface, displayFantasyRoster, renderPlayerAvatar } from './uiRenderer.js';
-import { showSlotSelectionModal, hideSlotSelectionModal, hideRosterModal, showPlayerStatsModal, hidePlayerStatsModal, renderPlayerStatsInModal, showAvatarSelectionModal, hideAvatarSelectionModal } from './uiModals.js';
+import { gameState, playerData, isFantasyRosterFull, isPlayerPositionUndraftable, switchTurn, setGamePhase, updateLocalPlayerData, updateLocalGameState, applyLeagueSettings, getPlayerNums, createEmptyPlayer, startDraft, getUpcomingPick, getRerollsLeft } from './playerState.js';
+import { getOrCreateChild, updatePlayerContentDisplay, displayDraftInterface, displayFantasyRoster, renderPlayerAvatar, renderPlayerSections, renderDraftStatus, updatePickClockDisplay, updateRerollDisplay, updateSpinButtonLabel, renderPickLog, renderResultsBanner, renderSpectatorStatus } from './uiRenderer.js';
+import { showSlotSelectionModal, showSlotSwapModal, hideSlotSelectionModal, hideRosterModal, showPlayerStatsModal, hidePlayerStatsModal, renderPlayerStatsInModal, showAvatarSelectionModal, hideAvatarSelectionModal, showResultsModal, hideResultsModal, showSeatTakeoverModal } from './uiModals.js';
 import { confirmName, selectAvatar, updateAvatarPreview, AVATAR_SVGS } from './playerActions.js';
-import { selectTeam, autoDraft, draftPlayer, autoDraftFullRoster } from './gameFlow.js';
+import { selectTeam, rerollTeam, autoDraft, draftPlayer, autoDraftFullRoster, draftOnTimeout, restoreRollPool } from './gameFlow.js';
+import { getLastPickEntries, undoLastPick, requestUndo, respondToUndoRequest, getSwapTargets, swapSlots } from './pickLog.js';
+import { renderGameSettingsPanel, hideGameSettingsPanel } from './uiSettings.js';
+import { areAllGamesFinal, decideResults } from './results.js';
+import { captureRoomState, commitRoomChanges } from './roomSync.js';
+import { getRoomLifecycleUpdate, rememberRoom } from './roomLifecycle.js';
+import { watchChat, sendChatMessage, postSystemMessage, postOnDisconnect, setReaction, describeNewTurns, getChatReadAt, markChatRead, countUnread } from './roomChat.js';
+import { renderChatMessages, renderChatForm, updateChatBadge, setChatDrawerOpen } from './uiChat.js';
+import { getOrCreateClientId, claimSeat, findFreeSeat, getDisconnectedSeats, buildRejoinLink, formatLastSeen } from './roomSeats.js';
 
 // Import API functions
-import { getTank01PlayerID, fetchLastGameStats, fetchLastTeamGame } from './api.js';
+import { REQUEST_PRIORITY } from './api.js';
+import { getPlayerGameResult, applyPlayerGameResult, resolveScoringWeek } from './gameStatus.js';
+import { getPlayerProjection } from './projections.js';
+import { getRollMode } from './rollModes.js';
+import { setServerTimeOffset, getClockNow, getRemainingSeconds, extendPickClockForReconnect } from './pickClock.js';
+import { MAX_PLAYERS, getPlayerCount, getRosterSlots, normalizeRosterSlots, getRerollsPerGame } from './leagueSettings.js';
 
 // Import static data
 import { teams } from './data.js'; 
-// Import utility functions
-import { getOpponentAndVenue, formatGameDate } from './utils.js';
 
 // NEW: Import Firebase
 import { db } from './firebase.js';
@@ -28,119 +39,377 @@ let roomId = null;
 let localPlayerNum = null;
 let gameRef = null;
 let playerRef = null;
-let isSyncing = false; // Flag to prevent feedback loops
+let clientId = null; // This browser's durable ID (see roomSeats.js)
+let reclaimToken = null; // The local player's seat token, shared as their rejoin link
+let chatDisconnectRef = null; // The chat message posted if the local player's connection drops
+let needsReconnectGrace = false; // Whether the local player has (re)connected since the last grace check
+let isSpectator = false; // True for visitors past the room's seats, who watch read-only
+let syncedState = null; // The room state the local state was last synced with (see roomSync.js)
+let commitQueue = Promise.resolve(); // Local changes are committed one at a time, in order
+let pendingCommits = 0;
+let deferredRoomData = null; // The latest room data, when it arrived while a commit was pending
+let roomMeta = null; // The room's status and expiry (see roomLifecycle.js)
+let chatMessages = []; // The room's latest chat messages (see roomChat.js)
+let isChatOpen = false;
 let fantasyPointInterval = null; // NEW: To hold the setInterval for point updates
+let playersPresence = {}; // The latest presence node (player1..playerN) from Firebase
+let pickClockTimer = null; // The setInterval that counts the pick clock down
+let timeoutPickInFlight = null; // The overall pick being made because its clock ran out
+let shownResultsAt = null; // The `decidedAt` of the result whose results screen has been shown
 
 /**
  * NEW: Sync local state with Firebase.
- * This function is the single point of truth for updating the remote state.
+ * This function is the single point of truth for updating the remote state. The changes made
+ * since the last sync are committed as one checked, atomic write (see roomSync.js); commits run
+ * one at a time, and room updates that arrive meanwhile are applied once they're done. A rejected
+ * commit rolls the local state back to the room's.
+ * @param {{silent?: boolean}} [options] - `silent` rolls back without telling the player, for
+ *   writes they didn't make themselves (point updates, timeout picks, the result).
+ * @returns {Promise<boolean>} True if the changes were written.
  */
-async function syncWithFirebase() {
-     if (gameMode !== 'multiplayer' || !gameRef) return;
-
-  isSyncing = true;
-  
-  // CRITICAL: Sanitize playerData before syncing to remove large, non-serializable data and undefined values.
-  const sanitizedPlayerData = JSON.parse(JSON.stringify(playerData, (key, value) => {
-      return value === undefined ? null : value;
-  }));
-  
-  for (const playerNum in sanitizedPlayerData) {
-      if (sanitizedPlayerData[playerNum].team && sanitizedPlayerData[playerNum].team.rosterData) {
-          delete sanitizedPlayerData[playerNum].team.rosterData;
-      }
-  }
-
-  console.log("SYNCING to Firebase:", { gameState, playerData: sanitizedPlayerData });
-
-  try {
-    // Always sync the full game state and player data to ensure consistency
-    await update(gameRef, {
-      gameState: { ...gameState },
-      playerData: sanitizedPlayerData
+async function syncWithFirebase({ silent = false } = {}) {
+    if (gameMode !== 'multiplayer' || !gameRef) return true;
+    if (isSpectator) return false; // Spectators never write to the room
+
+    pendingCommits++;
+    const commit = commitQueue.then(() => commitLocalChanges(silent));
+    commitQueue = commit.catch(() => false); // A failed commit mustn't hold up the ones after it
+    try {
+        return await commit;
+    } finally {
+        pendingCommits--;
+        if (pendingCommits === 0 && deferredRoomData) {
+            const roomData = deferredRoomData;
+            deferredRoomData = null;
+            applyRoomData(roomData);
+        }
+    }
+}
+
+/**
+ * Commits the local changes since the last sync, or rolls them back if the room rejects them.
+ * @param {boolean} silent - Whether to roll back without an alert.
+ * @returns {Promise<boolean>} True if the changes were written.
+ */
+async function commitLocalChanges(silent) {
+    if (!syncedState) return false; // The room hasn't loaded yet
+    const nextState = captureRoomState(gameState, playerData);
+
+    let reason;
+    try {
+        const result = await commitRoomChanges(gameRef, syncedState, nextState);
+        if (result.committed) {
+            const baseState = syncedState;
+            syncedState = nextState;
+            keepRoomAlive();
+            describeNewTurns(baseState, nextState).forEach(message => {
+                postSystemMessage(roomId, message).catch(error => console.warn("Couldn't post to the chat:", error));
+            });
+            return true;
+        }
+        reason = result.reason || 'The game could not be updated.';
+    } catch (error) {
+        console.error("Firebase sync failed:", error);
+        reason = "Couldn't reach the game server.";
+    }
+
+    console.warn(`Change rejected by the room: ${reason}`);
+    try {
+        const snapshot = await get(gameRef);
+        if (snapshot.exists()) {
+            deferredRoomData = null; // This snapshot is newer
+            applyRoomData(snapshot.val());
+        }
+    } catch (error) {
+        console.error("Couldn't reload the game after a rejected change:", error);
+    }
+    if (!silent) {
+        hideSlotSelectionModal();
+        alert(`${reason} Your last move was undone.`);
+    }
+    return false;
+}
+
+/**
+ * Pushes back the room's expiry (and updates its status) while a player is active in it.
+ * @param {string} [phase] - The game phase; defaults to the local one.
+ */
+function keepRoomAlive(phase = gameState.phase) {
+    if (isSpectator || !gameRef) return;
+    const lifecycleUpdate = getRoomLifecycleUpdate(roomMeta, phase, Date.now());
+    if (!lifecycleUpdate) return;
+    roomMeta = lifecycleUpdate;
+    update(gameRef, lifecycleUpdate).catch(error => console.warn("Couldn't update the room's expiry:", error));
+}
+
+/**
+ * Replaces the local game with the room's data from Firebase.
+ * @param {object} remoteData - The room (`games/{roomId}`).
+ */
+function applyRoomData(remoteData) {
+    playersPresence = remoteData.players || {};
+    roomMeta = { status: remoteData.status, expiresAt: remoteData.expiresAt };
+    const seatHolder = playersPresence[`player${localPlayerNum}`]?.clientId;
+    if (!isSpectator && seatHolder && seatHolder !== clientId) {
+        handleSeatLost().catch(error => console.warn("Couldn't switch to spectating after losing the seat:", error));
+    }
+    syncedState = captureRoomState(remoteData.gameState || {}, remoteData.playerData || {});
+    // NEW: Prevent re-renders if the incoming data is the same as local state.
+    if (JSON.stringify(remoteData.gameState) === JSON.stringify(gameState) &&
+        JSON.stringify(remoteData.playerData) === JSON.stringify(playerData)) {
+        return;
+    }
+    console.log("Received game state from Firebase:", remoteData.gameState);
+    updateLocalGameState(remoteData.gameState);
+    // Safely update player data using the new helper function
+    updateLocalPlayerData(remoteData.playerData);
+    updateLayout(false);
+    renderChat(); // Player names may have changed
+}
+
+/**
+ * Renders the chat drawer and its unread badge. An open drawer marks everything read.
+ */
+function renderChat() {
+    renderChatMessages(chatMessages, playerData, isSpectator ? null : localPlayerNum, (messageId, emoji) => {
+        setReaction(roomId, messageId, localPlayerNum, emoji).catch(error => console.error("Couldn't save the reaction:", error));
     });
-  } catch (error) {
-    console.error("Firebase sync failed:", error);
-  } finally {
-    // A short delay before resetting the flag helps prevent rapid, repeated syncs.
-    setTimeout(() => { isSyncing = false; }, 100);
-  }
+    const lastSentAt = chatMessages.length > 0 ? chatMessages[chatMessages.length - 1].sentAt : 0;
+    if (isChatOpen && lastSentAt > getChatReadAt(roomId)) markChatRead(roomId, lastSentAt);
+    updateChatBadge(isChatOpen ? 0 : countUnread(chatMessages, getChatReadAt(roomId), isSpectator ? null : localPlayerNum));
 }
+
 /**
  * Utility function to open player stats modal, acting as a bridge.
  * This is needed because `displayFantasyRoster` in `uiRenderer.js` requires a callback,
- * and that callback needs to pass `getTank01PlayerID` and `fetchLastGameStats` (from `api.js`)
+ * and that callback needs to pass `getPlayerGameResult` (from `gameStatus.js`)
  * and `renderPlayerStatsInModal` (from `uiModals.js`) to `showPlayerStatsModal`.
  * @param {object} playerObj - The player object from the fantasy roster.
  */
 function openPlayerStatsModalCaller(playerObj) {
-    showPlayerStatsModal(playerObj, teams, getTank01PlayerID, fetchLastGameStats, renderPlayerStatsInModal);
+    showPlayerStatsModal(playerObj, teams, getPlayerGameResult, renderPlayerStatsInModal, gameState.settings.scoring, gameState.scoringWeek);
+}
+
+/**
+ * Loads a draft card's projection with the game's scoring settings and scoring week.
+ * @param {object} playerObj - The player on the draft card.
+ * @returns {Promise<object|null>}
+ */
+function loadProjectionCaller(playerObj) {
+    return getPlayerProjection(playerObj, teams, gameState.settings.scoring, gameState.scoringWeek);
+}
+
+/**
+ * Merges changed game settings from the settings panel into the game state.
+ * Only the host (Player 1 in multiplayer) can change settings, and only before the draft.
+ * @param {object} changedSettings - A partial settings object (e.g. `{ scoring }`).
+ */
+function updateGameSettings(changedSettings) {
+    if (gameState.phase !== 'NAME_ENTRY' || !isHost()) return;
+
+    // Seats of players who already joined, or claimed a seat and haven't entered a name yet, can't be removed.
+    if (changedSettings.playerCount) {
+        const isTaken = num => !!playerData[num]?.name || !!playersPresence[`player${num}`]?.clientId;
+        const lastTakenSeat = Math.max(...getPlayerNums().filter(isTaken));
+        changedSettings = { ...changedSettings, playerCount: Math.max(changedSettings.playerCount, lastTakenSeat) };
+    }
+
+    gameState.settings = { ...gameState.settings, ...changedSettings };
+    if (changedSettings.rosterTemplate || changedSettings.playerCount || 'benchSlots' in changedSettings) {
+        applyLeagueSettings();
+    }
+    syncWithFirebase();
+    updateLayout();
+}
+
+/**
+ * Undoes the last pick. Local games undo it straight away; in multiplayer the other players
+ * are asked to approve it first.
+ */
+async function handleUndoLastPick() {
+    const [lastEntry] = getLastPickEntries();
+    if (!lastEntry) return;
+
+    if (gameMode === 'multiplayer') {
+        if (requestUndo(localPlayerNum)) {
+            await syncWithFirebase();
+            updateLayout();
+        }
+        return;
+    }
+
+    if (!confirm(`Undo ${playerData[lastEntry.playerNum].name}'s pick of ${lastEntry.displayName}?`)) return;
+    undoLastPick();
+    hideSlotSelectionModal();
+    localStorage.setItem(`fantasyTeam_${lastEntry.playerNum}`, JSON.stringify(playerData[lastEntry.playerNum]));
+    updateLayout();
+}
+
+/**
+ * Approves or declines another player's request to undo their last pick.
+ * @param {boolean} approved
+ */
+async function handleUndoResponse(approved) {
+    if (respondToUndoRequest(approved)) {
+        hideSlotSelectionModal();
+    }
+    await syncWithFirebase();
+    updateLayout();
+}
+
+/**
+ * Moves one of a player's drafted players to another slot.
+ * @param {number} playerNum - The player number.
+ * @param {string} fromSlotId - The slot the drafted player is in.
+ * @param {string} toSlotId - The slot to move them to.
+ */
+function moveDraftedPlayer(playerNum, fromSlotId, toSlotId) {
+    if (!swapSlots(playerNum, fromSlotId, toSlotId)) return;
+    localStorage.setItem(`fantasyTeam_${playerNum}`, JSON.stringify(playerData[playerNum]));
+    updateLayout();
+}
+
+/**
+ * Returns the slot swap handlers for a player's fantasy roster. Players can only rearrange their
+ * own roster.
+ * @param {number} playerNum - The player number.
+ * @returns {{canSwap: function(string): boolean, onSwap: function(string): void}|null}
+ */
+function getSlotSwapHandlers(playerNum) {
+    if (gameMode === 'multiplayer' && playerNum !== localPlayerNum) return null;
+    const withSync = actionFn => gameMode === 'multiplayer' ? withFirebaseSync(actionFn) : actionFn;
+    return {
+        canSwap: slotId => getSwapTargets(playerNum, slotId).length > 0,
+        onSwap: slotId => {
+            const rosterSlots = playerData[playerNum].rosterSlots;
+            showSlotSwapModal(rosterSlots[slotId], getSwapTargets(playerNum, slotId), rosterSlots, toSlotId => withSync(moveDraftedPlayer)(playerNum, slotId, toSlotId));
+        }
+    };
+}
+
+/**
+ * Gives the local player a grace period to make their pick if they've just (re)connected while on
+ * the clock. It's committed like any other change, so it's dropped if the clock has moved on to
+ * another pick in the meantime.
+ */
+function grantReconnectGrace() {
+    if (!needsReconnectGrace || !syncedState || isSpectator) return;
+    needsReconnectGrace = false;
+
+    const { pickClock } = gameState;
+    if (!pickClock || gameState.currentPlayer !== localPlayerNum || pickClock.overallPick !== gameState.draft?.overallPick) return;
+    const extendedClock = extendPickClockForReconnect(pickClock);
+    if (extendedClock === pickClock) return;
+
+    gameState.pickClock = extendedClock;
+    syncWithFirebase({ silent: true }).then(() => updateLayout());
+}
+
+/**
+ * Counts the pick clock down and makes the pick when time runs out.
+ */
+function tickPickClock() {
+    const remaining = getRemainingSeconds(gameState.pickClock);
+    updatePickClockDisplay(remaining);
+    if (remaining === 0) {
+        handlePickClockExpired();
+    }
+}
+
+/**
+ * Whether this client makes the pick when the clock runs out: the player on the clock if they're
+ * connected, otherwise the lowest connected seat. Local games always handle it.
+ * @returns {boolean}
+ */
+function isResponsibleForTimeoutPick() {
+    if (gameMode !== 'multiplayer') return true;
+    const isConnected = num => !!playersPresence[`player${num}`]?.connected;
+    if (isConnected(gameState.currentPlayer)) {
+        return localPlayerNum === gameState.currentPlayer;
+    }
+    return localPlayerNum === getPlayerNums().find(isConnected);
+}
+
+/**
+ * Makes the pick for the player on the clock once their time is up.
+ */
+async function handlePickClockExpired() {
+    const { overallPick } = gameState.pickClock;
+    if (timeoutPickInFlight === overallPick || !isResponsibleForTimeoutPick()) return;
+
+    timeoutPickInFlight = overallPick;
+    try {
+        await draftOnTimeout(gameState.currentPlayer);
+        await syncWithFirebase({ silent: true });
+    } catch (error) {
+        console.error('Error making the pick after the pick clock expired:', error);
+    } finally {
+        timeoutPickInFlight = null;
+    }
+}
+
+/**
+ * Declares the matchup result once every rostered player's game is final. In multiplayer any
+ * seated player can decide it; it's saved in the room, where the first result written wins and
+ * the others are rolled back, so every client shows the same result.
+ */
+async function checkForResults() {
+    if (gameState.phase !== 'COMPLETE' || gameState.results || isSpectator) return;
+    const playerNums = getPlayerNums();
+    if (!areAllGamesFinal(playerNums.map(num => playerData[num].rosterSlots))) return;
+
+    gameState.results = decideResults(playerData, playerNums, getRosterSlots(gameState.settings), gameState.settings, getClockNow());
+    await syncWithFirebase({ silent: true });
+    updateLayout();
+}
+
+/**
+ * Opens the results screen for the decided matchup.
+ */
+function openResultsModal() {
+    if (!gameState.results) return;
+    showResultsModal(gameState.results, playerData, getRosterSlots(gameState.settings), gameState.settings);
+}
+
+/**
+ * Whether this client controls the game settings (always true for local games).
+ * @returns {boolean}
+ */
+function isHost() {
+    return gameMode !== 'multiplayer' || localPlayerNum === 1;
 }
 
 /**
  * NEW: Fetches and updates fantasy points for a single player's roster.
- * This is designed to be called repeatedly for live updates.
- * @param {number} playerNum - The player number (1 or 2).
+ * This is designed to be called repeatedly for live updates, so its requests are queued
+ * at low priority behind anything the user opened themselves.
+ * @param {number} playerNum - The player number.
  * @returns {Promise<boolean>} A promise that resolves to true if any points were updated.
  */
 async function updateFantasyPointsForPlayer(playerNum) {
     const playerRoster = playerData[playerNum].rosterSlots;
     if (!playerRoster) return false;
 
-    let pointsUpdated = false;
-    const rosterSlotsOrder = ['QB', 'RB', 'WR1', 'WR2', 'TE', 'Flex', 'DEF', 'K'];
+    const requestOptions = { priority: REQUEST_PRIORITY.LOW };
 
-    for (const slotId of rosterSlotsOrder) {
-        const playerInSlot = playerRoster[slotId];
-        if (playerInSlot) { // Fetch for any drafted player
-            let playerNameForTank01 = playerInSlot.displayName;
-            if (playerInSlot.originalPosition === 'DEF') {
-                const team = teams.find(t => t.id === playerInSlot.id.split('-')[1]);
-                playerNameForTank01 = team ? `${team.name} Defense` : playerNameForTank01;
-            }
+    // Slots are fetched in parallel; the Tank01 request scheduler enforces the rate limits.
+    const slotUpdates = await Promise.all(getRosterSlots(gameState.settings).map(async slot => {
+        const playerInSlot = playerRoster[slot.id];
+        if (!playerInSlot) return false; // Fetch for any drafted player
 
-            const tank01PlayerID = await getTank01PlayerID(playerNameForTank01);
-            let newFantasyPoints = 'N/A';
-            let newStatsData = null;
-
-            if (tank01PlayerID) {
-                const result = await fetchLastGameStats(tank01PlayerID);
-                if (result && result.stats) {
-                    newStatsData = result.stats;
-                    const fantasyPointsRaw = result.fantasyPoints;
-
-                    if (playerInSlot.originalPosition === 'DEF') {
-                        newFantasyPoints = fantasyPointsRaw;
-                    } else {
-                        const gameDate = formatGameDate(result.stats.gameID);
-                        const { opponent } = getOpponentAndVenue(result.stats);
-                        const scheduleGame = await fetchLastTeamGame(result.stats.teamAbv, tank01PlayerID);
-                        let teamGame = result.stats;
-                        if (scheduleGame && scheduleGame.gameID && scheduleGame.gameID.localeCompare(result.stats.gameID) > 0) {
-                            teamGame = scheduleGame;
-                        }
-                        const teamGameDate = formatGameDate(teamGame.gameID);
-                        const { opponent: teamOpp } = getOpponentAndVenue(teamGame, result.stats.teamAbv);
-                        newFantasyPoints = (opponent !== teamOpp || gameDate !== teamGameDate) ? 0 : fantasyPointsRaw;
-                    }
-                }
-            }
-            // Check if the points have actually changed before marking as updated
-            if (playerInSlot.fantasyPoints !== newFantasyPoints) {
-                playerInSlot.fantasyPoints = newFantasyPoints;
-                playerInSlot.statsData = newStatsData;
-                pointsUpdated = true;
-            }
-        }
-    }
-    return pointsUpdated;
+        const result = await getPlayerGameResult(playerInSlot, teams, gameState.settings.scoring, gameState.scoringWeek, requestOptions);
+        // Only report a change if the points, status or match actually changed
+        return applyPlayerGameResult(playerInSlot, result);
+    }));
+
+    return slotUpdates.some(Boolean);
 }
 
 
 /**
  * Fetches and displays fantasy points for all players in a roster.
  * This is called when both rosters are full or on initial load for full rosters.
- * @param {number} playerNum - The player number (1 or 2).
+ * @param {number} playerNum - The player number.
  */
 async function fetchAndDisplayPlayerFantasyPoints(playerNum) {
     // This function is now a wrapper around the new update function.
@@ -148,8 +417,9 @@ async function fetchAndDisplayPlayerFantasyPoints(playerNum) {
     if (updated) {
         // If points were updated, save to local storage (for local games) and re-render.
         localStorage.setItem(`fantasyTeam_${playerNum}`, JSON.stringify(playerData[playerNum]));
-        displayFantasyRoster(playerNum, playerData[playerNum], teams, isFantasyRosterFull(playerNum), openPlayerStatsModalCaller);
+        displayFantasyRoster(playerNum, playerData[playerNum], teams, openPlayerStatsModalCaller, gameState.settings.scoring, gameState.scoringWeek, getRosterSlots(gameState.settings), getSlotSwapHandlers(playerNum));
     }
+    await checkForResults();
 }
 
 /**
@@ -161,7 +431,7 @@ function withFirebaseSync(actionFn) {
   return async (...args) => {
     const playerNum = args[0];
     if (gameMode === 'multiplayer' && playerNum !== localPlayerNum) {
-      console.warn(`Action for Player ${playerNum} blocked because you are Player ${localPlayerNum}.`);
+      console.warn(`Action for Player ${playerNum} blocked because you are ${isSpectator ? 'spectating' : `Player ${localPlayerNum}`}.`);
       return;
     }
 
@@ -203,21 +473,11 @@ function setupLocalGame() {
     
     // On initial load for local game, clear storage to ensure a clean start.
     // This prevents loading old completed games.
-    localStorage.removeItem('fantasyTeam_1');
-    localStorage.removeItem('fantasyTeam_2');
-
-    // Attach event listeners for player 1
-    document.getElementById('player1-name-confirm-btn').addEventListener('click', () => confirmName(1));
-    document.getElementById('player1-select-team-btn').addEventListener('click', () => selectTeam(1));
-    document.getElementById('player1-auto-draft-btn').addEventListener('click', () => autoDraft(1));
-    document.getElementById('player1-auto-draft-full-btn').addEventListener('click', () => autoDraftFullRoster(1));
-
-    // Attach event listeners for player 2
-    document.getElementById('player2-name-confirm-btn').addEventListener('click', () => confirmName(2));
-    document.getElementById('player2-select-team-btn').addEventListener('click', () => selectTeam(2));
-    document.getElementById('player2-auto-draft-btn').addEventListener('click', () => autoDraft(2));
-    document.getElementById('player2-auto-draft-full-btn').addEventListener('click', () => autoDraftFullRoster(2));
-    
+    for (let playerNum = 1; playerNum <= MAX_PLAYERS; playerNum++) {
+        localStorage.removeItem(`fantasyTeam_${playerNum}`);
+    }
+
+    // Player sections (and their listeners) are created by updateLayout.
     initializeCommonListeners();
     updateLayout();
 }
@@ -225,7 +485,10 @@ function setupLocalGame() {
 async function setupMultiplayerGame() {
     console.log(`Setting up MULTIPLAYER game for room: ${roomId}`);
     gameRef = ref(db, `games/${roomId}`);
-    const clientId = getOrCreateClientId();
+    clientId = getOrCreateClientId();
+
+    // Pick clock deadlines and last-seen times are in server time.
+    onValue(ref(db, '.info/serverTimeOffset'), (snapshot) => setServerTimeOffset(snapshot.val()));
 
     const snapshot = await get(gameRef);
     if (!snapshot.exists()) {
@@ -235,46 +498,75 @@ async function setupMultiplayerGame() {
     }
 
     const gameData = snapshot.val();
-    const playersNode = gameData.players || {};
 
-    // Determine if the current client is already in the room
-    const isPlayer1 = playersNode.player1?.clientId === clientId;
-    const isPlayer2 = playersNode.player2?.clientId === clientId;
-
-    if (isPlayer1) {
-        localPlayerNum = 1;
-        playerRef = ref(db, `games/${roomId}/players/player1`);
-        // Refresh connection status
-        await update(playerRef, { connected: true, lastSeen: serverTimestamp() });
-    } else if (isPlayer2) {
-        localPlayerNum = 2;
-        playerRef = ref(db, `games/${roomId}/players/player2`);
-        // Refresh connection status
-        await update(playerRef, { connected: true, lastSeen: serverTimestamp() });
+    // The room has one seat per player; seats are keyed player1..playerN in the presence node.
+    const seatNums = Array.from({ length: getPlayerCount(gameData.gameState?.settings) }, (_, i) => i + 1);
+    const seat = await findSeat(gameData, seatNums);
+
+    if (seat) {
+        localPlayerNum = seat.seatNum;
+        playerRef = ref(db, `games/${roomId}/players/player${seat.seatNum}`);
+        reclaimToken = seat.reclaimToken;
+        rememberRoom(roomId, seat.seatNum);
+        roomMeta = { status: gameData.status, expiresAt: gameData.expiresAt };
+        keepRoomAlive(gameData.gameState?.phase);
+        console.log(`You are Player ${localPlayerNum}`);
     } else {
-        // Client is not in the room, find a free slot.
-        const p1_occupied = playersNode.player1 && playersNode.player1.connected;
-        const p2_occupied = playersNode.player2 && playersNode.player2.connected;
-
-        if (!p1_occupied) {
-            localPlayerNum = 1;
-            playerRef = ref(db, `games/${roomId}/players/player1`);
-            await update(playerRef, { clientId: clientId, connected: true, lastSeen: serverTimestamp() });
-        } else if (!p2_occupied) {
-            localPlayerNum = 2;
-            playerRef = ref(db, `games/${roomId}/players/player2`);
-            await update(playerRef, { clientId: clientId, connected: true, lastSeen: serverTimestamp() });
-        } else {
-            alert("This game room is full!");
-            window.location.href = 'index.html';
-            return;
-        }
+        await joinAsSpectator();
     }
-    
-    await onDisconnect(playerRef).update({ connected: false, lastSeen: serverTimestamp() });
 
-    console.log(`You are Player ${localPlayerNum}`);
-    
+    // The seat is marked disconnected whenever the connection drops, so it's claimed again (and
+    // the disconnect handler set again) each time the connection comes back. Spectators are
+    // counted again the same way.
+    onValue(ref(db, '.info/connected'), async (snapshot) => {
+        if (!snapshot.val()) return;
+        try {
+            if (isSpectator) {
+                await registerSpectator();
+                return;
+            }
+            const claimed = await claimSeat(roomId, localPlayerNum, clientId);
+            if (!claimed) {
+                await handleSeatLost();
+                return;
+            }
+            reclaimToken = claimed.reclaimToken;
+            needsReconnectGrace = true;
+            grantReconnectGrace();
+            await onDisconnect(playerRef).update({ connected: false, lastSeen: serverTimestamp() });
+            chatDisconnectRef = await postOnDisconnect(roomId, localPlayerNum);
+            await postSystemMessage(roomId, { playerNum: localPlayerNum, event: 'connected', text: 'connected' });
+        } catch (error) {
+            console.warn("Couldn't restore the room connection after reconnecting:", error);
+        }
+    });
+
+    // Chat drawer
+    document.getElementById('chat-toggle-btn').style.display = 'flex';
+    renderChatForm(!isSpectator);
+    watchChat(roomId, (messages) => {
+        chatMessages = messages;
+        renderChat();
+    });
+    const toggleChat = (isOpen) => {
+        isChatOpen = isOpen;
+        setChatDrawerOpen(isOpen);
+        renderChat();
+    };
+    document.getElementById('chat-toggle-btn').addEventListener('click', () => toggleChat(!isChatOpen));
+    document.querySelector('.close-chat').addEventListener('click', () => toggleChat(false));
+    document.getElementById('chat-form').addEventListener('submit', (event) => {
+        event.preventDefault();
+        const input = document.getElementById('chat-input');
+        if (isSpectator || !input.value.trim()) return;
+        sendChatMessage(roomId, localPlayerNum, input.value)
+            .then(() => { input.value = ''; })
+            .catch(error => {
+                console.error("Couldn't send the chat message:", error);
+                alert("Couldn't send your message. Please check your connection.");
+            });
+    });
+
     // Update share link UI
     const shareLinkInput = document.getElementById('share-link-input');
     shareLinkInput.value = `${window.location.origin}${window.location.pathname}?room=${roomId}`;
@@ -285,42 +577,185 @@ async function setupMultiplayerGame() {
         setTimeout(() => { document.getElementById('copy-link-btn').textContent = 'Copy'; }, 2000);
     });
 
+    // The rejoin link takes the seat back on another browser or device.
+    document.getElementById('copy-rejoin-link-btn').addEventListener('click', (e) => {
+        navigator.clipboard.writeText(buildRejoinLink(roomId, localPlayerNum, reclaimToken));
+        e.currentTarget.textContent = 'Copied! Keep it private.';
+        setTimeout(() => { document.getElementById('copy-rejoin-link-btn').textContent = 'Copy My Rejoin Link'; }, 2000);
+    });
+
+    onValue(ref(db, `spectators/${roomId}`), (snapshot) => renderSpectatorStatus(snapshot.size, isSpectator));
+
     onValue(gameRef, (snapshot) => {
-        if (isSyncing) return; // Ignore updates that we initiated
         const remoteData = snapshot.val();
-        if (remoteData) {
-            // NEW: Prevent re-renders if the incoming data is the same as local state.
-            // This is a simple guard against feedback loops or redundant updates.
-            if (JSON.stringify(remoteData.gameState) === JSON.stringify(gameState) &&
-                JSON.stringify(remoteData.playerData) === JSON.stringify(playerData)) {
-                return;
-            }
-            console.log("Received data from Firebase:", remoteData);
-            // Deep copy to avoid mutation issues
-            Object.assign(gameState, JSON.parse(JSON.stringify(remoteData.gameState || {})));
-            // Safely update player data using the new helper function
-            updateLocalPlayerData(remoteData.playerData);
-            // NEW: Pass the players presence node to updateLayout
-            updateLayout(false, remoteData.players);
+        if (!remoteData) return;
+        // Local changes are being committed against the current base; the room's latest state is
+        // applied once they're done.
+        if (pendingCommits > 0) {
+            deferredRoomData = remoteData;
+            return;
         }
+        applyRoomData(remoteData);
+        grantReconnectGrace(); // For a connection that came back before the room loaded
     });
     
-    // Wrap actions with Firebase sync logic
-    // CRITICAL FIX: The action is for player 1, not necessarily the local player.
-    document.getElementById('player1-name-confirm-btn').addEventListener('click', () => withFirebaseSync(confirmName)(1));
-    document.getElementById('player1-select-team-btn').addEventListener('click', () => withFirebaseSync(selectTeam)(1));
-    document.getElementById('player1-auto-draft-btn').addEventListener('click', () => withFirebaseSync(autoDraft)(1));
-    document.getElementById('player1-auto-draft-full-btn').addEventListener('click', () => withFirebaseSync(autoDraftFullRoster)(1));
-    
-    // CRITICAL FIX: The action is for player 2.
-    document.getElementById('player2-name-confirm-btn').addEventListener('click', () => withFirebaseSync(confirmName)(2));
-    document.getElementById('player2-select-team-btn').addEventListener('click', () => withFirebaseSync(selectTeam)(2));
-    document.getElementById('player2-auto-draft-btn').addEventListener('click', () => withFirebaseSync(autoDraft)(2));
-    document.getElementById('player2-auto-draft-full-btn').addEventListener('click', () => withFirebaseSync(autoDraftFullRoster)(2));
-    
+    // Player sections (and their listeners) are created by updateLayout.
     initializeCommonListeners();
 }
 
+/**
+ * Finds this visitor a seat, in order: the seat in a rejoin link, the seat this client already
+ * holds, a seat nobody has claimed, or, if the visitor chooses to, a disconnected player's seat.
+ * Seats are never reassigned without the visitor asking.
+ * @param {object} gameData - The room.
+ * @param {Array<number>} seatNums - The room's seats.
+ * @returns {Promise<{seatNum: number, reclaimToken: string}|null>} The claimed seat, or null to spectate.
+ */
+async function findSeat(gameData, seatNums) {
+    const playersNode = gameData.players || {};
+    const claim = async (seatNum, options) => {
+        const seat = await claimSeat(roomId, seatNum, clientId, options);
+        return seat ? { seatNum, reclaimToken: seat.reclaimToken } : null;
+    };
+
+    const urlParams = new URLSearchParams(window.location.search);
+    const rejoinSeat = Number(urlParams.get('seat'));
+    const rejoinToken = urlParams.get('token');
+    if (rejoinToken) {
+        // The token is dropped from the address bar so it isn't shared by accident.
+        window.history.replaceState(null, '', `${window.location.pathname}?room=${roomId}`);
+        const seat = seatNums.includes(rejoinSeat) ? await claim(rejoinSeat, { reclaimToken: rejoinToken }) : null;
+        if (seat) return seat;
+        alert("This rejoin link no longer works: the seat has been taken over by someone else.");
+    }
+
+    const ownSeat = seatNums.find(num => playersNode[`player${num}`]?.clientId === clientId);
+    if (ownSeat) {
+        const seat = await claim(ownSeat);
+        if (seat) return seat;
+    }
+
+    // Another visitor may claim the same free seat first; the next one is tried.
+    const triedSeats = new Set();
+    let freeSeat;
+    while ((freeSeat = findFreeSeat(playersNode, seatNums.filter(num => !triedSeats.has(num)))) !== undefined) {
+        const seat = await claim(freeSeat);
+        if (seat) return seat;
+        triedSeats.add(freeSeat);
+    }
+
+    const disconnectedSeats = getDisconnectedSeats(playersNode, seatNums);
+    if (disconnectedSeats.length === 0) return null;
+
+    const seatNum = await new Promise(resolve => showSeatTakeoverModal(
+        disconnectedSeats.map(({ seatNum: num, lastSeen }) => ({
+            seatNum: num,
+            name: gameData.playerData?.[num]?.name || `Player ${num}`,
+            lastSeenText: formatLastSeen(lastSeen, getClockNow())
+        })),
+        resolve,
+        () => resolve(null)
+    ));
+    if (seatNum === null) return null;
+
+    const seat = await claim(seatNum, { takeOver: true });
+    if (!seat) alert("That player has just reconnected, so you'll watch as a spectator.");
+    return seat;
+}
+
+/**
+ * Watches the room read-only. Spectators are counted outside the room, so they never write to it.
+ * A player who lost their seat has its disconnect handlers cancelled first, so they don't mark
+ * the seat's new player disconnected.
+ */
+async function joinAsSpectator() {
+    isSpectator = true;
+    localPlayerNum = null;
+    if (playerRef) await onDisconnect(playerRef).cancel();
+    playerRef = null;
+    if (chatDisconnectRef) await onDisconnect(chatDisconnectRef).cancel();
+    chatDisconnectRef = null;
+    await registerSpectator();
+    console.log('You are spectating');
+}
+
+/**
+ * Counts this client as a spectator until its connection drops. The entry is removed on
+ * disconnect, so it's written again each time the connection comes back.
+ */
+async function registerSpectator() {
+    const spectatorRef = ref(db, `spectators/${roomId}/${clientId}`);
+    await set(spectatorRef, { joinedAt: serverTimestamp() });
+    await onDisconnect(spectatorRef).remove();
+}
+
+/**
+ * Called when someone took over this client's seat while it was disconnected.
+ */
+async function handleSeatLost() {
+    if (isSpectator) return;
+    const lostSeat = localPlayerNum;
+    await joinAsSpectator();
+    renderChatForm(false);
+    renderChat();
+    hideSlotSelectionModal();
+    alert(`Someone took over your seat as Player ${lostSeat} while you were disconnected. You're now watching as a spectator.`);
+    updateLayout();
+}
+
+/**
+ * Attaches the listeners for a newly created player section. In multiplayer the actions
+ * are wrapped with Firebase sync; the action is for the section's player, not necessarily
+ * the local player (withFirebaseSync blocks actions for other players).
+ * @param {number} playerNum - The player number of the section.
+ */
+function attachPlayerSectionListeners(playerNum) {
+    const withSync = actionFn => gameMode === 'multiplayer' ? withFirebaseSync(actionFn) : actionFn;
+
+    document.getElementById(`player${playerNum}-name-confirm-btn`).addEventListener('click', () => withSync(confirmName)(playerNum));
+    document.getElementById(`player${playerNum}-select-team-btn`).addEventListener('click', () => withSync(selectTeam)(playerNum));
+    document.getElementById(`player${playerNum}-auto-draft-btn`).addEventListener('click', () => withSync(autoDraft)(playerNum));
+    document.getElementById(`player${playerNum}-auto-draft-full-btn`).addEventListener('click', () => withSync(autoDraftFullRoster)(playerNum));
+    // A re-roll uses up the player's turn in multiplayer games.
+    document.getElementById(`player${playerNum}-reroll-btn`).addEventListener('click', () => withSync(rerollTeam)(playerNum, gameMode === 'multiplayer'));
+
+    // Add click listener to the avatar preview to open the avatar selection modal
+    document.getElementById(`player${playerNum}-avatar-preview`).addEventListener('click', () => {
+        if (gameMode === 'multiplayer' && localPlayerNum !== playerNum) return;
+        showAvatarSelectionModal(playerNum, playerData[playerNum].avatar, AVATAR_SVGS, (pNum, avatarUrl) => withSync(selectAvatar)(pNum, avatarUrl));
+    });
+
+    // Mobile view swapping to the previous/next player's panel
+    const section = document.getElementById(`player${playerNum}-section`);
+    section.querySelector('.swap-view-btn.swap-left').addEventListener('click', (e) => {
+        e.stopPropagation(); // Prevent clicks bubbling up
+        showPlayerView(playerNum - 1);
+    });
+    section.querySelector('.swap-view-btn.swap-right').addEventListener('click', (e) => {
+        e.stopPropagation();
+        showPlayerView(playerNum + 1);
+    });
+
+    // Populate name input field from loaded data
+    document.getElementById(`player${playerNum}-name`).value = playerData[playerNum]?.name || '';
+}
+
+/**
+ * Slides the mobile drafting view to a player's panel.
+ * @param {number} playerNum - The player number to show.
+ */
+function showPlayerView(playerNum) {
+    const playersContainer = document.querySelector('.players-container');
+    const playerNums = getPlayerNums();
+    if (!playerNums.includes(playerNum)) return;
+
+    playersContainer.dataset.viewPlayer = playerNum;
+    playersContainer.style.setProperty('--view-index', playerNums.indexOf(playerNum));
+    playersContainer.querySelectorAll('.player-section').forEach(section => {
+        section.classList.toggle('in-view', Number(section.dataset.playerNum) === playerNum);
+    });
+}
+
 function initializeCommonListeners() {
     // Header toggle for mobile
     const headerToggleBtn = document.getElementById('header-toggle-btn');
@@ -337,6 +772,7 @@ function initializeCommonListeners() {
     document.querySelector('.cancel-slot-selection').addEventListener('click', hideSlotSelectionModal);
     document.querySelector('.close-stats').addEventListener('click', hidePlayerStatsModal);
     document.querySelector('.close-avatar-modal').addEventListener('click', hideAvatarSelectionModal); 
+    document.querySelector('.close-results').addEventListener('click', hideResultsModal);
 
     // Handle outside clicks for modals
     window.addEventListener('click', (event) => {
@@ -344,6 +780,7 @@ function initializeCommonListeners() {
         const statsModal = document.getElementById('player-stats-modal');
         const slotModal = document.getElementById('slot-selection-modal');
         const avatarModal = document.getElementById('avatar-selection-modal'); 
+        const resultsModal = document.getElementById('results-modal');
 
         if (event.target === rosterModal) {
             hideRosterModal(); 
@@ -357,16 +794,9 @@ function initializeCommonListeners() {
         if (event.target === avatarModal) { 
             hideAvatarSelectionModal();
         }
-    });
-
-    // Add click listener to avatar previews to open the avatar selection modal
-    document.getElementById('player1-avatar-preview').addEventListener('click', () => {
-        if (gameMode === 'multiplayer' && localPlayerNum !== 1) return;
-        showAvatarSelectionModal(1, playerData[1].avatar, AVATAR_SVGS, (pNum, avatarUrl) => gameMode === 'multiplayer' ? withFirebaseSync(selectAvatar)(pNum, avatarUrl) : selectAvatar(pNum, avatarUrl));
-    });
-    document.getElementById('player2-avatar-preview').addEventListener('click', () => {
-        if (gameMode === 'multiplayer' && localPlayerNum !== 2) return;
-        showAvatarSelectionModal(2, playerData[2].avatar, AVATAR_SVGS, (pNum, avatarUrl) => gameMode === 'multiplayer' ? withFirebaseSync(selectAvatar)(pNum, avatarUrl) : selectAvatar(pNum, avatarUrl));
+        if (event.target === resultsModal) {
+            hideResultsModal();
+        }
     });
 
     // NEW: Add swipe gesture for mobile view swapping
@@ -391,16 +821,11 @@ function initializeCommonListeners() {
             return; // Ignore clicks and short swipes
         }
 
-        if (swipeDistance < 0) { // Swiped left
-            if (playersContainer.classList.contains('view-p1')) {
-                playersContainer.classList.remove('view-p1');
-                playersContainer.classList.add('view-p2');
-            }
-        } else { // Swiped right
-            if (playersContainer.classList.contains('view-p2')) {
-                playersContainer.classList.remove('view-p2');
-                playersContainer.classList.add('view-p1');
-            }
+        const viewedPlayer = Number(playersContainer.dataset.viewPlayer) || 1;
+        if (swipeDistance < 0) { // Swiped left: next player
+            showPlayerView(viewedPlayer + 1);
+        } else { // Swiped right: previous player
+            showPlayerView(viewedPlayer - 1);
         }
     }
 
@@ -419,27 +844,10 @@ function initializeCommonListeners() {
         handleSwipe();
     }, { passive: true });
 
-    // NEW: Add click listeners for mobile view swapping
-    const playersContainerMobile = document.querySelector('.players-container');
-    document.querySelectorAll('.swap-view-btn').forEach(btn => {
-        btn.addEventListener('click', (e) => {
-            e.stopPropagation(); // Prevent clicks bubbling up
-            const targetPlayer = btn.dataset.target;
-            
-            // Toggle the view
-            if (playersContainerMobile.classList.contains(`view-p${targetPlayer}`)) {
-                // If we are already viewing the target, do nothing (or switch back, but this is simpler)
-            } else {
-                playersContainerMobile.classList.remove('view-p1', 'view-p2');
-                playersContainerMobile.classList.add(`view-p${targetPlayer}`);
-            }
-        });
-    });
-
-    // Load saved data for both players and initialize playerData structure
+    // Load saved data for every player and initialize playerData structure
     // In multiplayer, this is overwritten by Firebase, but useful for local mode.
     if (gameMode === 'local') {
-        [1, 2].forEach(playerNum => {
+        getPlayerNums().forEach(playerNum => {
             const savedData = localStorage.getItem(`fantasyTeam_${playerNum}`);
             
             // Ensure playerData structure is correctly initialized, filling in missing fields for old saves
@@ -450,9 +858,7 @@ function initializeCommonListeners() {
                     avatar: parsed.avatar || null, 
                     team: parsed.team || null, 
                     draftedPlayers: parsed.draftedPlayers || [], 
-                    rosterSlots: parsed.rosterSlots || {
-                        QB: null, RB: null, WR1: null, WR2: null, TE: null, Flex: null, DEF: null, K: null
-                    },
+                    rosterSlots: normalizeRosterSlots(parsed.rosterSlots, gameState.settings),
                     isSetupStarted: parsed.isSetupStarted || false 
                 };
 
@@ -465,15 +871,8 @@ function initializeCommonListeners() {
                 }
             } else {
                 // If no saved data, ensure base player data is set (it's already set by default export, but explicit is good)
-                playerData[playerNum] = { 
-                    name: '', avatar: null, team: null, draftedPlayers: [], 
-                    rosterSlots: { QB: null, RB: null, WR1: null, WR2: null, TE: null, Flex: null, DEF: null, K: null },
-                    isSetupStarted: false
-                };
+                playerData[playerNum] = createEmptyPlayer();
             }
-            
-            // Populate name input field from loaded data
-            document.getElementById(`player${playerNum}-name`).value = playerData[playerNum].name;
         });
     }
     
@@ -481,70 +880,72 @@ function initializeCommonListeners() {
     updateLayout(); 
 }
 
-function getOrCreateClientId() {
-    let clientId = sessionStorage.getItem('nfl-slots-clientId');
-    if (!clientId) {
-        clientId = `client_${Math.random().toString(36).substring(2, 10)}`;
-        sessionStorage.setItem('nfl-slots-clientId', clientId);
-    }
-    return clientId;
-}
-
 /**
- * Updates the main layout of the application (single player view vs. two-player view)
+ * Updates the main layout of the application (one panel per player, sized by the player count)
  * and the internal display of each player section (name input vs. team display, draft vs. fantasy roster).
  * @param {boolean} shouldSwitchTurn - Whether to switch the current player turn.
- * @param {object} [playersPresence={}] - The presence object for multiplayer from Firebase.
  */
-export function updateLayout(shouldSwitchTurn = false, playersPresence = {}) {
+export function updateLayout(shouldSwitchTurn = false) {
     const playersContainer = document.querySelector('.players-container');
+    const playerNums = getPlayerNums();
+    renderPlayerSections(playerNums, attachPlayerSectionListeners);
+
     // Check game phase transition
-    if (gameState.phase === 'NAME_ENTRY' && playerData[1].name && playerData[2].name) {
+    const allPlayersNamed = playerNums.every(num => playerData[num] && playerData[num].name);
+    if (gameState.phase === 'NAME_ENTRY' && allPlayersNamed) {
         setGamePhase('DRAFTING');
+        // Bind the game to its scoring week now, so "current week" doesn't move as the week rolls over.
+        if (!gameState.scoringWeek) {
+            gameState.scoringWeek = resolveScoringWeek(gameState.settings.scoringWeek);
+        }
+        if (!gameState.draft) {
+            startDraft();
+        }
     }
 
+    // The turn passes to the next player whose roster isn't full (switchTurn skips full rosters).
     if (shouldSwitchTurn && gameState.phase === 'DRAFTING') {
-        const otherPlayerNum = gameState.currentPlayer === 1 ? 2 : 1;
-        // If the other player's roster is NOT full, then it's their turn.
-        // If it IS full, the current player keeps their turn (no switch).
-        if (!isFantasyRosterFull(otherPlayerNum)) {
-            // In multiplayer, only the current player can switch the turn
-            if (gameMode !== 'multiplayer' || localPlayerNum === gameState.currentPlayer) {
-                switchTurn(syncWithFirebase);
-            } else if (gameMode === 'local') {
-                switchTurn();
-            }
+        // In multiplayer, only the current player can switch the turn, unless their pick clock ran out
+        // and this client made the pick for them.
+        const isTimeoutPick = timeoutPickInFlight !== null && timeoutPickInFlight === gameState.draft?.overallPick;
+        if (gameMode !== 'multiplayer' || localPlayerNum === gameState.currentPlayer || isTimeoutPick) {
+            switchTurn(isTimeoutPick ? () => syncWithFirebase({ silent: true }) : syncWithFirebase);
         }
     }
     
-    const areBothRostersFull = isFantasyRosterFull(1) && isFantasyRosterFull(2);
-    if (areBothRostersFull && gameState.phase !== 'COMPLETE') {
+    const areAllRostersFull = playerNums.every(num => isFantasyRosterFull(num));
+    if (areAllRostersFull && gameState.phase !== 'COMPLETE') {
         setGamePhase('COMPLETE');
         // NEW: Explicitly sync when the game is marked as complete.
         if (gameMode === 'multiplayer') {
             // Use a small delay to allow the last action's sync to potentially complete,
             // preventing race conditions, then force a final sync.
-            setTimeout(syncWithFirebase, 300);
+            setTimeout(() => syncWithFirebase({ silent: true }), 300);
         }
     }
 
-    // NEW: Start fetching fantasy points periodically when the game is complete (or rosters are full)
-    if (gameState.phase === 'COMPLETE' && !fantasyPointInterval && gameMode === 'multiplayer') {
+    // NEW: Start fetching fantasy points periodically when the game is complete (or rosters are full),
+    // until the matchup result is decided.
+    const isAwaitingResults = gameState.phase === 'COMPLETE' && !gameState.results;
+    if (isAwaitingResults && !fantasyPointInterval && !isSpectator) {
         console.log("STARTING FANTASY POINT POLLING");
         fantasyPointInterval = setInterval(async () => {
             console.log("Polling for fantasy points...");
-            // Only the "host" (player 1) should be responsible for fetching to avoid duplicate API calls.
-            if (localPlayerNum === 1) {
-                const p1Updated = await updateFantasyPointsForPlayer(1);
-                const p2Updated = await updateFantasyPointsForPlayer(2);
-                if (p1Updated || p2Updated) {
-                    console.log("Points changed, syncing...");
-                    await syncWithFirebase();
+            // Every seated player polls, so the result doesn't depend on any one of them staying.
+            const updates = await Promise.all(getPlayerNums().map(num => updateFantasyPointsForPlayer(num)));
+            if (updates.some(Boolean)) {
+                console.log("Points changed, syncing...");
+                if (gameMode === 'multiplayer') {
+                    await syncWithFirebase({ silent: true });
+                } else {
+                    getPlayerNums().forEach(num => localStorage.setItem(`fantasyTeam_${num}`, JSON.stringify(playerData[num])));
+                    updateLayout();
                 }
             }
+            await checkForResults();
         }, 30000); // Poll every 30 seconds
-    } else if (gameState.phase !== 'COMPLETE' && fantasyPointInterval) {
-        // Clear interval if game resets
+    } else if (!isAwaitingResults && fantasyPointInterval) {
+        // Clear interval once the result is in, or if game resets
         clearInterval(fantasyPointInterval);
         fantasyPointInterval = null;
     }
@@ -560,55 +961,98 @@ export function updateLayout(shouldSwitchTurn = false, playersPresence = {}) {
     if (window.innerWidth <= 768 && (gameState.phase === 'DRAFTING' || gameState.phase === 'COMPLETE')) {
         // When a turn switch occurs, snap the view to the new current player.
         if (shouldSwitchTurn) { 
-            playersContainer.classList.remove('view-p1', 'view-p2');
-            playersContainer.classList.add(`view-p${gameState.currentPlayer}`);
+            showPlayerView(gameState.currentPlayer);
             // Scroll to the top of the new panel
             const targetPanel = document.getElementById(`player${gameState.currentPlayer}-section`);
             if (targetPanel) {
                 targetPanel.scrollIntoView({ behavior: 'smooth', block: 'start' });
             }
-        } else if (!playersContainer.classList.contains('view-p1') && !playersContainer.classList.contains('view-p2')) {
+        } else if (!playerNums.includes(Number(playersContainer.dataset.viewPlayer))) {
             // On initial load of drafting phase, set to player 1's view
-            playersContainer.classList.add('view-p1');
+            showPlayerView(1);
         }
     }
 
+    // Show the pick on the clock and who picks next, and count down the pick clock.
+    if (gameState.phase === 'DRAFTING' && gameState.draft) {
+        renderDraftStatus(gameState.draft, playerData, getUpcomingPick(), getRemainingSeconds(gameState.pickClock));
+    } else {
+        renderDraftStatus(null);
+    }
+    if (gameState.phase === 'DRAFTING' && gameState.pickClock && !pickClockTimer) {
+        pickClockTimer = setInterval(tickPickClock, 1000);
+    } else if ((gameState.phase !== 'DRAFTING' || !gameState.pickClock) && pickClockTimer) {
+        clearInterval(pickClockTimer);
+        pickClockTimer = null;
+    }
+
+    // Show the pick log, with undo for the player who made the last pick (anyone in a local game).
+    if (gameState.phase === 'DRAFTING' || gameState.phase === 'COMPLETE') {
+        const [lastEntry] = getLastPickEntries();
+        const undoRequest = gameState.undoRequest;
+        renderPickLog(gameState.pickLog, playerData, getRosterSlots(gameState.settings), {
+            canUndo: !!lastEntry && (gameMode !== 'multiplayer' || lastEntry.playerNum === localPlayerNum),
+            canRespond: gameMode === 'multiplayer' && !isSpectator && !!undoRequest && undoRequest.requestedBy !== localPlayerNum,
+            request: undoRequest,
+            onUndo: handleUndoLastPick,
+            onRespond: handleUndoResponse
+        });
+    } else {
+        renderPickLog(null);
+    }
+
+    // Announce the result, and open the results screen the first time it's seen.
+    renderResultsBanner(gameState.results, playerData, openResultsModal);
+    if (gameState.results && gameState.results.decidedAt !== shownResultsAt) {
+        shownResultsAt = gameState.results.decidedAt;
+        openResultsModal();
+    } else if (!gameState.results) {
+        shownResultsAt = null;
+        hideResultsModal();
+    }
+
+    // Game settings can only be changed before the draft starts.
+    if (gameState.phase === 'NAME_ENTRY') {
+        renderGameSettingsPanel(gameState.settings, isHost(), updateGameSettings);
+    } else {
+        hideGameSettingsPanel();
+    }
+
     // NEW: Update multiplayer status UI
     const multiplayerStatusBox = document.getElementById('multiplayer-status-box');
     if (gameMode === 'multiplayer') {
         multiplayerStatusBox.style.display = 'block';
+        document.getElementById('copy-rejoin-link-btn').style.display = isSpectator ? 'none' : 'inline-block';
         const statusText = document.getElementById('multiplayer-status-text');
-        const bothPlayersConnected = playersPresence?.player1?.connected && playersPresence?.player2?.connected;
+        const connectedCount = playerNums.filter(num => playersPresence?.[`player${num}`]?.connected).length;
 
-        if (playerData[1].name && playerData[2].name) {
+        if (allPlayersNamed) {
             statusText.textContent = 'Game is on! Good luck!';
             multiplayerStatusBox.className = 'game-ready';
             document.getElementById('share-link-container').style.display = 'none';
-        } else if (bothPlayersConnected) {
-            statusText.textContent = 'Opponent connected! Set your names to begin.';
+        } else if (connectedCount === playerNums.length) {
+            statusText.textContent = isSpectator ? 'The players are choosing their names...' : 'Everyone is here! Set your names to begin.';
             multiplayerStatusBox.className = 'opponent-connected';
             document.getElementById('share-link-container').style.display = 'none';
         } else {
-            statusText.textContent = 'Waiting for opponent to join...';
+            statusText.textContent = `Waiting for players to join... (${connectedCount}/${playerNums.length})`;
             multiplayerStatusBox.className = '';
             document.getElementById('share-link-container').style.display = 'flex';
         }
     }
 
     // NEW: Manage drafting view at a higher level to prevent conflicts.
-    playersContainer.classList.remove('drafting-view', 'p1-drafting', 'p2-drafting'); // Reset first
-
-    const p1Data = playerData[1];
-    const p2Data = playerData[2];
+    playersContainer.classList.remove('drafting-view', ...[...playersContainer.classList].filter(c => /^p\d+-drafting$/.test(c))); // Reset first
+    playersContainer.querySelectorAll('.player-section').forEach(section => section.classList.remove('drafting-panel'));
 
-    if (p1Data && p1Data.team && p1Data.draftedPlayers.length === 0) {
-        playersContainer.classList.add('drafting-view', 'p1-drafting');
-    } else if (p2Data && p2Data.team && p2Data.draftedPlayers.length === 0) {
-        playersContainer.classList.add('drafting-view', 'p2-drafting');
+    const draftingPlayerNum = playerNums.find(num => playerData[num].team && playerData[num].draftedPlayers.length === 0);
+    if (draftingPlayerNum) {
+        playersContainer.classList.add('drafting-view', `p${draftingPlayerNum}-drafting`);
+        document.getElementById(`player${draftingPlayerNum}-section`).classList.add('drafting-panel');
     }
 
     // Update internal display for each player section based on their individual state
-    [1, 2].forEach(playerNum => {
+    playerNums.forEach(playerNum => {
         // NEW: Add a guard to ensure player data exists before proceeding.
         if (!playerData[playerNum]) {
             console.warn(`playerData for player ${playerNum} is missing. Skipping layout update for this player.`);
@@ -648,7 +1092,7 @@ export function updateLayout(shouldSwitchTurn = false, playersPresence = {}) {
             } else {
                 nameInputContainer.style.display = 'none';
                 readyMessageEl.style.display = 'block';
-                readyMessageEl.textContent = 'Ready! Waiting for opponent...';
+                readyMessageEl.textContent = 'Ready! Waiting for the other players...';
             }
              // Update title with name if available, otherwise "Player X"
             renderPlayerAvatar(playerNum, playerData[playerNum].name || `Player ${playerNum}`, playerData[playerNum].avatar);
@@ -690,10 +1134,9 @@ export function updateLayout(shouldSwitchTurn = false, playersPresence = {}) {
                 document.getElementById(`player${playerNum}-team-name`).textContent = `${playerData[playerNum].name}'s Roster`;
                 
                 if (playerData[playerNum].team && playerData[playerNum].team.rosterData && playerData[playerNum].draftedPlayers.length === 0) {
-                    const otherPlayerNum = playerNum === 1 ? 2 : 1;
-                    const opponentData = playerData[otherPlayerNum];
+                    const otherPlayersData = playerNums.filter(num => num !== playerNum).map(num => playerData[num]);
                     const draftCallback = gameMode === 'multiplayer' ? withFirebaseSync(draftPlayer) : draftPlayer;
-                    displayDraftInterface(playerNum, playerData[playerNum].team.rosterData, playerData[playerNum], opponentData, isFantasyRosterFull, isPlayerPositionUndraftable, draftCallback, openPlayerStatsModalCaller);
+                    displayDraftInterface(playerNum, playerData[playerNum].team.rosterData, playerData[playerNum], otherPlayersData, isFantasyRosterFull, isPlayerPositionUndraftable, draftCallback, openPlayerStatsModalCaller, loadProjectionCaller);
                 } else {
                     const inlineRosterEl = getOrCreateChild(playerContentArea, 'inline-roster');
                     inlineRosterEl.innerHTML = ''; 
@@ -707,10 +1150,9 @@ export function updateLayout(shouldSwitchTurn = false, playersPresence = {}) {
                 document.getElementById(`player${playerNum}-team-name`).textContent = playerData[playerNum].team.name;
                 
                 if (playerData[playerNum].team.rosterData && playerData[playerNum].draftedPlayers.length === 0) {
-                    const otherPlayerNum = playerNum === 1 ? 2 : 1;
-                    const opponentData = playerData[otherPlayerNum];
+                    const otherPlayersData = playerNums.filter(num => num !== playerNum).map(num => playerData[num]);
                     const draftCallback = gameMode === 'multiplayer' ? withFirebaseSync(draftPlayer) : draftPlayer;
-                    displayDraftInterface(playerNum, playerData[playerNum].team.rosterData, playerData[playerNum], opponentData, isFantasyRosterFull, isPlayerPositionUndraftable, draftCallback, openPlayerStatsModalCaller);
+                    displayDraftInterface(playerNum, playerData[playerNum].team.rosterData, playerData[playerNum], otherPlayersData, isFantasyRosterFull, isPlayerPositionUndraftable, draftCallback, openPlayerStatsModalCaller, loadProjectionCaller);
                 } else {
                     const inlineRosterEl = getOrCreateChild(playerContentArea, 'inline-roster');
                     inlineRosterEl.innerHTML = ''; 
@@ -730,13 +1172,26 @@ export function updateLayout(shouldSwitchTurn = false, playersPresence = {}) {
             }
             
             // Render fantasy roster always if name is confirmed, it will show as empty slots if not filled
-            displayFantasyRoster(playerNum, playerData[playerNum], teams, openPlayerStatsModalCaller);
+            displayFantasyRoster(playerNum, playerData[playerNum], teams, openPlayerStatsModalCaller, gameState.settings.scoring, gameState.scoringWeek, getRosterSlots(gameState.settings), getSlotSwapHandlers(playerNum));
             
             // This function also handles showing/hiding roll/auto-draft buttons and roster views
-            updatePlayerContentDisplay(playerNum, playerData[playerNum], isFantasyRosterFull, areBothRostersFull);
+            updatePlayerContentDisplay(playerNum, playerData[playerNum], isFantasyRosterFull, areAllRostersFull);
+
+            // Roll pools aren't synced, so a roll without one (after a reconnect or an undo) reloads it.
+            // Spectators load every player's pool to watch the draft boards.
+            if (isLocalPlayer || isSpectator) {
+                restoreRollPool(playerNum);
+            }
+
+            // A rolled team can be re-rolled on the player's turn, before they draft from it.
+            const rerollsLeft = getRerollsLeft(playerNum);
+            const isWaitingToDraft = !!playerData[playerNum].team?.rosterData && playerData[playerNum].draftedPlayers.length === 0;
+            const canReroll = gameState.phase === 'DRAFTING' && isLocalPlayer && playerNum === gameState.currentPlayer && isWaitingToDraft && rerollsLeft > 0;
+            updateRerollDisplay(playerNum, rerollsLeft, getRerollsPerGame(gameState.settings), canReroll);
+            updateSpinButtonLabel(playerNum, getRollMode(gameState.settings).buttonLabel);
 
-            // If roster is full, fetch fantasy points
-            if (isCurrentPlayerRosterFull) {
+            // If roster is full, fetch fantasy points until the result is decided
+            if (isCurrentPlayerRosterFull && !gameState.results) {
                 fetchAndDisplayPlayerFantasyPoints(playerNum);
             }
         }
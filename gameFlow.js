@@ -2,16 +2,25 @@
  * gameFlow.js
  * Contains the core game logic for team selection, drafting, and player state resets.
  */
-import { gameState, playerData, isFantasyRosterFull, switchTurn } from './playerState.js';
-import { shuffleArray, getRandomElement, delay, getCachedData, setCachedData } from './utils.js';
+import { gameState, playerData, isFantasyRosterFull, isPlayerPositionUndraftable, findRosterOwner, getAllDraftedIds, getRerollsLeft, recordReroll, recordRoll } from './playerState.js';
+import { shuffleArray, getRandomElement, delay } from './utils.js';
 import { showSlotSelectionModal, hideSlotSelectionModal } from './uiModals.js';
 import { showTeamAnimationOverlay, hideTeamAnimationOverlay, startLogoCyclingAnimation, stopLogoCyclingAnimation } from './uiAnimations.js';
 import { teams } from './data.js';
 import { updateLayout } from './game.js';
+import { getTeamRoster, getTeamRosters } from './rosterService.js';
+import { getPlayerGameResult, applyPlayerGameResult } from './gameStatus.js';
+import { getPlayerProjection } from './projections.js';
+import { REQUEST_PRIORITY } from './api.js';
+import { getRosterSlots, getEligibleSlots, findOpenSlot } from './leagueSettings.js';
+import { DRAFT_POSITIONS, getRollMode, spinRoll, loadRollPool, isPlayerInRoll } from './rollModes.js';
+import { getRollRules, getRecentTeamIds, getTeamRollWeights } from './rollRules.js';
+import { recordPick } from './pickLog.js';
 
 /**
- * Handles the process of selecting a random NFL team.
- * @param {number} playerNum - The player number (1 or 2).
+ * Handles the process of spinning for a random NFL team (or, depending on the game's roll mode,
+ * a position, division, conference or team and position).
+ * @param {number} playerNum - The player number.
  */
 export async function selectTeam(playerNum) {
     if (playerNum !== gameState.currentPlayer) {
@@ -23,95 +32,126 @@ export async function selectTeam(playerNum) {
         return;
     }
 
+    await spinTeam(playerNum);
+    updateLayout();
+}
+
+/**
+ * Spends one of the player's re-rolls to swap the team they rolled for a different one. If the new
+ * roll can't be loaded, the player keeps their team, their re-roll and their turn.
+ * @param {number} playerNum - The player number.
+ * @param {boolean} endsTurn - Whether the re-roll uses up the player's turn (multiplayer games).
+ */
+export async function rerollTeam(playerNum, endsTurn) {
+    if (playerNum !== gameState.currentPlayer) {
+        alert("It's not your turn!");
+        return;
+    }
+    const currentTeam = playerData[playerNum].team;
+    if (!currentTeam || playerData[playerNum].draftedPlayers.length > 0) {
+        alert('Spin a team before re-rolling it!');
+        return;
+    }
+    if (getRerollsLeft(playerNum) === 0) {
+        alert('You have no re-rolls left!');
+        return;
+    }
+
+    if (!await spinTeam(playerNum, currentTeam)) {
+        playerData[playerNum].team = currentTeam;
+        updateLayout();
+        return;
+    }
+    recordReroll(playerNum, currentTeam.id);
+    updateLayout(endsTurn);
+}
+
+/**
+ * Plays the slot animation for the game's roll mode and gives the player the roll (saved as
+ * their `team`), with the players it lets them draft loaded. If they can't be loaded, the roll
+ * is released so the player can spin again.
+ * @param {number} playerNum - The player number.
+ * @param {object|null} [previousRoll] - The roll being re-rolled, which won't come up again.
+ * @returns {Promise<boolean>} True if the roll was loaded.
+ */
+async function spinTeam(playerNum, previousRoll = null) {
     playerData[playerNum].team = null;
     playerData[playerNum].draftedPlayers = []; 
     console.log(`Player ${playerNum}: draftedPlayers reset to [] after selecting new team.`);
     
     document.getElementById(`player${playerNum}-content-area`).innerHTML = ''; 
 
-    showTeamAnimationOverlay('Selecting your team...');
-    
-    const shuffledTeams = shuffleArray([...teams]);
-    const logos = shuffledTeams.map(t => ({ src: t.logo, isAvatar: false }));
-    const animationDuration = 3100;
+    // Reels only land on positions the player still has a roster slot for.
+    const openPositions = DRAFT_POSITIONS.filter(position => !isPlayerPositionUndraftable(playerNum, position));
+
+    // The roll rules weigh the teams on the team reel.
+    let teamWeights = null;
+    let ruleNotes = [];
+    if (getRollMode(gameState.settings).usesTeamReel) {
+        showTeamAnimationOverlay('Checking the roll rules...');
+        const { weights, notes } = await getTeamRollWeights(gameState.settings, {
+            recentTeamIds: getRecentTeamIds(gameState.rollHistory, playerNum, getRollRules(gameState.settings).repeatWindow),
+            scoringWeek: gameState.scoringWeek,
+            openPositions,
+            draftedIds: getAllDraftedIds()
+        });
+        teamWeights = weights;
+        ruleNotes = notes;
+    }
 
-    startLogoCyclingAnimation(logos, 100);
+    const { roll, reels } = spinRoll(gameState.settings, openPositions, previousRoll, teamWeights);
+    recordRoll(playerNum, roll);
+    const animationDuration = 3100;
 
-    setTimeout(async () => {
+    for (const reel of reels) {
+        const spinText = previousRoll && reel === reels[0] ? `Re-rolling ${previousRoll.name}...` : reel.spinText;
+        // Say which teams the roll rules took off the reel (the team reel always spins first).
+        showTeamAnimationOverlay(reel === reels[0] && ruleNotes.length > 0 ? `${spinText} (${ruleNotes.join('; ')})` : spinText);
+        startLogoCyclingAnimation(shuffleArray([...reel.faces]), 100);
+        await delay(reels.length > 1 ? animationDuration / 2 : animationDuration);
         stopLogoCyclingAnimation();
-        
-        const randomTeam = getRandomElement(teams);
-        playerData[playerNum].team = randomTeam; 
-        
-        showTeamAnimationOverlay(`Selected: ${randomTeam.name}`, randomTeam.logo, false); 
-        
+
+        showTeamAnimationOverlay(`Selected: ${reel.result.name}`, reel.result.logo, false); 
         await delay(500);
+    }
 
-        hideTeamAnimationOverlay(); 
-        
-        try {
-            const rosterCacheKey = `espn-roster-${randomTeam.id}`;
-            const TTL = 10 * 60 * 1000; // 10 minutes
-            let rosterData = getCachedData(rosterCacheKey);
-
-            if (!rosterData) {
-                const response = await fetch(`https://site.api.espn.com/apis/site/v2/sports/football/nfl/teams/${randomTeam.id}/roster`);
-                const data = await response.json();
-                if (data.athletes) {
-                    rosterData = data.athletes;
-                    setCachedData(rosterCacheKey, rosterData, TTL);
-                }
-            }
-            
-            if (rosterData) {
-                playerData[playerNum].team.rosterData = rosterData; 
-                localStorage.setItem(`fantasyTeam_${playerNum}`, JSON.stringify(playerData[playerNum]));
-            }
-        } catch (error) {
-            console.error('Error fetching roster:', error);
-        }
-        updateLayout();
-    }, animationDuration);
+    playerData[playerNum].team = roll;
+
+    try {
+        const rosterData = await loadRollPool(roll);
+        playerData[playerNum].team.rosterData = rosterData;
+        localStorage.setItem(`fantasyTeam_${playerNum}`, JSON.stringify(playerData[playerNum]));
+        hideTeamAnimationOverlay();
+        return true;
+    } catch (error) {
+        console.error('Error fetching roster:', error);
+        // Release the roll so the player can spin again instead of being stuck without a draft board.
+        playerData[playerNum].team = null;
+        showTeamAnimationOverlay(`${error.message} Please roll again.`);
+        await delay(2000);
+        hideTeamAnimationOverlay();
+        return false;
+    }
 }
 
 /**
  * NEW: Helper function to find an available roster slot for a given player and their position.
- * @param {number} playerNum - The player number (1 or 2).
+ * @param {number} playerNum - The player number.
  * @param {object} player - The NFL player object.
  * @returns {string|null} The slot ID if available, otherwise null.
  */
 function findAvailableSlotForPlayer(playerNum, player) {
-    const roster = playerData[playerNum].rosterSlots;
-    let position = player.position?.abbreviation || player.position?.name;
-    if (position === 'PK') position = 'K';
-
-    if (position === 'QB' && !roster.QB) return 'QB';
-    if (position === 'K' && !roster.K) return 'K';
-    if (position === 'DEF' && !roster.DEF) return 'DEF';
-    
-    if (position === 'RB') {
-        if (!roster.RB) return 'RB';
-        if (!roster.Flex) return 'Flex';
-    }
-    if (position === 'WR') {
-        if (!roster.WR1) return 'WR1';
-        if (!roster.WR2) return 'WR2';
-        if (!roster.Flex) return 'Flex';
-    }
-    if (position === 'TE') {
-        if (!roster.TE) return 'TE';
-        if (!roster.Flex) return 'Flex';
-    }
-    
-    return null;
+    const position = player.position?.abbreviation || player.position?.name;
+    return findOpenSlot(playerData[playerNum].rosterSlots, gameState.settings, position);
 }
 
 /**
  * Handles the auto-drafting process for a player.
  * Now drafts a single random player from a random team.
- * @param {number} playerNum - The player number (1 or 2).
+ * @param {number} playerNum - The player number.
+ * @param {string} [source] - How the pick is logged (a PICK_SOURCES key); the pick clock auto-drafts too.
  */
-export async function autoDraft(playerNum) {
+export async function autoDraft(playerNum, source = 'AUTO') {
     if (playerNum !== gameState.currentPlayer) {
         alert("It's not your turn!");
         return;
@@ -135,29 +175,15 @@ export async function autoDraft(playerNum) {
         if (teamsForAnimation.length === 0) return;
         const team = teamsForAnimation.pop();
         try {
-            const rosterCacheKey = `espn-roster-${team.id}`;
-            const TTL = 10 * 60 * 1000; // 10 minutes
-            let rosterData = getCachedData(rosterCacheKey);
-
-            if (!rosterData) {
-                const response = await fetch(`https://site.api.espn.com/apis/site/v2/sports/football/nfl/teams/${team.id}/roster`);
-                const data = await response.json();
-                rosterData = data?.athletes;
-                if (rosterData) setCachedData(rosterCacheKey, rosterData, TTL);
-            }
-
-            if (rosterData) {
-                const headshots = rosterData
-                    .flatMap(pg => pg.items || [])
-                    .map(p => p.headshot?.href)
-                    .filter(Boolean);
-                if (headshots.length > 0) {
-                    animationLogos.push(...shuffleArray(headshots).map(src => ({ src, isAvatar: false })));
-                } else {
-                     animationLogos.push({ src: team.logo, isAvatar: false });
-                }
+            const rosterData = await getTeamRoster(team);
+            const headshots = rosterData
+                .filter(p => p.position?.abbreviation !== 'DEF')
+                .map(p => p.headshot?.href)
+                .filter(Boolean);
+            if (headshots.length > 0) {
+                animationLogos.push(...shuffleArray(headshots).map(src => ({ src, isAvatar: false })));
             } else {
-                animationLogos.push({ src: team.logo, isAvatar: false });
+                 animationLogos.push({ src: team.logo, isAvatar: false });
             }
         } catch (error) {
             console.warn('Could not fetch headshots for animation:', error);
@@ -179,9 +205,7 @@ export async function autoDraft(playerNum) {
             let chosenPlayer = null;
             let availableSlot = null;
             
-            const otherPlayerNum = playerNum === 1 ? 2 : 1;
-            const opponentRosterIds = new Set(Object.values(playerData[otherPlayerNum].rosterSlots).filter(p => p).map(p => p.id));
-            const ownRosterIds = new Set(Object.values(playerData[playerNum].rosterSlots).filter(p => p).map(p => p.id));
+            const allDraftedIds = getAllDraftedIds();
             const maxAttempts = teams.length * 2;
             let attempts = 0;
 
@@ -189,34 +213,16 @@ export async function autoDraft(playerNum) {
                 attempts++;
                 const randomTeam = getRandomElement(teams);
 
-                const rosterCacheKey = `espn-roster-${randomTeam.id}`;
-                const TTL = 10 * 60 * 1000; // 10 minutes
-                let rosterData = getCachedData(rosterCacheKey);
-
-                if (!rosterData) {
-                    const response = await fetch(`https://site.api.espn.com/apis/site/v2/sports/football/nfl/teams/${randomTeam.id}/roster`);
-                    const data = await response.json();
-                    if (data.athletes) {
-                        rosterData = data.athletes;
-                        setCachedData(rosterCacheKey, rosterData, TTL);
-                    }
+                let teamPlayers;
+                try {
+                    teamPlayers = shuffleArray([...await getTeamRoster(randomTeam)]);
+                } catch (error) {
+                    console.warn(`Skipping ${randomTeam.name} for auto-draft:`, error);
+                    continue;
                 }
 
-                if (!rosterData) continue;
-
-                let teamPlayers = rosterData.flatMap(positionGroup => positionGroup.items || []);
-                const defPlayer = {
-                    id: `DEF-${randomTeam.id}`, displayName: randomTeam.name,
-                    position: { name: 'Defense', abbreviation: 'DEF' },
-                    headshot: { href: randomTeam.logo }
-                };
-                teamPlayers.push(defPlayer);
-                shuffleArray(teamPlayers);
-
                 for (const player of teamPlayers) {
-                    if (player.position?.abbreviation === 'PK') player.position.abbreviation = 'K';
-                    const isDrafted = opponentRosterIds.has(player.id) || ownRosterIds.has(player.id);
-                    if (isDrafted) continue;
+                    if (allDraftedIds.has(player.id)) continue;
                     availableSlot = findAvailableSlotForPlayer(playerNum, player);
                     if (availableSlot) {
                         chosenPlayer = player;
@@ -237,8 +243,10 @@ export async function autoDraft(playerNum) {
                     originalPosition: chosenPlayer.position?.abbreviation || chosenPlayer.position?.name,
                     assignedSlot: availableSlot, 
                     headshot: chosenPlayer.headshot || null, // Ensure headshot is not undefined
+                    teamId: chosenPlayer.teamId || null, jersey: chosenPlayer.jersey || null, // Used to resolve the Tank01 player
                     fantasyPoints: null, statsData: null
                 };
+                recordPick(playerNum, playerData[playerNum].rosterSlots[availableSlot], availableSlot, source);
                 
                 playerData[playerNum].team = null;
                 playerData[playerNum].draftedPlayers = [];
@@ -268,7 +276,7 @@ export async function autoDraft(playerNum) {
 /**
  * NEW: Handles auto-drafting a full roster for a player.
  * Fills all empty slots with random, available players.
- * @param {number} playerNum - The player number (1 or 2).
+ * @param {number} playerNum - The player number.
  */
 export async function autoDraftFullRoster(playerNum) {
     if (playerNum !== gameState.currentPlayer) {
@@ -289,53 +297,24 @@ export async function autoDraftFullRoster(playerNum) {
 
     try {
         const roster = playerData[playerNum].rosterSlots;
-        const emptySlots = Object.keys(roster).filter(slot => !roster[slot]);
-
-        const otherPlayerNum = playerNum === 1 ? 2 : 1;
-        const opponentRosterIds = new Set(Object.values(playerData[otherPlayerNum].rosterSlots).filter(p => p).map(p => p.id));
-        const ownRosterIds = new Set(Object.values(playerData[playerNum].rosterSlots).filter(p => p).map(p => p.id));
-        const allDraftedIds = new Set([...opponentRosterIds, ...ownRosterIds]);
-
-        const allPlayersPromises = teams.map(team => {
-            const rosterCacheKey = `espn-roster-${team.id}`;
-            const TTL = 10 * 60 * 1000; // 10 minutes
-            const cachedRoster = getCachedData(rosterCacheKey);
-            if (cachedRoster) {
-                return Promise.resolve({ athletes: cachedRoster });
-            }
-            return fetch(`https://site.api.espn.com/apis/site/v2/sports/football/nfl/teams/${team.id}/roster`)
-                .then(res => res.json())
-                .then(data => {
-                    if (data && data.athletes) {
-                        setCachedData(rosterCacheKey, data.athletes, TTL);
-                    }
-                    return data;
-                })
-                .catch(err => {
-                    console.warn(`Failed to fetch roster for ${team.name}`, err);
-                    return null;
-                });
-        });
+        const emptySlots = getRosterSlots(gameState.settings).filter(slot => !roster[slot.id]);
+
+        const allDraftedIds = getAllDraftedIds();
 
-        const allRosters = await Promise.all(allPlayersPromises);
+        const allRosters = await getTeamRosters(teams);
 
         let masterPlayerPool = [];
-        allRosters.forEach((rosterData, index) => {
-            if (rosterData && rosterData.athletes) {
-                const team = teams[index];
-                masterPlayerPool.push(...rosterData.athletes.flatMap(group => group.items || []));
-                masterPlayerPool.push({
-                    id: `DEF-${team.id}`,
-                    displayName: team.name,
-                    position: { name: 'Defense', abbreviation: 'DEF' },
-                    headshot: { href: team.logo }
-                });
+        allRosters.forEach(({ team, players, error }) => {
+            if (error) {
+                console.warn(`Failed to fetch roster for ${team.name}`, error);
+                return;
             }
+            masterPlayerPool.push(...players);
         });
 
         shuffleArray(masterPlayerPool);
 
-        for (const slotId of emptySlots) {
+        for (const slot of emptySlots) {
             for (let i = 0; i < masterPlayerPool.length; i++) {
                 const player = masterPlayerPool[i];
 
@@ -343,21 +322,17 @@ export async function autoDraftFullRoster(playerNum) {
                     continue;
                 }
 
-                let originalPosition = player.position?.abbreviation || player.position?.name;
-                if (originalPosition === 'PK') originalPosition = 'K';
+                const originalPosition = player.position?.abbreviation || player.position?.name;
 
-                const positionMap = {
-                    'QB': ['QB'], 'RB': ['RB'], 'WR1': ['WR'], 'WR2': ['WR'], 'TE': ['TE'],
-                    'K': ['K'], 'DEF': ['DEF'], 'Flex': ['RB', 'WR', 'TE']
-                };
-
-                if (positionMap[slotId] && positionMap[slotId].includes(originalPosition)) {
-                    playerData[playerNum].rosterSlots[slotId] = {
+                if (slot.accepts.includes(originalPosition)) {
+                    playerData[playerNum].rosterSlots[slot.id] = {
                         id: player.id, displayName: player.displayName,
-                        originalPosition: originalPosition, assignedSlot: slotId,
+                        originalPosition: originalPosition, assignedSlot: slot.id,
                         headshot: player.headshot || null, // Ensure headshot is not undefined
+                        teamId: player.teamId || null, jersey: player.jersey || null, // Used to resolve the Tank01 player
                         fantasyPoints: null, statsData: null
                     };
+                    recordPick(playerNum, playerData[playerNum].rosterSlots[slot.id], slot.id, 'AUTO_FULL');
                     allDraftedIds.add(player.id);
                     break;
                 }
@@ -384,9 +359,66 @@ export async function autoDraftFullRoster(playerNum) {
     }
 }
 
+/**
+ * Makes the pick for a player whose pick clock ran out. If they already rolled a team, a random
+ * draftable player from that roll is picked; otherwise the pick is auto-drafted.
+ * @param {number} playerNum - The player on the clock.
+ */
+export async function draftOnTimeout(playerNum) {
+    hideSlotSelectionModal();
+    const team = playerData[playerNum].team;
+
+    if (team && team.id && playerData[playerNum].draftedPlayers.length === 0) {
+        try {
+            // Roster data isn't synced between clients, so it may need fetching (it's usually cached).
+            const teamPlayers = team.rosterData || await loadRollPool(team);
+            const allDraftedIds = getAllDraftedIds();
+            const candidates = shuffleArray(teamPlayers.filter(p => !allDraftedIds.has(p.id) && isPlayerInRoll(team, p) && findAvailableSlotForPlayer(playerNum, p)));
+            if (candidates.length > 0) {
+                const chosenPlayer = candidates[0];
+                console.log(`Pick clock expired: drafting ${chosenPlayer.displayName} for Player ${playerNum}.`);
+                await assignPlayerToSlot(playerNum, chosenPlayer, findAvailableSlotForPlayer(playerNum, chosenPlayer), 'TIMEOUT');
+                return;
+            }
+        } catch (error) {
+            console.warn(`Could not pick from ${team.name} after the pick clock expired:`, error);
+        }
+    }
+
+    console.log(`Pick clock expired: auto-drafting for Player ${playerNum}.`);
+    await autoDraft(playerNum, 'TIMEOUT');
+}
+
+const restoringRollPools = new Set(); // Player numbers whose roll pool is loading
+
+/**
+ * Reloads the players for a roll that lost them: roll pools aren't synced between clients, so a
+ * player who reconnects mid-pick, or whose pick was undone on another client, has a roll to draft
+ * from but no draft board.
+ * @param {number} playerNum - The player number.
+ */
+export async function restoreRollPool(playerNum) {
+    const roll = playerData[playerNum].team;
+    if (!roll || roll.rosterData || playerData[playerNum].draftedPlayers.length > 0 || restoringRollPools.has(playerNum)) return;
+
+    restoringRollPools.add(playerNum);
+    try {
+        const pool = await loadRollPool(roll);
+        // The roll may have changed (e.g. been drafted from) while its players were loading.
+        if (playerData[playerNum].team?.id === roll.id) {
+            playerData[playerNum].team.rosterData = pool;
+            updateLayout();
+        }
+    } catch (error) {
+        console.error(`Error reloading the players for ${roll.name}:`, error);
+    } finally {
+        restoringRollPools.delete(playerNum);
+    }
+}
+
 /**
  * Initiates the drafting process for a selected player.
- * @param {number} playerNum - The player number (1 or 2).
+ * @param {number} playerNum - The player number.
  * @param {object} player - The NFL player object to draft.
  * @param {string} originalPosition - The player's original position (e.g., 'QB', 'RB', 'WR', 'TE', 'K', 'DEF').
  */
@@ -405,6 +437,12 @@ export function draftPlayer(playerNum, player, originalPosition) {
         return;
     }
 
+    const roll = playerData[playerNum].team;
+    if (roll && !isPlayerInRoll(roll, player)) {
+        alert(`${player.displayName} can't be drafted with this roll (${roll.name}).`);
+        return;
+    }
+
     if (playerData[playerNum].draftedPlayers.length > 0) {
         console.warn(`Player ${playerNum} has already drafted a player from this team. draftedPlayers.length: ${playerData[playerNum].draftedPlayers.length}`);
         alert('You have already drafted a player from this team. Please select a new team or auto-draft to draft another player.');
@@ -417,39 +455,34 @@ export function draftPlayer(playerNum, player, originalPosition) {
         return;
     }
 
-    const flexPositions = ['RB', 'WR', 'TE'];
+    const eligibleSlots = getEligibleSlots(gameState.settings, originalPosition);
 
-    if (flexPositions.includes(originalPosition)) {
+    if (eligibleSlots.length > 1) {
         showSlotSelectionModal(
             player,
             playerNum,
-            originalPosition,
+            eligibleSlots,
             playerData[playerNum],
             assignPlayerToSlot,
-            hideSlotSelectionModal
+            hideSlotSelectionModal,
+            () => getPlayerProjection({ ...player, originalPosition }, teams, gameState.settings.scoring, gameState.scoringWeek, { priority: REQUEST_PRIORITY.HIGH })
         );
+    } else if (eligibleSlots.length === 1) {
+        assignPlayerToSlot(playerNum, player, eligibleSlots[0].id);
     } else {
-        let targetSlot;
-        if (originalPosition === 'QB') targetSlot = 'QB';
-        else if (originalPosition === 'K') targetSlot = 'K';
-        else if (originalPosition === 'DEF') targetSlot = 'DEF';
-
-        if (targetSlot) {
-            assignPlayerToSlot(playerNum, player, targetSlot);
-        } else {
-            console.error(`Attempted to draft ${player.displayName} (${originalPosition}) to an unknown slot.`);
-            alert(`Cannot draft ${player.displayName} to an unknown slot for position ${originalPosition}.`);
-        }
+        console.error(`Attempted to draft ${player.displayName} (${originalPosition}), but the roster has no slot for that position.`);
+        alert(`Cannot draft ${player.displayName}: this league has no roster slot for position ${originalPosition}.`);
     }
 }
 
 /**
  * Assigns a drafted player to a specific fantasy roster slot.
- * @param {number} playerNum - The player number (1 or 2).
+ * @param {number} playerNum - The player number.
  * @param {object} playerObj - The NFL player object to assign.
  * @param {string} slotId - The fantasy roster slot ID (e.g., 'QB', 'RB', 'WR1').
+ * @param {string} [source] - How the pick is logged (a PICK_SOURCES key).
  */
-export async function assignPlayerToSlot(playerNum, playerObj, slotId) {
+export async function assignPlayerToSlot(playerNum, playerObj, slotId, source = 'ROLL') {
     if (playerNum !== gameState.currentPlayer) {
         console.warn(`ASSIGNMENT BLOCKED: Not Player ${playerNum}'s turn.`);
         alert("It's not your turn!");
@@ -457,7 +490,7 @@ export async function assignPlayerToSlot(playerNum, playerObj, slotId) {
         return;
     }
 
-    // This sanitization is good practice locally, but the main fix is in syncWithFirebase.
+    // Roll pools aren't synced (captureRoomState in roomSync.js leaves them out), and this one is spent.
     if (playerData[playerNum].team && playerData[playerNum].team.rosterData) {
         delete playerData[playerNum].team.rosterData;
     }
@@ -470,15 +503,12 @@ export async function assignPlayerToSlot(playerNum, playerObj, slotId) {
         return;
     }
 
-    // NEW: Check if the player has been drafted by the opponent.
-    const otherPlayerNum = playerNum === 1 ? 2 : 1;
-    if (playerData[otherPlayerNum].name) { // Only check if opponent exists
-        const isDraftedByOpponent = Object.values(playerData[otherPlayerNum].rosterSlots).some(slotPlayer => slotPlayer && slotPlayer.id === playerObj.id);
-        if (isDraftedByOpponent) {
-            alert(`${playerObj.displayName} has already been drafted by ${playerData[otherPlayerNum].name}!`);
-            hideSlotSelectionModal();
-            return;
-        }
+    // Check if the player has been drafted by any other player.
+    const ownerNum = findRosterOwner(playerObj.id);
+    if (ownerNum !== null) {
+        alert(`${playerObj.displayName} has already been drafted by ${playerData[ownerNum].name || `Player ${ownerNum}`}!`);
+        hideSlotSelectionModal();
+        return;
     }
 
     // This check ensures only one player is drafted per 'team spin'
@@ -503,10 +533,12 @@ export async function assignPlayerToSlot(playerNum, playerObj, slotId) {
         originalPosition: playerObj.position?.abbreviation || playerObj.position?.name,
         assignedSlot: slotId, 
         headshot: playerObj.headshot || null, // Ensure headshot is not undefined
+        teamId: playerObj.teamId || null, jersey: playerObj.jersey || null, // Used to resolve the Tank01 player
         fantasyPoints: null, statsData: null
     };
 
     playerData[playerNum].draftedPlayers.push({ id: playerObj.id, assignedSlot: slotId });
+    recordPick(playerNum, playerData[playerNum].rosterSlots[slotId], slotId, source);
 
     localStorage.setItem(`fantasyTeam_${playerNum}`, JSON.stringify(playerData[playerNum]));
 
@@ -518,37 +550,11 @@ export async function assignPlayerToSlot(playerNum, playerObj, slotId) {
     // NEW: Immediately fetch fantasy points for the newly drafted player.
     // This will update the "Loading..." text in the UI after a short delay.
     (async () => {
-        let playerNameForTank01 = playerObj.displayName;
-        if (playerObj.position?.abbreviation === 'DEF') {
-            const team = teams.find(t => t.id === playerObj.id.split('-')[1]);
-            playerNameForTank01 = team ? `${team.name} Defense` : playerNameForTank01;
-        }
-
-        const tank01PlayerID = await getTank01PlayerID(playerNameForTank01);
-        if (tank01PlayerID) {
-            const result = await fetchLastGameStats(tank01PlayerID);
-            const playerInRoster = playerData[playerNum].rosterSlots[slotId];
-            if (playerInRoster && result && result.stats) {
-                playerInRoster.statsData = result.stats;
-                const fantasyPointsRaw = result.fantasyPoints;
-
-                if (playerInRoster.originalPosition === 'DEF') {
-                    playerInRoster.fantasyPoints = fantasyPointsRaw;
-                } else {
-                    const gameDate = formatGameDate(result.stats.gameID);
-                    const { opponent } = getOpponentAndVenue(result.stats);
-                    const scheduleGame = await fetchLastTeamGame(result.stats.teamAbv, tank01PlayerID);
-                    let teamGame = result.stats;
-                    if (scheduleGame && scheduleGame.gameID && scheduleGame.gameID.localeCompare(result.stats.gameID) > 0) {
-                        teamGame = scheduleGame;
-                    }
-                    const teamGameDate = formatGameDate(teamGame.gameID);
-                    const { opponent: teamOpp } = getOpponentAndVenue(teamGame, result.stats.teamAbv);
-                    playerInRoster.fantasyPoints = (opponent !== teamOpp || gameDate !== teamGameDate) ? 0 : fantasyPointsRaw;
-                }
-            } else if (playerInRoster) {
-                playerInRoster.fantasyPoints = 'N/A';
-            }
+        const result = await getPlayerGameResult(playerObj, teams, gameState.settings.scoring, gameState.scoringWeek);
+        const playerInRoster = playerData[playerNum].rosterSlots[slotId];
+        // The player may have been moved to another slot, or undone, while the result loaded.
+        if (playerInRoster && playerInRoster.id === playerObj.id) {
+            applyPlayerGameResult(playerInRoster, result);
             // After fetching, re-render the specific player's roster and sync if in multiplayer.
             updateLayout(false); // Re-render without switching turn
         }
@@ -0,0 +1,265 @@
+/**
+ * gameStatus.js
+ * Resolves the NFL week a game is scored on, works out where each rostered player's game
+ * stands that week (scheduled, in progress, final or on a bye) and scores the player for
+ * that game. A player whose game hasn't started yet is reported as scheduled rather than
+ * as scoring zero.
+ */
+
+import { fetchTeamSchedule, fetchGameStatus, fetchPlayerGameStats } from './api.js';
+import { resolveTank01Player, getPlayerTeamId } from './playerIdentity.js';
+import { getOpponentAndVenue } from './utils.js';
+import { getTeamByeWeek } from './data.js';
+
+export const GAME_STATUS = {
+    SCHEDULED: 'scheduled',
+    IN_PROGRESS: 'in_progress',
+    FINAL: 'final',
+    BYE: 'bye'
+};
+
+export const CURRENT_WEEK = 'current';
+export const REGULAR_SEASON_WEEKS = 18;
+
+// The scoring week the host picks at setup; 'current' is resolved when the draft starts.
+export const DEFAULT_SCORING_WEEK = { season: CURRENT_WEEK, week: CURRENT_WEEK };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Classifies a Tank01 schedule entry or game status by its status text and code.
+ * @param {object} game - An object with `gameStatus` and/or `gameStatusCode`.
+ * @returns {string} One of GAME_STATUS (never BYE).
+ */
+export function classifyGameStatus(game) {
+    const code = String(game.gameStatusCode ?? '');
+    const text = (game.gameStatus || '').toLowerCase();
+    if (code === '1' || text.includes('progress') || text.includes('live')) return GAME_STATUS.IN_PROGRESS;
+    if (code === '2' || text.includes('completed') || text.includes('final')) return GAME_STATUS.FINAL;
+    return GAME_STATUS.SCHEDULED;
+}
+
+/**
+ * Formats a date as a Tank01 'YYYYMMDD' date key.
+ * @param {Date} date
+ * @returns {string}
+ */
+function toDateKey(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}${month}${day}`;
+}
+
+/**
+ * Returns the Wednesday that opens Week 1: the season kicks off the Thursday after Labor Day,
+ * and NFL weeks are scored Wednesday through Tuesday.
+ * @param {number} season - The season's starting year.
+ * @returns {Date}
+ */
+function getWeekOneStart(season) {
+    const laborDay = new Date(season, 8, 1);
+    laborDay.setDate(1 + ((8 - laborDay.getDay()) % 7)); // First Monday of September
+    return new Date(season, 8, laborDay.getDate() + 2);
+}
+
+/**
+ * Works out the NFL season and regular-season week for a date. Monday night and Tuesday still
+ * belong to the previous Sunday's week. Before the season starts this is Week 1; after the
+ * regular season it stays on the final week.
+ * @param {Date} [now]
+ * @returns {{season: string, week: number}}
+ */
+export function getCurrentScoringWeek(now = new Date()) {
+    // January and February belong to the season that started the previous autumn.
+    const season = now.getMonth() < 2 ? now.getFullYear() - 1 : now.getFullYear();
+    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    const weeksElapsed = Math.floor(Math.round((today - getWeekOneStart(season)) / DAY_MS) / 7);
+    const week = Math.min(Math.max(weeksElapsed + 1, 1), REGULAR_SEASON_WEEKS);
+    return { season: String(season), week };
+}
+
+/**
+ * Turns a scoring week setting into a concrete season and week.
+ * @param {{season: string, week: string|number}} [choice] - The setting; 'current' parts use today's date.
+ * @param {Date} [now]
+ * @returns {{season: string, week: number}}
+ */
+export function resolveScoringWeek(choice, now = new Date()) {
+    const current = getCurrentScoringWeek(now);
+    if (!choice || choice.week === CURRENT_WEEK || !choice.week) return current;
+    return {
+        season: choice.season && choice.season !== CURRENT_WEEK ? String(choice.season) : current.season,
+        week: Number(choice.week)
+    };
+}
+
+/**
+ * Returns the first day (a Wednesday) of a scoring week as a 'YYYYMMDD' date key.
+ * @param {{season: string, week: number}} scoringWeek - A resolved scoring week.
+ * @returns {string}
+ */
+export function getScoringWeekStart(scoringWeek) {
+    const start = getWeekOneStart(Number(scoringWeek.season));
+    start.setDate(start.getDate() + 7 * (scoringWeek.week - 1));
+    return toDateKey(start);
+}
+
+/**
+ * Short label for a resolved scoring week, e.g. "Week 3, 2025".
+ * @param {{season: string, week: number}} scoringWeek
+ * @returns {string}
+ */
+export function formatScoringWeek(scoringWeek) {
+    return `Week ${scoringWeek.week}, ${scoringWeek.season}`;
+}
+
+/**
+ * Formats a schedule entry's kickoff, e.g. "Sun 9/21 1:00p ET" (Tank01 times are Eastern).
+ * @param {object} game - A Tank01 schedule entry.
+ * @returns {string|null}
+ */
+function formatKickoff(game) {
+    if (!game.gameDate || game.gameDate.length !== 8) return null;
+    const date = new Date(Number(game.gameDate.slice(0, 4)), Number(game.gameDate.slice(4, 6)) - 1, Number(game.gameDate.slice(6, 8)));
+    const weekday = date.toLocaleDateString('en-US', { weekday: 'short' });
+    const time = game.gameTime ? ` ${game.gameTime} ET` : '';
+    return `${weekday} ${date.getMonth() + 1}/${date.getDate()}${time}`;
+}
+
+/**
+ * Gets the status of a team's game in the scoring week.
+ * @param {string} teamAbv - The team abbreviation, as a data.js team ID.
+ * @param {{season: string, week: number}} scoringWeek - The resolved scoring week.
+ * @param {{priority?: number}} [options] - Request options.
+ * @returns {Promise<{status: string, gameID: string|null, opponent: string|null, venue: string, kickoff: string|null, period: string|null, clock: string|null}|null>}
+ *   The game status, or null if the team's schedule is unavailable.
+ */
+export async function getTeamGameStatus(teamAbv, scoringWeek, options = {}) {
+    let schedule;
+    try {
+        schedule = await fetchTeamSchedule(teamAbv, scoringWeek.season, options);
+    } catch (e) {
+        console.error(`Error fetching schedule for ${teamAbv}:`, e);
+        return null;
+    }
+    if (!schedule || !schedule.length) return null;
+
+    const game = schedule.find(g => g.seasonType !== 'Preseason' && g.gameWeek === `Week ${scoringWeek.week}`);
+    if (!game) {
+        return { status: GAME_STATUS.BYE, gameID: null, opponent: null, venue: '', kickoff: null, period: null, clock: null };
+    }
+
+    let status = classifyGameStatus(game);
+    let period = null;
+    let clock = null;
+
+    // The schedule is cached for minutes, so games that may have kicked off are checked live.
+    if (status !== GAME_STATUS.FINAL && game.gameDate <= toDateKey(new Date())) {
+        const live = await fetchGameStatus(game.gameID, options);
+        if (live && (live.gameStatus || live.gameStatusCode)) {
+            status = classifyGameStatus(live);
+            period = live.currentPeriod;
+            clock = live.gameClock;
+        }
+    }
+
+    const { opponent, venue } = getOpponentAndVenue(game, teamAbv);
+    return { status, gameID: game.gameID, opponent, venue, kickoff: formatKickoff(game), period, clock };
+}
+
+/**
+ * Works out a team's bye week in a season from its schedule: the first regular-season week, up to
+ * its last scheduled game, that it doesn't play in. Falls back to the bye weeks in data.js when
+ * the schedule can't be loaded or doesn't show one.
+ * @param {object} team - A team from data.js.
+ * @param {string} season - The season's starting year.
+ * @param {{priority?: number}} [options] - Request options.
+ * @returns {Promise<number|null>} The bye week, or null if it isn't known.
+ */
+export async function findTeamByeWeek(team, season, options = {}) {
+    try {
+        const schedule = await fetchTeamSchedule(team.id, season, options);
+        const playedWeeks = new Set((schedule || [])
+            .filter(game => game.seasonType === 'Regular Season')
+            .map(game => Number(String(game.gameWeek).replace('Week ', '')))
+            .filter(Boolean));
+        const lastWeek = Math.max(0, ...playedWeeks);
+        for (let week = 1; week < lastWeek; week++) {
+            if (!playedWeeks.has(week)) return week;
+        }
+    } catch (e) {
+        console.error(`Error fetching schedule for ${team.id}:`, e);
+    }
+    return getTeamByeWeek(team, season);
+}
+
+/**
+ * Resolves a player and scores them for their team's game in the scoring week.
+ * Scheduled games and byes score 0 so far; a final or live game without a stat line for the
+ * player (e.g. inactive) also scores 0. A player Tank01 can't match still follows their team's
+ * game and scores 0, so they don't hold up the matchup result.
+ * @param {object} player - A roster slot or ESPN roster player.
+ * @param {Array<object>} allTeams - The teams list (from data.js).
+ * @param {{ruleSet: string, customWeights: object|null}} [scoring] - The game's scoring settings.
+ * @param {{season: string, week: number}|null} [scoringWeek] - The game's frozen scoring week; defaults to the current week.
+ * @param {{priority?: number}} [options] - Request options.
+ * @returns {Promise<{match: object|null, scoringWeek: object, gameStatus: object|null, stats: object|null, fantasyPoints: number|string}|null>}
+ *   The result (`fantasyPoints` is 'N/A' when the schedule is unavailable; `match` is null for an
+ *   unmatched player), or null if neither the player nor their team's game could be resolved.
+ */
+export async function getPlayerGameResult(player, allTeams, scoring, scoringWeek = null, options = {}) {
+    const match = await resolveTank01Player(player, allTeams, options);
+
+    const week = scoringWeek || getCurrentScoringWeek();
+    const teamId = await getPlayerTeamId(player, match ? match.playerID : null, week.season, options);
+    const gameStatus = teamId ? await getTeamGameStatus(teamId, week, options) : null;
+    if (!gameStatus) return match ? { match, scoringWeek: week, gameStatus: null, stats: null, fantasyPoints: 'N/A' } : null;
+
+    if (match && (gameStatus.status === GAME_STATUS.FINAL || gameStatus.status === GAME_STATUS.IN_PROGRESS)) {
+        const result = await fetchPlayerGameStats(match.playerID, week.season, gameStatus.gameID, scoring, options);
+        return { match, scoringWeek: week, gameStatus, stats: result ? result.stats : null, fantasyPoints: result ? result.fantasyPoints : 0 };
+    }
+    return { match, scoringWeek: week, gameStatus, stats: null, fantasyPoints: 0 };
+}
+
+/**
+ * Copies a player's game result onto their roster slot.
+ * @param {object} slot - The roster slot to update.
+ * @param {object|null} result - The result from getPlayerGameResult.
+ * @returns {boolean} True if anything shown for the slot changed.
+ */
+export function applyPlayerGameResult(slot, result) {
+    const next = {
+        fantasyPoints: result ? result.fantasyPoints : 'N/A',
+        statsData: result ? result.stats : null,
+        matchConfidence: result?.match ? result.match.confidence : null,
+        gameStatus: result ? result.gameStatus : null
+    };
+    const changed = Object.keys(next).some(key => JSON.stringify(slot[key] ?? null) !== JSON.stringify(next[key]));
+    Object.assign(slot, next);
+    return changed;
+}
+
+/**
+ * Short text for a game status, e.g. "Final", "3rd 5:12", "Sun 9/21 1:00p ET" or "Bye".
+ * @param {object|null} gameStatus - A status from getTeamGameStatus.
+ * @returns {string}
+ */
+export function formatGameStatus(gameStatus) {
+    if (!gameStatus) return '';
+    switch (gameStatus.status) {
+        case GAME_STATUS.BYE: return 'Bye';
+        case GAME_STATUS.FINAL: return 'Final';
+        case GAME_STATUS.IN_PROGRESS: return [gameStatus.period, gameStatus.clock].filter(Boolean).join(' ') || 'In progress';
+        default: return gameStatus.kickoff || 'Scheduled';
+    }
+}
+
+/**
+ * Whether a player's points can still change this week.
+ * @param {object|null} gameStatus - A status from getTeamGameStatus.
+ * @returns {boolean}
+ */
+export function isGameRemaining(gameStatus) {
+    return !!gameStatus && (gameStatus.status === GAME_STATUS.SCHEDULED || gameStatus.status === GAME_STATUS.IN_PROGRESS);
+}
@@ -1,6 +1,61 @@
 import { db } from './firebase.js';
-import { ref, set, push, serverTimestamp } from "firebase/database";
+import { ref, set, get, push, serverTimestamp } from "firebase/database";
 import { playerData, gameState } from './playerState.js';
+import { ROOM_STATUS, ROOM_TTL_MS, pruneStaleRooms, getRememberedRooms, forgetRoom, summarizeRoom } from './roomLifecycle.js';
+
+const ROOM_STATUS_LABELS = {
+    [ROOM_STATUS.LOBBY]: 'Waiting for players',
+    [ROOM_STATUS.DRAFTING]: 'Drafting',
+    [ROOM_STATUS.COMPLETE]: 'Games in progress',
+    [ROOM_STATUS.ABANDONED]: 'Abandoned'
+};
+
+/**
+ * Lists the rooms this device has joined, with their opponents, status and score, so unfinished
+ * games can be picked back up. Rooms that no longer exist are forgotten.
+ */
+async function renderMyGames() {
+    const panel = document.getElementById('my-games-panel');
+    const list = document.getElementById('my-games-list');
+    const rememberedRooms = getRememberedRooms();
+    if (rememberedRooms.length === 0) return;
+
+    const entries = await Promise.all(rememberedRooms.map(async ({ roomId, seatNum }) => {
+        try {
+            const snapshot = await get(ref(db, `games/${roomId}`));
+            if (!snapshot.exists()) {
+                forgetRoom(roomId);
+                return null;
+            }
+            return { roomId, summary: summarizeRoom(snapshot.val(), seatNum) };
+        } catch (error) {
+            console.warn(`Could not load game ${roomId}:`, error);
+            return null;
+        }
+    }));
+
+    list.innerHTML = '';
+    entries.filter(Boolean).forEach(({ roomId, summary }) => {
+        const formatPoints = player => (typeof player?.points === 'number' ? player.points.toFixed(2) : '–');
+        const item = document.createElement('li');
+        const link = document.createElement('a');
+        link.className = `my-game my-game--${summary.status}`;
+        link.href = `game.html?room=${roomId}`;
+        link.innerHTML = `
+            <span class="my-game-opponents"></span>
+            <span class="my-game-status"></span>
+            <span class="my-game-score"></span>
+        `;
+        link.querySelector('.my-game-opponents').textContent = `vs ${summary.opponents.map(player => player.name).join(', ')}`;
+        link.querySelector('.my-game-status').textContent = summary.isDecided ? 'Final' : ROOM_STATUS_LABELS[summary.status];
+        link.querySelector('.my-game-score').textContent = summary.you && summary.you.points !== null
+            ? [summary.you, ...summary.opponents].map(formatPoints).join(' – ')
+            : '';
+        item.appendChild(link);
+        list.appendChild(item);
+    });
+    panel.style.display = list.children.length > 0 ? 'block' : 'none';
+}
 
 document.addEventListener('DOMContentLoaded', () => {
     const playSlotsBtn = document.getElementById('play-slots-btn');
@@ -22,6 +77,10 @@ document.addEventListener('DOMContentLoaded', () => {
         gameModeSelection.style.display = 'flex';
     });
 
+    renderMyGames();
+    // Any visitor tidies up a few expired rooms; failures only mean they're left for the next one.
+    pruneStaleRooms().catch(error => console.warn('Could not clean up expired rooms:', error));
+
     backToMainBtn.addEventListener('click', () => {
         gameModeSelection.style.display = 'none';
         initialOptions.style.display = 'flex';
@@ -46,7 +105,9 @@ document.addEventListener('DOMContentLoaded', () => {
                     ...gameState // uses the default game state
                 },
                 players: {},
-                createdAt: serverTimestamp()
+                createdAt: serverTimestamp(),
+                status: ROOM_STATUS.LOBBY,
+                expiresAt: Date.now() + ROOM_TTL_MS[ROOM_STATUS.LOBBY]
             });
 
             // Redirect to the game page with the new room ID
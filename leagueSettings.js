@@ -0,0 +1,205 @@
+/**
+ * leagueSettings.js
+ * Defines the league a game is played in: how many players take part, how many team re-rolls
+ * they get and the fantasy roster template they draft into, plus any bench slots. A template
+ * lists the roster slots in display order and the positions each slot accepts, so every module
+ * that fills, checks or renders a roster reads the slots from here instead of hard-coding them.
+ */
+
+export const MIN_PLAYERS = 2;
+export const MAX_PLAYERS = 12;
+export const DEFAULT_PLAYER_COUNT = 2;
+
+const FLEX_POSITIONS = ['RB', 'WR', 'TE'];
+const SUPERFLEX_POSITIONS = ['QB', ...FLEX_POSITIONS];
+const BENCH_POSITIONS = ['QB', 'RB', 'WR', 'TE', 'K', 'DEF'];
+
+export const ROSTER_TEMPLATES = {
+    STANDARD: {
+        label: 'Standard (QB, RB, 2 WR, TE, Flex, DEF, K)',
+        slots: [
+            { id: 'QB', label: 'QB', accepts: ['QB'] },
+            { id: 'RB', label: 'RB', accepts: ['RB'] },
+            { id: 'WR1', label: 'WR1', accepts: ['WR'] },
+            { id: 'WR2', label: 'WR2', accepts: ['WR'] },
+            { id: 'TE', label: 'TE', accepts: ['TE'] },
+            { id: 'Flex', label: 'Flex', accepts: FLEX_POSITIONS },
+            { id: 'DEF', label: 'DEF', accepts: ['DEF'] },
+            { id: 'K', label: 'K', accepts: ['K'] }
+        ]
+    },
+    TWO_RB_THREE_WR: {
+        label: '2 RB, 3 WR',
+        slots: [
+            { id: 'QB', label: 'QB', accepts: ['QB'] },
+            { id: 'RB1', label: 'RB1', accepts: ['RB'] },
+            { id: 'RB2', label: 'RB2', accepts: ['RB'] },
+            { id: 'WR1', label: 'WR1', accepts: ['WR'] },
+            { id: 'WR2', label: 'WR2', accepts: ['WR'] },
+            { id: 'WR3', label: 'WR3', accepts: ['WR'] },
+            { id: 'TE', label: 'TE', accepts: ['TE'] },
+            { id: 'Flex', label: 'Flex', accepts: FLEX_POSITIONS },
+            { id: 'DEF', label: 'DEF', accepts: ['DEF'] },
+            { id: 'K', label: 'K', accepts: ['K'] }
+        ]
+    },
+    SUPERFLEX: {
+        label: 'Superflex (adds a QB-eligible Flex)',
+        slots: [
+            { id: 'QB', label: 'QB', accepts: ['QB'] },
+            { id: 'RB', label: 'RB', accepts: ['RB'] },
+            { id: 'WR1', label: 'WR1', accepts: ['WR'] },
+            { id: 'WR2', label: 'WR2', accepts: ['WR'] },
+            { id: 'TE', label: 'TE', accepts: ['TE'] },
+            { id: 'Flex', label: 'Flex', accepts: FLEX_POSITIONS },
+            { id: 'SuperFlex', label: 'Superflex', accepts: SUPERFLEX_POSITIONS },
+            { id: 'DEF', label: 'DEF', accepts: ['DEF'] },
+            { id: 'K', label: 'K', accepts: ['K'] }
+        ]
+    },
+    NO_KICKER: {
+        label: 'No kicker',
+        slots: [
+            { id: 'QB', label: 'QB', accepts: ['QB'] },
+            { id: 'RB', label: 'RB', accepts: ['RB'] },
+            { id: 'WR1', label: 'WR1', accepts: ['WR'] },
+            { id: 'WR2', label: 'WR2', accepts: ['WR'] },
+            { id: 'TE', label: 'TE', accepts: ['TE'] },
+            { id: 'Flex', label: 'Flex', accepts: FLEX_POSITIONS },
+            { id: 'DEF', label: 'DEF', accepts: ['DEF'] }
+        ]
+    }
+};
+
+export const DEFAULT_ROSTER_TEMPLATE = 'STANDARD';
+
+// Bench slots added after the template's starting slots → label. Bench players don't score.
+export const BENCH_OPTIONS = {
+    0: 'No bench',
+    1: '1 bench slot',
+    2: '2 bench slots',
+    3: '3 bench slots',
+    4: '4 bench slots',
+    6: '6 bench slots'
+};
+
+export const DEFAULT_BENCH_SLOTS = 0;
+
+// Re-rolls each player may use per game → label.
+export const REROLL_OPTIONS = {
+    0: 'None',
+    1: '1 per player',
+    2: '2 per player',
+    3: '3 per player',
+    5: '5 per player'
+};
+
+export const DEFAULT_REROLLS_PER_GAME = 1;
+
+/**
+ * Returns the number of players (seats) in a game.
+ * Games saved before the player count setting existed are two-player games.
+ * @param {{playerCount?: number}} [settings] - The game settings (`gameState.settings`).
+ * @returns {number}
+ */
+export function getPlayerCount(settings) {
+    const count = Number(settings?.playerCount) || DEFAULT_PLAYER_COUNT;
+    return Math.min(Math.max(count, MIN_PLAYERS), MAX_PLAYERS);
+}
+
+/**
+ * Returns how many team re-rolls each player gets per game.
+ * Games saved before the re-roll setting existed use the default.
+ * @param {{rerollsPerGame?: number}} [settings] - The game settings (`gameState.settings`).
+ * @returns {number}
+ */
+export function getRerollsPerGame(settings) {
+    const rerolls = Number(settings?.rerollsPerGame);
+    return Number.isInteger(rerolls) && rerolls >= 0 ? rerolls : DEFAULT_REROLLS_PER_GAME;
+}
+
+/**
+ * Returns the number of bench slots in a game.
+ * Games saved before the bench setting existed have no bench.
+ * @param {{benchSlots?: number}} [settings] - The game settings (`gameState.settings`).
+ * @returns {number}
+ */
+export function getBenchSlotCount(settings) {
+    const count = Number(settings?.benchSlots);
+    return Number.isInteger(count) && count > 0 ? count : DEFAULT_BENCH_SLOTS;
+}
+
+const rosterSlotsCache = new Map(); // 'TEMPLATE:benchCount' → slots, so callers get a stable list
+
+/**
+ * Returns the roster slots for a game's settings: the template's starting slots, then the bench.
+ * Games saved before roster templates existed use the standard template.
+ * @param {{rosterTemplate?: string, benchSlots?: number}} [settings] - The game settings (`gameState.settings`).
+ * @returns {Array<{id: string, label: string, accepts: Array<string>, isBench?: boolean}>} The slots, in display order.
+ */
+export function getRosterSlots(settings) {
+    const templateKey = ROSTER_TEMPLATES[settings?.rosterTemplate] ? settings.rosterTemplate : DEFAULT_ROSTER_TEMPLATE;
+    const benchCount = getBenchSlotCount(settings);
+    const cacheKey = `${templateKey}:${benchCount}`;
+
+    if (!rosterSlotsCache.has(cacheKey)) {
+        const benchSlots = Array.from({ length: benchCount }, (_, i) => ({ id: `BN${i + 1}`, label: 'BN', accepts: BENCH_POSITIONS, isBench: true }));
+        rosterSlotsCache.set(cacheKey, [...ROSTER_TEMPLATES[templateKey].slots, ...benchSlots]);
+    }
+    return rosterSlotsCache.get(cacheKey);
+}
+
+/**
+ * Creates an empty roster (every slot set to null) for a game's settings.
+ * @param {object} [settings] - The game settings.
+ * @returns {object} Map of slot ID → null.
+ */
+export function createEmptyRoster(settings) {
+    return Object.fromEntries(getRosterSlots(settings).map(slot => [slot.id, null]));
+}
+
+/**
+ * Fits saved roster slots to the game's template. Missing slots (Firebase drops nulls) are
+ * added as empty, and slots the template doesn't have are dropped.
+ * @param {object|null} rosterSlots - The saved roster slots.
+ * @param {object} [settings] - The game settings.
+ * @returns {object} Map of slot ID → slot player or null.
+ */
+export function normalizeRosterSlots(rosterSlots, settings) {
+    const saved = rosterSlots || {};
+    return Object.fromEntries(getRosterSlots(settings).map(slot => [slot.id, saved[slot.id] || null]));
+}
+
+/**
+ * Returns the slots that accept a position, dedicated slots before flex slots.
+ * @param {object} settings - The game settings.
+ * @param {string} position - The player's position (e.g. 'QB', 'RB', 'WR', 'TE', 'K', 'DEF').
+ * @returns {Array<{id: string, label: string, accepts: Array<string>}>}
+ */
+export function getEligibleSlots(settings, position) {
+    return getRosterSlots(settings)
+        .filter(slot => slot.accepts.includes(position))
+        .sort((a, b) => a.accepts.length - b.accepts.length);
+}
+
+/**
+ * Finds the first open slot that accepts a position.
+ * @param {object} rosterSlots - The player's roster slots.
+ * @param {object} settings - The game settings.
+ * @param {string} position - The player's position.
+ * @returns {string|null} The slot ID, or null if every eligible slot is filled.
+ */
+export function findOpenSlot(rosterSlots, settings, position) {
+    const slot = getEligibleSlots(settings, position).find(s => !rosterSlots[s.id]);
+    return slot ? slot.id : null;
+}
+
+/**
+ * Checks whether every slot in the game's template is filled.
+ * @param {object} rosterSlots - The player's roster slots.
+ * @param {object} settings - The game settings.
+ * @returns {boolean}
+ */
+export function isRosterComplete(rosterSlots, settings) {
+    return getRosterSlots(settings).every(slot => !!rosterSlots[slot.id]);
+}
@@ -0,0 +1,84 @@
+/**
+ * pickClock.js
+ * An optional per-pick timer. The clock is stored in `gameState` as an absolute deadline, so
+ * every client in a room counts down to the same moment. In multiplayer the deadline is measured
+ * in Firebase server time (see setServerTimeOffset), which keeps clients with skewed clocks in step.
+ */
+
+// Seconds per pick → label; 0 turns the clock off.
+export const PICK_CLOCK_OPTIONS = {
+    0: 'Off',
+    30: '30 seconds',
+    60: '1 minute',
+    90: '90 seconds',
+    120: '2 minutes',
+    300: '5 minutes'
+};
+
+export const DEFAULT_PICK_CLOCK_SECONDS = 0;
+
+// A player who reconnects while on the clock always gets at least this long to pick.
+export const RECONNECT_GRACE_SECONDS = 20;
+
+let serverTimeOffset = 0; // Server time minus local time, in ms
+
+/**
+ * Sets the difference between the server's clock and this device's clock.
+ * @param {number} offsetMs - From Firebase's `.info/serverTimeOffset`.
+ */
+export function setServerTimeOffset(offsetMs) {
+    serverTimeOffset = Number(offsetMs) || 0;
+}
+
+/**
+ * Returns the current time on the shared (server) clock.
+ * @returns {number} Milliseconds since the epoch.
+ */
+export function getClockNow() {
+    return Date.now() + serverTimeOffset;
+}
+
+/**
+ * Starts the clock for a pick.
+ * @param {{pickClockSeconds?: number}} settings - The game settings (`gameState.settings`).
+ * @param {number} overallPick - The pick going on the clock.
+ * @returns {{overallPick: number, deadline: number}|null} The clock, or null if the clock is off.
+ */
+export function createPickClock(settings, overallPick) {
+    const seconds = Number(settings?.pickClockSeconds) || 0;
+    if (seconds <= 0) return null;
+    return { overallPick, deadline: getClockNow() + seconds * 1000 };
+}
+
+/**
+ * Gives a reconnecting player at least RECONNECT_GRACE_SECONDS to make their pick. The grace is
+ * given once per pick (recorded as `graceGrantedFor`), so reconnecting again doesn't extend it.
+ * @param {{overallPick: number, deadline: number, graceGrantedFor?: number}|null} pickClock - The running clock.
+ * @returns {{overallPick: number, deadline: number, graceGrantedFor?: number}|null} The clock, extended if needed.
+ */
+export function extendPickClockForReconnect(pickClock) {
+    if (!pickClock || pickClock.graceGrantedFor === pickClock.overallPick) return pickClock;
+    const graceDeadline = getClockNow() + RECONNECT_GRACE_SECONDS * 1000;
+    return pickClock.deadline < graceDeadline
+        ? { ...pickClock, deadline: graceDeadline, graceGrantedFor: pickClock.overallPick }
+        : pickClock;
+}
+
+/**
+ * Returns the whole seconds left on the clock.
+ * @param {{deadline: number}|null} pickClock - The running clock.
+ * @returns {number|null} Seconds left (0 once time is up), or null if there's no clock.
+ */
+export function getRemainingSeconds(pickClock) {
+    if (!pickClock) return null;
+    return Math.max(0, Math.ceil((pickClock.deadline - getClockNow()) / 1000));
+}
+
+/**
+ * Formats seconds left as a countdown, e.g. "1:05".
+ * @param {number} seconds
+ * @returns {string}
+ */
+export function formatClock(seconds) {
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
@@ -0,0 +1,192 @@
+/**
+ * pickLog.js
+ * The draft's pick log: every pick in order, with who made it, the slot it filled, when and how
+ * (a spin, an auto-draft or the pick clock). The log lets the last pick be undone — straight away
+ * in local games, once another player approves it in multiplayer — and lets a player move a
+ * drafted player to another eligible slot until their game kicks off.
+ */
+
+import { gameState, playerData } from './playerState.js';
+import { createPickClock, getClockNow } from './pickClock.js';
+import { getEligibleSlots, getRosterSlots } from './leagueSettings.js';
+import { GAME_STATUS } from './gameStatus.js';
+
+// How a pick was made → label.
+export const PICK_SOURCES = {
+    ROLL: 'Spin',
+    AUTO: 'Auto-draft',
+    AUTO_FULL: 'Auto-draft roster',
+    TIMEOUT: 'Pick clock'
+};
+
+/**
+ * Adds a pick to the log. Call before the turn switches, while the pick is still on the clock.
+ * @param {number} playerNum - The player who made the pick.
+ * @param {object} slotPlayer - The roster slot entry that was drafted.
+ * @param {string} slotId - The roster slot it went into.
+ * @param {string} source - One of the PICK_SOURCES keys.
+ */
+export function recordPick(playerNum, slotPlayer, slotId, source) {
+    const draft = gameState.draft || {};
+    const roll = playerData[playerNum].team;
+    gameState.pickLog.push({
+        overallPick: draft.overallPick ?? null,
+        round: draft.round ?? null,
+        pick: draft.pick ?? null,
+        playerNum,
+        nflPlayerId: slotPlayer.id,
+        displayName: slotPlayer.displayName,
+        slotId,
+        pickedAt: getClockNow(),
+        source,
+        roll: source === 'ROLL' && roll ? { id: roll.id, name: roll.name, rollMode: roll.rollMode || 'TEAM' } : null
+    });
+}
+
+/**
+ * Returns the log entries of the last pick. Auto-drafting a whole roster logs one entry per slot
+ * under the same pick, and they're undone together.
+ * @returns {Array<object>} The entries, or an empty array if nothing has been picked.
+ */
+export function getLastPickEntries() {
+    const lastEntry = gameState.pickLog[gameState.pickLog.length - 1];
+    if (!lastEntry) return [];
+    return gameState.pickLog.filter(entry => entry.playerNum === lastEntry.playerNum && entry.overallPick === lastEntry.overallPick);
+}
+
+/**
+ * Takes back the last pick: the drafted players leave their slots and the pick goes back on the
+ * clock for the player who made it. A player who spun for their pick can draft from the same
+ * roll again.
+ * @returns {object|null} The undone pick's first log entry, or null if there was nothing to undo.
+ */
+export function undoLastPick() {
+    const entries = getLastPickEntries();
+    if (entries.length === 0) return null;
+
+    const [firstEntry] = entries;
+    const { playerNum } = firstEntry;
+    entries.forEach(entry => {
+        const slotId = findSlotOf(playerNum, entry.nflPlayerId);
+        if (slotId) playerData[playerNum].rosterSlots[slotId] = null;
+    });
+    gameState.pickLog = gameState.pickLog.slice(0, gameState.pickLog.length - entries.length);
+
+    playerData[playerNum].draftedPlayers = [];
+    if (firstEntry.source !== 'ROLL') {
+        playerData[playerNum].team = null;
+    }
+
+    if (firstEntry.overallPick !== null) {
+        gameState.draft = { overallPick: firstEntry.overallPick, round: firstEntry.round, pick: firstEntry.pick, playerNum };
+        gameState.pickClock = createPickClock(gameState.settings, firstEntry.overallPick);
+    }
+    gameState.currentPlayer = playerNum;
+    gameState.phase = 'DRAFTING';
+    gameState.undoRequest = null;
+    gameState.results = null;
+    return firstEntry;
+}
+
+/**
+ * Asks the other players to approve undoing the last pick (multiplayer games).
+ * @param {number} playerNum - The player asking; only the player who made the last pick can.
+ * @returns {boolean} True if the request was made.
+ */
+export function requestUndo(playerNum) {
+    const [lastEntry] = getLastPickEntries();
+    if (!lastEntry || lastEntry.playerNum !== playerNum || gameState.undoRequest) return false;
+    gameState.undoRequest = { requestedBy: playerNum, overallPick: lastEntry.overallPick, requestedAt: getClockNow() };
+    return true;
+}
+
+/**
+ * Answers a pending undo request. An approval undoes the last pick, as long as it's still the
+ * pick the request was made for.
+ * @param {boolean} approved
+ * @returns {object|null} The undone pick's first log entry, or null if nothing was undone.
+ */
+export function respondToUndoRequest(approved) {
+    const request = gameState.undoRequest;
+    gameState.undoRequest = null;
+    if (!approved || !request) return null;
+
+    const [lastEntry] = getLastPickEntries();
+    if (!lastEntry || lastEntry.playerNum !== request.requestedBy || lastEntry.overallPick !== request.overallPick) {
+        console.warn('Undo request is out of date: the last pick has changed.');
+        return null;
+    }
+    return undoLastPick();
+}
+
+/**
+ * Finds the slot an NFL player sits in on a fantasy roster.
+ * @param {number} playerNum - The player number.
+ * @param {string|number} nflPlayerId - The NFL player's ID.
+ * @returns {string|null} The slot ID.
+ */
+function findSlotOf(playerNum, nflPlayerId) {
+    const rosterSlots = playerData[playerNum].rosterSlots;
+    return Object.keys(rosterSlots).find(slotId => rosterSlots[slotId]?.id === nflPlayerId) || null;
+}
+
+/**
+ * Whether a drafted player is locked into their slot: once their game kicks off they can't move.
+ * @param {object|null} slotPlayer - The roster slot entry.
+ * @returns {boolean}
+ */
+export function isSlotLocked(slotPlayer) {
+    const status = slotPlayer?.gameStatus?.status;
+    return status === GAME_STATUS.IN_PROGRESS || status === GAME_STATUS.FINAL;
+}
+
+/**
+ * Returns the slots a drafted player can move to: empty slots that accept their position, and
+ * filled slots whose player could take their place in return. Locked players can't move.
+ * @param {number} playerNum - The player number.
+ * @param {string} fromSlotId - The slot the drafted player is in.
+ * @returns {Array<{id: string, label: string, accepts: Array<string>}>}
+ */
+export function getSwapTargets(playerNum, fromSlotId) {
+    const rosterSlots = playerData[playerNum].rosterSlots;
+    const movingPlayer = rosterSlots[fromSlotId];
+    if (!movingPlayer || isSlotLocked(movingPlayer)) return [];
+
+    const fromSlot = getRosterSlots(gameState.settings).find(slot => slot.id === fromSlotId);
+    return getEligibleSlots(gameState.settings, movingPlayer.originalPosition).filter(slot => {
+        if (slot.id === fromSlotId) return false;
+        const occupant = rosterSlots[slot.id];
+        return !occupant || (!isSlotLocked(occupant) && fromSlot.accepts.includes(occupant.originalPosition));
+    });
+}
+
+/**
+ * Moves a drafted player to another slot, swapping with the player already there.
+ * @param {number} playerNum - The player number.
+ * @param {string} fromSlotId - The slot the drafted player is in.
+ * @param {string} toSlotId - The slot to move them to.
+ * @returns {boolean} True if the players were moved.
+ */
+export function swapSlots(playerNum, fromSlotId, toSlotId) {
+    if (!getSwapTargets(playerNum, fromSlotId).some(slot => slot.id === toSlotId)) {
+        console.warn(`Player ${playerNum} can't move the ${fromSlotId} player to ${toSlotId}.`);
+        return false;
+    }
+
+    const rosterSlots = playerData[playerNum].rosterSlots;
+    const movingPlayer = rosterSlots[fromSlotId];
+    const occupant = rosterSlots[toSlotId];
+    rosterSlots[toSlotId] = { ...movingPlayer, assignedSlot: toSlotId };
+    rosterSlots[fromSlotId] = occupant ? { ...occupant, assignedSlot: fromSlotId } : null;
+    return true;
+}
+
+/**
+ * Short text for a log entry's pick, e.g. "R3 P2" (or "Pick 7" if the round isn't known).
+ * @param {object} entry - A pick log entry.
+ * @returns {string}
+ */
+export function formatPickLogNumber(entry) {
+    if (entry.round && entry.pick) return `R${entry.round} P${entry.pick}`;
+    return entry.overallPick ? `Pick ${entry.overallPick}` : '';
+}
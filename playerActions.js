@@ -2,7 +2,7 @@
  * playerActions.js
  * Contains functions related to direct player actions like confirming names and selecting avatars.
  */
-import { playerData, gameState, resetGameState } from './playerState.js';
+import { playerData, gameState, resetGameState, createEmptyPlayer, getPlayerNums, applyLeagueSettings } from './playerState.js';
 import { getRandomElement } from './utils.js';
 import { updateLayout } from './game.js';
 
@@ -19,7 +19,7 @@ export const AVATAR_SVGS = [
 
 /**
  * Helper function to update the avatar preview image and placeholder.
- * @param {number} playerNum - The player number (1 or 2).
+ * @param {number} playerNum - The player number.
  * @param {string|null} avatarUrl - The URL of the selected avatar, or null to show placeholder.
  */
 export function updateAvatarPreview(playerNum, avatarUrl) {
@@ -39,7 +39,7 @@ export function updateAvatarPreview(playerNum, avatarUrl) {
 
 /**
  * Callback function to set player avatar.
- * @param {number} playerNum - The player number (1 or 2).
+ * @param {number} playerNum - The player number.
  * @param {string} avatarUrl - The URL of the selected avatar.
  */
 export function selectAvatar(playerNum, avatarUrl) {
@@ -51,7 +51,7 @@ export function selectAvatar(playerNum, avatarUrl) {
 
 /**
  * Handles the confirmation of a player's name.
- * @param {number} playerNum - The player number (1 or 2).
+ * @param {number} playerNum - The player number.
  */
 export function confirmName(playerNum) {
     const input = document.getElementById(`player${playerNum}-name`);
@@ -77,25 +77,17 @@ export function confirmName(playerNum) {
 
 /**
  * Resets a player's fantasy data and UI.
- * @param {number} playerNum - The player number (1 or 2).
+ * @param {number} playerNum - The player number.
  */
 export function resetPlayer(playerNum) {
-    playerData[playerNum] = { 
-        name: '', 
-        avatar: null, // Reset avatar as well
-        team: null, 
-        draftedPlayers: [], 
-        rosterSlots: {
-            QB: null, RB: null, WR1: null, WR2: null, TE: null, Flex: null, DEF: null, K: null
-        },
-        isSetupStarted: false // Reset this flag on full reset
-    };
+    playerData[playerNum] = createEmptyPlayer(); // Also resets the avatar and setup flag
     
     localStorage.removeItem(`fantasyTeam_${playerNum}`);
     
-    // If both players are reset, also reset the shared game state
-    if (!playerData[1].name && !playerData[2].name) {
+    // If every player is reset, also reset the shared game state (and drop the extra seats)
+    if (getPlayerNums().every(num => !playerData[num].name)) {
         resetGameState();
+        applyLeagueSettings();
     }
     
     // Clear input values
@@ -0,0 +1,199 @@
+/**
+ * playerIdentity.js
+ * Resolves ESPN roster athletes to Tank01 player IDs. Name search alone is not enough:
+ * players can share a name, and ESPN and Tank01 disagree on suffixes like "Jr." or "II".
+ * Candidates are therefore matched on ESPN ID, team, position and jersey number, and only
+ * confirmed matches are saved to the persistent mapping table. The table holds just the Tank01
+ * player ID: a player's team changes with trades, so it's read from the roster slot instead.
+ */
+
+import { getDataProvider, fetchPlayerGameLog } from './api.js';
+import { cacheGet, cacheSet } from './cache.js';
+
+export const MATCH_CONFIDENCE = {
+    CONFIRMED: 'confirmed',
+    UNCERTAIN: 'uncertain'
+};
+
+// Name suffixes that ESPN and Tank01 don't agree on.
+const NAME_SUFFIX_PATTERN = /\s+(jr|sr|ii|iii|iv|v)\.?$/i;
+
+// Team abbreviations that differ between data sources.
+const TEAM_ALIASES = { WAS: 'WSH', JAC: 'JAX', LA: 'LAR' };
+
+// Position abbreviations that differ between data sources.
+const POSITION_ALIASES = { PK: 'K', DST: 'DEF', 'D/ST': 'DEF' };
+
+// Uncertain matches are remembered for this session only, so they are re-checked next time.
+const uncertainMatches = new Map();
+
+/**
+ * Lowercases a name and removes punctuation and generational suffixes.
+ * @param {string} name - The player's name.
+ * @returns {string}
+ */
+function normalizeName(name) {
+    return (name || '').trim().replace(NAME_SUFFIX_PATTERN, '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function normalizeTeam(abv) {
+    const upper = (abv || '').toUpperCase();
+    return TEAM_ALIASES[upper] || upper;
+}
+
+function normalizePosition(pos) {
+    const upper = (pos || '').toUpperCase();
+    return POSITION_ALIASES[upper] || upper;
+}
+
+/**
+ * Reads the identifying fields from a roster player or a fantasy roster slot.
+ * @param {object} player - An ESPN roster player or a roster slot.
+ * @returns {{espnId: string, name: string, teamId: string|null, position: string, jersey: string|null}}
+ */
+function describePlayer(player) {
+    const position = normalizePosition(player.originalPosition || player.position?.abbreviation);
+    // Defense entries are keyed "DEF-<team>"; older slots may lack a teamId.
+    const teamId = player.teamId || (position === 'DEF' ? String(player.id).split('-')[1] : null);
+    return {
+        espnId: String(player.id),
+        name: player.displayName,
+        teamId: teamId ? normalizeTeam(teamId) : null,
+        position,
+        jersey: player.jersey != null ? String(player.jersey) : null
+    };
+}
+
+/**
+ * Searches Tank01 under every spelling we expect it to use for this player.
+ * @param {object} target - The output of describePlayer.
+ * @param {Array<object>} allTeams - The teams list, used to name team defenses.
+ * @param {{priority?: number}} options - Request options.
+ * @returns {Promise<Array<object>>} Unique Tank01 player entries.
+ */
+async function searchCandidates(target, allTeams, options) {
+    const names = [target.name];
+    if (target.position === 'DEF') {
+        const team = allTeams.find(t => normalizeTeam(t.id) === target.teamId);
+        if (team) names.unshift(`${team.name} Defense`);
+    } else {
+        const withoutSuffix = (target.name || '').trim().replace(NAME_SUFFIX_PATTERN, '');
+        if (withoutSuffix !== target.name) names.push(withoutSuffix);
+    }
+
+    const provider = getDataProvider();
+    const candidates = new Map();
+    for (const name of names) {
+        const results = await provider.searchPlayers(name, options);
+        results.forEach(c => { if (c.playerID) candidates.set(c.playerID, c); });
+    }
+    return [...candidates.values()];
+}
+
+/**
+ * Picks the candidate that best fits the player and decides how sure we are.
+ * An ESPN ID match, or a team/position/jersey match, is confirmed. A team and position
+ * match is confirmed when no other candidate shares them and no jersey contradicts it.
+ * Anything weaker is a best guess and is reported as uncertain.
+ * @param {object} target - The output of describePlayer.
+ * @param {Array<object>} candidates - Tank01 player entries.
+ * @returns {{candidate: object, confidence: string}|null}
+ */
+function pickCandidate(target, candidates) {
+    const byEspnId = candidates.find(c => c.espnID && String(c.espnID) === target.espnId);
+    if (byEspnId) return { candidate: byEspnId, confidence: MATCH_CONFIDENCE.CONFIRMED };
+
+    const named = target.position === 'DEF'
+        ? candidates
+        : candidates.filter(c => [c.longName, c.espnName].some(n => normalizeName(n) === normalizeName(target.name)));
+    const pool = named.length > 0 ? named : candidates;
+
+    const scored = pool.map(c => {
+        const teamMatch = !!target.teamId && normalizeTeam(c.team) === target.teamId;
+        const positionMatch = !!target.position && normalizePosition(c.pos) === target.position;
+        const hasJerseys = !!target.jersey && c.jerseyNum != null && c.jerseyNum !== '';
+        const jerseyMatch = hasJerseys && String(c.jerseyNum) === target.jersey;
+        const score = (teamMatch ? 4 : 0) + (positionMatch ? 2 : 0) + (jerseyMatch ? 1 : 0) + (named.includes(c) ? 1 : 0);
+        return { candidate: c, teamMatch, positionMatch, jerseyMatch, jerseyConflict: hasJerseys && !jerseyMatch, score };
+    }).sort((a, b) => b.score - a.score);
+
+    if (scored.length === 0) return null;
+
+    const best = scored[0];
+    const teamAndPosition = scored.filter(s => s.teamMatch && s.positionMatch);
+    const confirmed = best.teamMatch && best.positionMatch &&
+        (best.jerseyMatch || (teamAndPosition.length === 1 && !best.jerseyConflict));
+
+    return {
+        candidate: best.candidate,
+        confidence: confirmed ? MATCH_CONFIDENCE.CONFIRMED : MATCH_CONFIDENCE.UNCERTAIN
+    };
+}
+
+/**
+ * Resolves an ESPN roster player (or roster slot) to a Tank01 player.
+ * Confirmed player IDs are stored permanently in the 'playerIds' cache namespace.
+ * @param {object} player - Needs `id`, `displayName` and a position; `teamId` and `jersey` improve the match.
+ * @param {Array<object>} allTeams - The teams list (from data.js).
+ * @param {{priority?: number}} [options] - Request options, e.g. `{ priority: REQUEST_PRIORITY.HIGH }`.
+ * @returns {Promise<{playerID: string, confidence: string, longName?: string, team?: string, pos?: string, jerseyNum?: string|null}|null>}
+ *   The match, or null if Tank01 has no plausible candidate or the lookup failed. The Tank01 details
+ *   are only there for a fresh lookup, to describe uncertain matches; use getPlayerTeamId for the team.
+ */
+export async function resolveTank01Player(player, allTeams, options = {}) {
+    const target = describePlayer(player);
+    const cacheKey = target.espnId;
+
+    try {
+        const saved = await cacheGet('playerIds', cacheKey);
+        if (saved) return { playerID: saved.data.playerID, confidence: MATCH_CONFIDENCE.CONFIRMED };
+        if (uncertainMatches.has(cacheKey)) return uncertainMatches.get(cacheKey);
+
+        const candidates = await searchCandidates(target, allTeams, options);
+        const picked = pickCandidate(target, candidates);
+        if (!picked) {
+            console.warn(`No Tank01 match for ${target.name} (${target.teamId || '?'} ${target.position}).`);
+            return null;
+        }
+
+        const { candidate, confidence } = picked;
+        const match = {
+            playerID: candidate.playerID,
+            confidence,
+            longName: candidate.longName,
+            team: candidate.team,
+            pos: candidate.pos,
+            jerseyNum: candidate.jerseyNum ?? null
+        };
+
+        if (confidence === MATCH_CONFIDENCE.CONFIRMED) {
+            await cacheSet('playerIds', cacheKey, { playerID: match.playerID });
+        } else {
+            console.warn(`Uncertain Tank01 match for ${target.name}: using ${candidate.longName} (${candidate.team} ${candidate.pos}).`);
+            uncertainMatches.set(cacheKey, match);
+        }
+        return match;
+    } catch (e) {
+        console.error(`Error resolving Tank01 player for ${target.name}:`, e);
+        return null;
+    }
+}
+
+/**
+ * Returns the team a player is on now, as a data.js team ID: the roster slot's team, or for
+ * slots without one, the team on the player's latest game log line.
+ * @param {object} player - An ESPN roster player or a roster slot.
+ * @param {string|null} playerID - The player's Tank01 ID, if they were matched.
+ * @param {string} season - The season to read the game log from.
+ * @param {{priority?: number}} [options] - Request options.
+ * @returns {Promise<string|null>} The team ID, or null if it can't be worked out.
+ */
+export async function getPlayerTeamId(player, playerID, season, options = {}) {
+    const { teamId } = describePlayer(player);
+    if (teamId || !playerID) return teamId;
+
+    const games = Object.values(await fetchPlayerGameLog(playerID, season, options) || {})
+        .filter(stats => stats.gameID && stats.teamAbv)
+        .sort((a, b) => b.gameID.localeCompare(a.gameID));
+    return games.length > 0 ? normalizeTeam(games[0].teamAbv) : null;
+}
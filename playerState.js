@@ -4,35 +4,105 @@
  * to check roster status.
  */
 
+import { DEFAULT_SCORING } from './scoring.js';
+import { DEFAULT_SCORING_WEEK } from './gameStatus.js';
+import { DEFAULT_DRAFT_ORDER, findNextPick } from './draftOrder.js';
+import { DEFAULT_PICK_CLOCK_SECONDS, createPickClock } from './pickClock.js';
+import { DEFAULT_ROLL_MODE } from './rollModes.js';
+import { DEFAULT_ROLL_RULES } from './rollRules.js';
+import { DEFAULT_TIEBREAKERS } from './results.js';
+import { DEFAULT_ROSTER_TEMPLATE, DEFAULT_BENCH_SLOTS, DEFAULT_PLAYER_COUNT, DEFAULT_REROLLS_PER_GAME, getPlayerCount, getRerollsPerGame, createEmptyRoster, normalizeRosterSlots, findOpenSlot, isRosterComplete } from './leagueSettings.js';
+
+/**
+ * Returns the default game settings the host can change before the draft starts.
+ * @returns {object}
+ */
+export function getDefaultSettings() {
+    return {
+        scoring: { ...DEFAULT_SCORING },
+        scoringWeek: { ...DEFAULT_SCORING_WEEK },
+        rosterTemplate: DEFAULT_ROSTER_TEMPLATE,
+        benchSlots: DEFAULT_BENCH_SLOTS,
+        playerCount: DEFAULT_PLAYER_COUNT,
+        draftOrder: DEFAULT_DRAFT_ORDER,
+        pickClockSeconds: DEFAULT_PICK_CLOCK_SECONDS,
+        rollMode: DEFAULT_ROLL_MODE,
+        rollRules: { ...DEFAULT_ROLL_RULES },
+        rerollsPerGame: DEFAULT_REROLLS_PER_GAME,
+        tiebreakers: [...DEFAULT_TIEBREAKERS]
+    };
+}
+
 // NEW: Centralized game state for turn management and game phase
 export const gameState = {
     currentPlayer: 1,
     phase: 'NAME_ENTRY', // Can be 'NAME_ENTRY', 'DRAFTING', 'COMPLETE'
+    settings: getDefaultSettings(), // Saved with the game so every client scores the same way
+    scoringWeek: null, // The resolved { season, week }, frozen when the draft starts
+    draft: null, // The pick on the clock: { overallPick, round, pick, playerNum }, set when the draft starts
+    pickClock: null, // The pick timer: { overallPick, deadline, graceGrantedFor? }, or null when the clock is off
+    rerolls: [], // Team re-rolls used, in order: [{ playerNum, overallPick, fromTeamId }]
+    rollHistory: [], // Every spin, in order: [{ playerNum, rollId, teamId }] (teamId only for single-team rolls)
+    pickLog: [], // Every pick, in order (see pickLog.js)
+    undoRequest: null, // A multiplayer request to undo the last pick: { requestedBy, overallPick, requestedAt }
+    results: null // The matchup result once every rostered player's game is final (see results.js)
 };
 
+/**
+ * Creates the data for an empty seat, with a roster fitted to the game settings.
+ * @returns {object}
+ */
+export function createEmptyPlayer() {
+    return {
+        name: '',
+        avatar: null,
+        team: null,
+        draftedPlayers: [],
+        rosterSlots: createEmptyRoster(gameState.settings),
+        isSetupStarted: false // Flag to track if player's setup process has begun
+    };
+}
+
+// Keyed by player number (1..playerCount), matching the seats in a multiplayer room.
 export const playerData = {
-    1: { 
-        name: '', 
-        avatar: null, // NEW: Added avatar property
-        team: null, 
-        draftedPlayers: [], 
-        rosterSlots: { 
-            QB: null, RB: null, WR1: null, WR2: null, TE: null, Flex: null, DEF: null, K: null 
-        },
-        isSetupStarted: false // NEW: Flag to track if player's setup process has begun
-    },
-    2: { 
-        name: '', 
-        avatar: null, // NEW: Added avatar property
-        team: null, 
-        draftedPlayers: [], 
-        rosterSlots: {
-            QB: null, RB: null, WR1: null, WR2: null, TE: null, Flex: null, DEF: null, K: null 
-        },
-        isSetupStarted: false // NEW: Flag to track if player's setup process has begun
-    }
+    1: createEmptyPlayer(),
+    2: createEmptyPlayer()
 };
 
+/**
+ * Returns the player numbers in the game, in seat order.
+ * @returns {Array<number>}
+ */
+export function getPlayerNums() {
+    return Array.from({ length: getPlayerCount(gameState.settings) }, (_, i) => i + 1);
+}
+
+/**
+ * Finds which player has an NFL player on their fantasy roster.
+ * @param {string|number} nflPlayerId - The NFL player's ID.
+ * @returns {number|null} The player number, or null if nobody has drafted them.
+ */
+export function findRosterOwner(nflPlayerId) {
+    const owner = getPlayerNums().find(playerNum =>
+        playerData[playerNum] && Object.values(playerData[playerNum].rosterSlots).some(slotPlayer => slotPlayer && slotPlayer.id === nflPlayerId)
+    );
+    return owner ?? null;
+}
+
+/**
+ * Collects the IDs of every NFL player drafted by any player.
+ * @returns {Set<string|number>}
+ */
+export function getAllDraftedIds() {
+    const ids = new Set();
+    getPlayerNums().forEach(playerNum => {
+        Object.values(playerData[playerNum]?.rosterSlots || {}).forEach(slotPlayer => {
+            if (slotPlayer) ids.add(slotPlayer.id);
+        });
+    });
+    return ids;
+}
+
 /**
  * NEW: Safely updates the local playerData object with data from Firebase.
  * This handles cases where Firebase might return an array-like object.
@@ -41,11 +111,6 @@ export const playerData = {
 export function updateLocalPlayerData(remotePlayerData) {
   if (!remotePlayerData) return;
 
-  const defaultRoster = {
-    QB: null, RB: null, WR1: null, WR2: null,
-    TE: null, Flex: null, DEF: null, K: null
-  };
-
   function normalizePlayerData(raw) {
     const parsed = JSON.parse(JSON.stringify(raw || {}));
     return {
@@ -53,30 +118,142 @@ export function updateLocalPlayerData(remotePlayerData) {
       avatar: parsed.avatar || null,
       team: parsed.team ?? null,  // always defined, default null
       draftedPlayers: parsed.draftedPlayers || [],
-      rosterSlots: { ...defaultRoster, ...(parsed.rosterSlots || {}) },
+      rosterSlots: normalizeRosterSlots(parsed.rosterSlots, gameState.settings),
       isSetupStarted: parsed.isSetupStarted || false
     };
   }
 
-  if (remotePlayerData['1']) {
-    playerData[1] = normalizePlayerData(remotePlayerData['1']);
-  }
-  if (remotePlayerData['2']) {
-    playerData[2] = normalizePlayerData(remotePlayerData['2']);
-  }
+  getPlayerNums().forEach(playerNum => {
+    playerData[playerNum] = normalizePlayerData(remotePlayerData[playerNum]);
+  });
+  removeExtraSeats();
 }
 
+/**
+ * Safely updates the local gameState object with the game state from Firebase.
+ * Firebase drops null values and empty arrays, so those fields are reset explicitly
+ * instead of keeping their stale local values.
+ * @param {object} remoteGameState - The gameState object from Firebase.
+ */
+export function updateLocalGameState(remoteGameState) {
+    const parsed = JSON.parse(JSON.stringify(remoteGameState || {}));
+    Object.assign(gameState, parsed, {
+        scoringWeek: parsed.scoringWeek || null,
+        draft: parsed.draft || null,
+        pickClock: parsed.pickClock || null,
+        rerolls: parsed.rerolls ? Object.values(parsed.rerolls) : [],
+        rollHistory: parsed.rollHistory ? Object.values(parsed.rollHistory) : [],
+        pickLog: parsed.pickLog ? Object.values(parsed.pickLog) : [],
+        undoRequest: parsed.undoRequest || null,
+        results: parsed.results ? normalizeResults(parsed.results) : null
+    });
+}
+
+/**
+ * Restores the arrays in a matchup result read back from Firebase, which may return them as objects.
+ * @param {object} results - The saved result.
+ * @returns {object}
+ */
+function normalizeResults(results) {
+    return {
+        ...results,
+        standings: Object.values(results.standings || {}),
+        winners: Object.values(results.winners || {}),
+        decidedBy: results.decidedBy || null
+    };
+}
 
 /**
- * NEW: Switches the current player turn.
+ * Drops player data for seats beyond the game's player count.
  */
-export function switchTurn(syncCallback, playerNum) {
-  gameState.currentPlayer = gameState.currentPlayer === 1 ? 2 : 1;
+function removeExtraSeats() {
+    const playerNums = getPlayerNums();
+    Object.keys(playerData).forEach(key => {
+        if (!playerNums.includes(Number(key))) delete playerData[key];
+    });
+}
+
+/**
+ * Fits the players to the league settings: adds or removes seats for the player count and
+ * fits each roster to the roster template. Called when the host changes them before the draft.
+ */
+export function applyLeagueSettings() {
+    getPlayerNums().forEach(playerNum => {
+        if (!playerData[playerNum]) {
+            playerData[playerNum] = createEmptyPlayer();
+        } else {
+            playerData[playerNum].rosterSlots = normalizeRosterSlots(playerData[playerNum].rosterSlots, gameState.settings);
+        }
+    });
+    removeExtraSeats();
+}
+
+/**
+ * Puts the first pick of the draft on the clock (and starts the pick timer, if it's on).
+ */
+export function startDraft() {
+    gameState.draft = findNextPick(gameState.settings, 0, isFantasyRosterFull);
+    if (gameState.draft) {
+        gameState.currentPlayer = gameState.draft.playerNum;
+        gameState.pickClock = createPickClock(gameState.settings, gameState.draft.overallPick);
+    }
+}
+
+/**
+ * NEW: Moves the draft on to the next pick, following the game's draft order.
+ * Picks belonging to players whose roster is full are skipped; when every roster is full the
+ * turn stays where it is.
+ */
+export function switchTurn(syncCallback) {
+  const nextPick = findNextPick(gameState.settings, gameState.draft ? gameState.draft.overallPick : 0, isFantasyRosterFull);
+  if (nextPick) {
+    gameState.draft = nextPick;
+    gameState.currentPlayer = nextPick.playerNum;
+    gameState.pickClock = createPickClock(gameState.settings, nextPick.overallPick);
+  }
   if (typeof syncCallback === 'function') {
     syncCallback(); 
   }
 }
 
+/**
+ * Looks ahead to the pick after the one on the clock.
+ * @returns {{overallPick: number, round: number, pick: number, playerNum: number}|null}
+ */
+export function getUpcomingPick() {
+    if (!gameState.draft) return null;
+    return findNextPick(gameState.settings, gameState.draft.overallPick, isFantasyRosterFull);
+}
+
+
+/**
+ * Returns how many team re-rolls a player has left this game.
+ * @param {number} playerNum - The player number.
+ * @returns {number}
+ */
+export function getRerollsLeft(playerNum) {
+    const used = gameState.rerolls.filter(reroll => reroll.playerNum === playerNum).length;
+    return Math.max(0, getRerollsPerGame(gameState.settings) - used);
+}
+
+/**
+ * Records a team re-roll in the game state, so it syncs to every client.
+ * @param {number} playerNum - The player number.
+ * @param {string|null} fromTeamId - The ID of the team being re-rolled.
+ */
+export function recordReroll(playerNum, fromTeamId) {
+    gameState.rerolls.push({ playerNum, overallPick: gameState.draft ? gameState.draft.overallPick : null, fromTeamId });
+}
+
+/**
+ * Records a spin in the game state, so the roll rules can avoid repeating it.
+ * @param {number} playerNum - The player number.
+ * @param {object} roll - The roll the player landed on.
+ */
+export function recordRoll(playerNum, roll) {
+    const teamIds = roll.teamIds ? Object.values(roll.teamIds) : [roll.id];
+    gameState.rollHistory.push({ playerNum, rollId: roll.id, teamId: teamIds.length === 1 ? teamIds[0] : null });
+}
 
 /**
  * NEW: Sets the current game phase.
@@ -92,11 +269,20 @@ export function setGamePhase(newPhase) {
 export function resetGameState() {
     gameState.currentPlayer = 1;
     gameState.phase = 'NAME_ENTRY';
+    gameState.settings = getDefaultSettings();
+    gameState.scoringWeek = null;
+    gameState.draft = null;
+    gameState.pickClock = null;
+    gameState.rerolls = [];
+    gameState.rollHistory = [];
+    gameState.pickLog = [];
+    gameState.undoRequest = null;
+    gameState.results = null;
 }
 
 /**
  * Checks if a player's fantasy roster is completely full.
- * @param {number} playerNum - The player number (1 or 2).
+ * @param {number} playerNum - The player number.
  * @returns {boolean} True if the roster is full, false otherwise.
  */
 export function isFantasyRosterFull(playerNum) {
@@ -104,15 +290,14 @@ export function isFantasyRosterFull(playerNum) {
     if (!playerData[playerNum] || !playerData[playerNum].rosterSlots) {
         return false;
     }
-    const roster = playerData[playerNum].rosterSlots;
-    const requiredSlots = ['QB', 'RB', 'WR1', 'WR2', 'TE', 'Flex', 'DEF', 'K'];
-    return requiredSlots.every(slot => roster[slot] !== null);
+    return isRosterComplete(playerData[playerNum].rosterSlots, gameState.settings);
 }
 
 /**
  * Checks if a player's fantasy roster has any available slot for a given position type.
- * @param {number} playerNum - The player number (1 or 2).
+ * @param {number} playerNum - The player number.
  * @param {string} originalPosition - The player's original position (e.g., 'QB', 'RB', 'WR', 'TE', 'K', 'DEF').
+ * Positions the roster template has no slot for (e.g. K in a no-kicker league) are never draftable.
  * @returns {boolean} True if no slot is available for that position, false otherwise.
  */
 export function isPlayerPositionUndraftable(playerNum, originalPosition) {
@@ -120,25 +305,5 @@ export function isPlayerPositionUndraftable(playerNum, originalPosition) {
     if (!playerData[playerNum] || !playerData[playerNum].rosterSlots) {
         return true; // Assume undraftable if data is missing
     }
-    const rosterSlots = playerData[playerNum].rosterSlots;
-
-    if (originalPosition === 'QB') {
-        return rosterSlots.QB !== null;
-    }
-    if (originalPosition === 'RB') {
-        return rosterSlots.RB !== null && rosterSlots.Flex !== null;
-    }
-    if (originalPosition === 'WR') {
-        return rosterSlots.WR1 !== null && rosterSlots.WR2 !== null && rosterSlots.Flex !== null;
-    }
-    if (originalPosition === 'TE') {
-        return rosterSlots.TE !== null && rosterSlots.Flex !== null;
-    }
-    if (originalPosition === 'K') {
-        return rosterSlots.K !== null;
-    }
-    if (originalPosition === 'DEF') {
-        return rosterSlots.DEF !== null;
-    }
-    return true; 
+    return !findOpenSlot(playerData[playerNum].rosterSlots, gameState.settings, originalPosition);
 }
\ No newline at end of file
@@ -0,0 +1,125 @@
+/**
+ * projections.js
+ * Projects a player's fantasy points for the game's scoring week so draft picks aren't made
+ * blind. A projection averages the player's most recent games, weighting the latest ones more
+ * heavily. Projections are cached per player, scoring week and scoring settings.
+ */
+
+import { fetchPlayerGameLog } from './api.js';
+import { cached } from './cache.js';
+import { findTeamByeWeek, getScoringWeekStart, resolveScoringWeek } from './gameStatus.js';
+import { resolveTank01Player, getPlayerTeamId } from './playerIdentity.js';
+import { calculateFantasyPoints, getScoringWeights } from './scoring.js';
+
+const RECENT_GAMES = 4; // How many recent games a projection is based on
+
+/**
+ * The projection model: a recency-weighted average of the player's recent games.
+ * The newest game counts RECENT_GAMES times as much as the oldest one.
+ */
+const recentAverageModel = {
+    name: 'recentAverage',
+
+    /**
+     * @param {Array<object>} recentGames - The player's stat lines before the scoring week, newest first.
+     * @param {{ruleSet: string, customWeights: object|null}} [scoring] - The game's scoring settings.
+     * @returns {{projectedPoints: number, recentAverage: number}}
+     */
+    project(recentGames, scoring) {
+        const points = recentGames.map(stats => calculateFantasyPoints(stats, scoring));
+        const recentAverage = points.reduce((sum, p) => sum + p, 0) / points.length;
+
+        const weights = points.map((_, i) => points.length - i);
+        const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+        const projectedPoints = points.reduce((sum, p, i) => sum + p * weights[i], 0) / totalWeight;
+
+        return { projectedPoints, recentAverage };
+    }
+};
+
+/**
+ * Builds a cache key fragment that changes whenever the scoring settings do.
+ * @param {{ruleSet: string, customWeights: object|null}} [scoring]
+ * @returns {string}
+ */
+function getScoringKey(scoring) {
+    if (!scoring || scoring.ruleSet !== 'CUSTOM') return (scoring && scoring.ruleSet) || 'default';
+    return `CUSTOM-${Object.values(getScoringWeights(scoring)).join(',')}`;
+}
+
+/**
+ * Collects the player's games played before the scoring week, newest first. Early in a season
+ * the previous season's games make up the numbers.
+ * @param {string} playerID - The Tank01 player ID.
+ * @param {{season: string, week: number}} scoringWeek - The resolved scoring week.
+ * @param {{priority?: number}} options - Request options.
+ * @returns {Promise<Array<object>>} Up to RECENT_GAMES stat lines.
+ */
+async function getRecentGames(playerID, scoringWeek, options) {
+    const weekStart = getScoringWeekStart(scoringWeek);
+    const recentGames = new Map(); // gameID → stat line
+
+    for (const season of [scoringWeek.season, String(Number(scoringWeek.season) - 1)]) {
+        const games = await fetchPlayerGameLog(playerID, season, options);
+        Object.values(games || {})
+            .filter(stats => stats.gameID && stats.gameID.slice(0, 8) < weekStart)
+            .forEach(stats => recentGames.set(stats.gameID, stats));
+        if (recentGames.size >= RECENT_GAMES) break;
+    }
+
+    return [...recentGames.values()]
+        .sort((a, b) => b.gameID.localeCompare(a.gameID))
+        .slice(0, RECENT_GAMES);
+}
+
+/**
+ * Projects a player's fantasy points for the scoring week.
+ * Players whose team is on a bye are projected 0; the recent average is still reported.
+ * @param {object} player - An ESPN roster player or a roster slot.
+ * @param {Array<object>} allTeams - The teams list (from data.js).
+ * @param {{ruleSet: string, customWeights: object|null}} [scoring] - The game's scoring settings.
+ * @param {{season: string, week: number}|null} [scoringWeek] - The game's scoring week; defaults to the current week.
+ * @param {{priority?: number}} [options] - Request options.
+ * @returns {Promise<{projectedPoints: number|null, recentAverage: number|null, gamesUsed: number, isBye: boolean}|null>}
+ *   The projection (points are null without recent games), or null if the player couldn't be resolved.
+ */
+export async function getPlayerProjection(player, allTeams, scoring, scoringWeek = null, options = {}) {
+    const week = scoringWeek || resolveScoringWeek(null);
+    const match = await resolveTank01Player(player, allTeams, options);
+    if (!match) return null;
+
+    const model = recentAverageModel;
+    const cacheKey = [model.name, match.playerID, week.season, week.week, getScoringKey(scoring)].join(':');
+
+    try {
+        return await cached('projections', cacheKey, async () => {
+            const teamId = await getPlayerTeamId(player, match.playerID, week.season, options);
+            const team = allTeams.find(t => t.id === teamId);
+            const isBye = !!team && await findTeamByeWeek(team, week.season, options) === week.week;
+
+            const recentGames = await getRecentGames(match.playerID, week, options);
+            if (!recentGames.length) {
+                return { projectedPoints: isBye ? 0 : null, recentAverage: null, gamesUsed: 0, isBye };
+            }
+
+            const { projectedPoints, recentAverage } = model.project(recentGames, scoring);
+            return { projectedPoints: isBye ? 0 : projectedPoints, recentAverage, gamesUsed: recentGames.length, isBye };
+        });
+    } catch (e) {
+        console.error(`Error projecting points for ${player.displayName}:`, e);
+        return null;
+    }
+}
+
+/**
+ * Short text for a projection, e.g. "Proj 14.2 · Avg 12.8".
+ * @param {object|null} projection - A projection from getPlayerProjection.
+ * @returns {string}
+ */
+export function formatProjection(projection) {
+    if (!projection) return 'Proj N/A';
+    const average = projection.recentAverage === null ? '' : ` · Avg ${projection.recentAverage.toFixed(1)}`;
+    if (projection.isBye) return `Bye week${average}`;
+    if (projection.projectedPoints === null) return 'No recent games';
+    return `Proj ${projection.projectedPoints.toFixed(1)}${average}`;
+}
@@ -0,0 +1,122 @@
+/**
+ * results.js
+ * Decides the matchup once every rostered player's game is over. Players are ranked by their
+ * starters' points; ties are broken by the game's tiebreakers, in order. The result is saved in
+ * `gameState.results`, so every client shows the same winner.
+ */
+
+import { GAME_STATUS } from './gameStatus.js';
+
+export const TIEBREAKERS = {
+    BENCH: { label: 'Bench points' },
+    TOP_SCORER: { label: 'Highest single scorer' },
+    QB: { label: 'QB points' }
+};
+
+export const DEFAULT_TIEBREAKERS = ['BENCH', 'TOP_SCORER', 'QB'];
+
+/**
+ * Returns a game's tiebreakers, in the order they're applied.
+ * Games saved before the tiebreaker setting existed use the defaults.
+ * @param {{tiebreakers?: Array<string>}} [settings] - The game settings (`gameState.settings`).
+ * @returns {Array<string>} TIEBREAKERS keys.
+ */
+export function getTiebreakers(settings) {
+    if (!settings?.tiebreakers) return DEFAULT_TIEBREAKERS;
+    // Firebase returns arrays as objects when they have gaps; 'NONE' places and repeated keys are dropped.
+    return Object.values(settings.tiebreakers).filter((key, i, keys) => TIEBREAKERS[key] && keys.indexOf(key) === i);
+}
+
+const pointsOf = slotPlayer => (typeof slotPlayer?.fantasyPoints === 'number' ? slotPlayer.fantasyPoints : 0);
+
+/**
+ * Whether every rostered player's game is over (final, or a bye).
+ * @param {Array<object>} rosters - The players' roster slots.
+ * @returns {boolean}
+ */
+export function areAllGamesFinal(rosters) {
+    return rosters.every(rosterSlots => Object.values(rosterSlots).every(slotPlayer => {
+        if (!slotPlayer) return true;
+        const status = slotPlayer.gameStatus?.status;
+        return status === GAME_STATUS.FINAL || status === GAME_STATUS.BYE;
+    }));
+}
+
+/**
+ * Scores a fantasy roster: the starters' total, the tiebreaker values and each slot's points.
+ * @param {object} rosterSlots - The player's roster slots.
+ * @param {Array<{id: string, isBench?: boolean}>} rosterSlotsList - The game's roster slots.
+ * @returns {{total: number, tiebreakers: object, slotPoints: object}}
+ */
+export function scoreRoster(rosterSlots, rosterSlotsList) {
+    const starters = rosterSlotsList.filter(slot => !slot.isBench).map(slot => rosterSlots[slot.id]).filter(Boolean);
+    const bench = rosterSlotsList.filter(slot => slot.isBench).map(slot => rosterSlots[slot.id]).filter(Boolean);
+    // Rounded to the hundredth shown on screen, so float error can't split players who look level.
+    const sum = players => Math.round(players.reduce((total, slotPlayer) => total + pointsOf(slotPlayer), 0) * 100) / 100;
+
+    return {
+        total: sum(starters),
+        tiebreakers: {
+            BENCH: sum(bench),
+            TOP_SCORER: Math.max(0, ...starters.map(pointsOf)),
+            QB: sum(starters.filter(slotPlayer => slotPlayer.originalPosition === 'QB'))
+        },
+        slotPoints: Object.fromEntries(rosterSlotsList.map(slot => [slot.id, rosterSlots[slot.id] ? pointsOf(rosterSlots[slot.id]) : null]))
+    };
+}
+
+/**
+ * Compares two scored rosters: by total, then by each tiebreaker in turn.
+ * @returns {{difference: number, decidedBy: string|null}} A negative difference ranks `a` first;
+ *   `decidedBy` is 'TOTAL', a tiebreaker key, or null if they're level on everything.
+ */
+function compareScores(a, b, tiebreakers) {
+    if (a.total !== b.total) return { difference: b.total - a.total, decidedBy: 'TOTAL' };
+    for (const key of tiebreakers) {
+        if (a.tiebreakers[key] !== b.tiebreakers[key]) {
+            return { difference: b.tiebreakers[key] - a.tiebreakers[key], decidedBy: key };
+        }
+    }
+    return { difference: 0, decidedBy: null };
+}
+
+/**
+ * Ranks the players and declares the winner.
+ * @param {object} allPlayerData - Map of player number → player data.
+ * @param {Array<number>} playerNums - The player numbers in the game.
+ * @param {Array<object>} rosterSlotsList - The game's roster slots.
+ * @param {object} settings - The game settings.
+ * @param {number} decidedAt - When the result was decided (ms since the epoch).
+ * @returns {{standings: Array<object>, winners: Array<number>, decidedBy: string|null, decidedAt: number}}
+ *   Standings best first (players level on everything share a rank); `winners` has more than one
+ *   player when the top spot is tied; `decidedBy` is what separated first from second.
+ */
+export function decideResults(allPlayerData, playerNums, rosterSlotsList, settings, decidedAt) {
+    const tiebreakers = getTiebreakers(settings);
+    const scored = playerNums.map(playerNum => ({ playerNum, ...scoreRoster(allPlayerData[playerNum].rosterSlots, rosterSlotsList) }));
+    scored.sort((a, b) => compareScores(a, b, tiebreakers).difference);
+
+    const standings = scored.map((entry, i) => {
+        const isLevelWithPrevious = i > 0 && compareScores(scored[i - 1], entry, tiebreakers).decidedBy === null;
+        return { ...entry, rank: i + 1, isLevelWithPrevious };
+    });
+    standings.forEach((entry, i) => {
+        if (entry.isLevelWithPrevious) entry.rank = standings[i - 1].rank;
+        delete entry.isLevelWithPrevious;
+    });
+
+    const winners = standings.filter(entry => entry.rank === 1).map(entry => entry.playerNum);
+    const decidedBy = standings.length > 1 ? compareScores(standings[0], standings[1], tiebreakers).decidedBy : 'TOTAL';
+    return { standings, winners, decidedBy, decidedAt };
+}
+
+/**
+ * Short text for how the matchup was decided, e.g. "Won on a tiebreaker: bench points".
+ * @param {{winners: Array<number>, decidedBy: string|null}} results
+ * @returns {string}
+ */
+export function describeDecision(results) {
+    if (results.winners.length > 1 || !results.decidedBy) return 'Level on points and every tiebreaker';
+    if (results.decidedBy === 'TOTAL') return 'Won on points';
+    return `Won on a tiebreaker: ${TIEBREAKERS[results.decidedBy].label.toLowerCase()}`;
+}
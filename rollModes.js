@@ -0,0 +1,223 @@
+/**
+ * rollModes.js
+ * The slot reels a player spins before each pick. The classic reel lands on one NFL team; the
+ * other modes land on a position (drafted from any team), a division, a conference, or a team
+ * and a position on two reels. A spin produces a roll — saved as the player's `team` — naming
+ * the teams and the position the player may draft from.
+ */
+
+import { teams, CONFERENCES, getTeamsByDivision } from './data.js';
+import { getTeamRoster, getTeamRosters } from './rosterService.js';
+import { getRandomElement } from './utils.js';
+import { pickWeighted } from './rollRules.js';
+
+export const DRAFT_POSITIONS = ['QB', 'RB', 'WR', 'TE', 'K', 'DEF'];
+
+export const ROLL_MODES = {
+    TEAM: {
+        label: 'Team (draft any position)',
+        buttonLabel: 'Spin Team',
+        spinText: 'Selecting your team...',
+        usesTeamReel: true
+    },
+    POSITION: {
+        label: 'Position (draft from any team)',
+        buttonLabel: 'Spin Position',
+        spinText: 'Spinning for a position...'
+    },
+    DIVISION: {
+        label: 'Division (draft from its four teams)',
+        buttonLabel: 'Spin Division',
+        spinText: 'Spinning for a division...'
+    },
+    CONFERENCE: {
+        label: 'Conference (draft from its 16 teams)',
+        buttonLabel: 'Spin Conference',
+        spinText: 'Spinning for a conference...'
+    },
+    TEAM_POSITION: {
+        label: 'Team + position (two reels)',
+        buttonLabel: 'Spin Team + Position',
+        spinText: 'Spinning the team reel...',
+        positionSpinText: 'Spinning the position reel...',
+        usesTeamReel: true
+    }
+};
+
+export const DEFAULT_ROLL_MODE = 'TEAM';
+
+/**
+ * Returns the roll mode for a game's settings.
+ * Games saved before roll modes existed spin for a team.
+ * @param {{rollMode?: string}} [settings] - The game settings (`gameState.settings`).
+ * @returns {object}
+ */
+export function getRollMode(settings) {
+    return ROLL_MODES[settings?.rollMode] || ROLL_MODES[DEFAULT_ROLL_MODE];
+}
+
+/**
+ * Builds a round badge image (an SVG data URL) for reel faces that have no logo, e.g. "WR".
+ * @param {string} text
+ * @returns {string}
+ */
+function createBadgeLogo(text) {
+    const fontSize = text.length > 3 ? 22 : 40;
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 100 100">`
+        + `<circle cx="50" cy="50" r="48" fill="#101935" stroke="#3b82f6" stroke-width="4"/>`
+        + `<text x="50" y="50" dy="0.35em" text-anchor="middle" font-family="sans-serif" font-weight="700" font-size="${fontSize}" fill="#E0E6EF">${text}</text>`
+        + `</svg>`;
+    return `data:image/svg+xml,${encodeURIComponent(svg)}`;
+}
+
+/**
+ * Picks a random option, avoiding the one being re-rolled when there's another to choose.
+ * @param {Array<object>} options - Options with an `id`.
+ * @param {string|null} excludeId
+ * @returns {object}
+ */
+function pickOption(options, excludeId) {
+    const others = options.filter(option => option.id !== excludeId);
+    return getRandomElement(others.length > 0 ? others : options);
+}
+
+/**
+ * Picks a team for the team reel, following the roll rules' weights.
+ * @param {Array<object>} options - The team options.
+ * @param {string|null} excludeId - The team being re-rolled.
+ * @param {object|null} teamWeights - Map of team ID → weight from the roll rules, or null for equal odds.
+ * @returns {object}
+ */
+function pickTeamOption(options, excludeId, teamWeights) {
+    const weightOf = option => (teamWeights ? teamWeights[option.id] ?? 1 : 1);
+    return pickWeighted(options, option => (option.id === excludeId ? 0 : weightOf(option)))
+        || pickWeighted(options, weightOf)
+        || getRandomElement(options);
+}
+
+// Teams the roll rules removed don't appear on the reel.
+const teamOptions = teamWeights => teams
+    .filter(team => !teamWeights || teamWeights[team.id] !== 0)
+    .map(team => ({ id: team.id, name: team.name, logo: team.logo, team }));
+const positionOptions = positions => positions.map(position => ({ id: position, name: position, logo: createBadgeLogo(position) }));
+
+/**
+ * Spins the reels for a game's roll mode. The outcome is decided up front; the reels describe
+ * how to animate it.
+ * @param {object} settings - The game settings.
+ * @param {Array<string>} openPositions - The positions the player still has a roster slot for.
+ * @param {object|null} [previousRoll] - The roll being re-rolled; it won't come up again if there's an alternative.
+ * @param {object|null} [teamWeights] - Map of team ID → weight for team reels (see rollRules.js), or null for equal odds.
+ * @returns {{roll: object, reels: Array<{spinText: string, faces: Array<object>, result: {name: string, logo: string}}>}}
+ *   The roll to save as the player's `team`, and one entry per reel to animate.
+ */
+export function spinRoll(settings, openPositions, previousRoll = null, teamWeights = null) {
+    const rollMode = settings?.rollMode in ROLL_MODES ? settings.rollMode : DEFAULT_ROLL_MODE;
+    const mode = ROLL_MODES[rollMode];
+    const positions = openPositions.length > 0 ? openPositions : DRAFT_POSITIONS;
+    const excludeId = previousRoll ? previousRoll.id : null;
+    const toReel = (spinText, options, result) => ({
+        spinText,
+        faces: options.map(option => ({ src: option.logo, isAvatar: false })),
+        result: { name: result.name, logo: result.logo }
+    });
+
+    switch (rollMode) {
+        case 'POSITION': {
+            const options = positionOptions(positions);
+            const position = pickOption(options, excludeId);
+            return {
+                roll: { id: position.id, rollMode, name: `Any ${position.name}`, logo: position.logo, teamIds: teams.map(t => t.id), position: position.id },
+                reels: [toReel(mode.spinText, options, position)]
+            };
+        }
+        case 'DIVISION':
+        case 'CONFERENCE': {
+            const groups = rollMode === 'DIVISION'
+                ? getTeamsByDivision().map(group => ({ name: `${group.conference} ${group.division}`, teams: group.teams }))
+                : CONFERENCES.map(conference => ({ name: conference, teams: teams.filter(t => t.conference === conference) }));
+            const options = groups.map(group => ({ id: group.name, name: group.name, logo: createBadgeLogo(group.name), teams: group.teams }));
+            const group = pickOption(options, excludeId);
+            return {
+                roll: { id: group.id, rollMode, name: group.name, logo: group.logo, teamIds: group.teams.map(t => t.id), position: null },
+                reels: [toReel(mode.spinText, options, group)]
+            };
+        }
+        case 'TEAM_POSITION': {
+            // A re-roll spins both reels again, so only the exact team and position pair is avoided.
+            const [previousTeamId, previousPosition] = excludeId ? excludeId.split(':') : [null, null];
+            const teamChoices = teamOptions(teamWeights);
+            const positionChoices = positionOptions(positions);
+            const team = pickTeamOption(teamChoices, null, teamWeights);
+            const position = pickOption(positionChoices, team.id === previousTeamId ? previousPosition : null);
+            return {
+                roll: { ...team.team, id: `${team.id}:${position.id}`, rollMode, name: `${team.team.shortName} ${position.name}`, teamIds: [team.id], position: position.id },
+                reels: [toReel(mode.spinText, teamChoices, team), toReel(mode.positionSpinText, positionChoices, position)]
+            };
+        }
+        default: {
+            const options = teamOptions(teamWeights);
+            const team = pickTeamOption(options, excludeId, teamWeights);
+            return {
+                roll: { ...team.team, rollMode, teamIds: [team.id], position: null },
+                reels: [toReel(mode.spinText, options, team)]
+            };
+        }
+    }
+}
+
+/**
+ * Returns the IDs of the teams a roll lets the player draft from.
+ * Rolls saved before roll modes existed are a single team.
+ * @param {object} roll - The player's roll (`playerData[n].team`).
+ * @returns {Array<string>}
+ */
+function getRollTeamIds(roll) {
+    return roll.teamIds ? Object.values(roll.teamIds) : [roll.id];
+}
+
+/**
+ * Checks whether a player can be drafted with a roll: they must play for one of the roll's
+ * teams and, if the roll landed on a position, at that position.
+ * @param {object} roll - The player's roll.
+ * @param {object} player - An NFL player from the roster service.
+ * @returns {boolean}
+ */
+export function isPlayerInRoll(roll, player) {
+    const position = player.position?.abbreviation || player.position?.name;
+    return getRollTeamIds(roll).includes(player.teamId) && (!roll.position || roll.position === position);
+}
+
+/**
+ * Loads the players a roll lets the player draft from.
+ * @param {object} roll - The player's roll.
+ * @returns {Promise<Array<object>>}
+ * @throws {RosterFetchError} If a single team's roster can't be loaded.
+ * @throws {Error} If none of the roll's rosters can be loaded.
+ */
+export async function loadRollPool(roll) {
+    const rollTeams = teams.filter(team => getRollTeamIds(roll).includes(team.id));
+    if (rollTeams.length === 1) {
+        return (await getTeamRoster(rollTeams[0])).filter(player => isPlayerInRoll(roll, player));
+    }
+
+    const rosters = await getTeamRosters(rollTeams);
+    rosters.filter(({ error }) => error).forEach(({ team, error }) => console.warn(`Failed to fetch roster for ${team.name}`, error));
+    if (rosters.every(({ error }) => error)) {
+        throw new Error(`Couldn't load the rosters for ${roll.name}. Check your connection and try again.`);
+    }
+    return rosters.flatMap(({ players }) => players).filter(player => isPlayerInRoll(roll, player));
+}
+
+/**
+ * Short text for who a roll lets the player draft, e.g. "Draft any WR from any team".
+ * @param {object} roll - The player's roll.
+ * @returns {string}
+ */
+export function describeRoll(roll) {
+    const teamCount = getRollTeamIds(roll).length;
+    const who = roll.position ? `any ${roll.position}` : 'any player';
+    if (teamCount === teams.length) return `Draft ${who} from any team`;
+    if (teamCount > 1) return `Draft ${who} from the ${roll.name}`;
+    return roll.position ? `Draft any ${roll.position} from the ${roll.shortName || roll.name}` : `Draft any player from the ${roll.name}`;
+}
@@ -0,0 +1,135 @@
+/**
+ * rollRules.js
+ * Optional rules that steer the team reel away from teams a player doesn't want to land on:
+ * teams they rolled recently, teams on a bye in the scoring week and teams with nobody left
+ * they could draft. Each rule either leaves teams alone, makes them less likely or removes
+ * them from the reel; the chance of landing on a team is the product of its rules' weights.
+ */
+
+import { teams } from './data.js';
+import { findTeamByeWeek } from './gameStatus.js';
+import { getTeamRosters } from './rosterService.js';
+
+export const ROLL_RULE_STRENGTHS = {
+    OFF: { label: 'Allowed', weight: 1 },
+    RARE: { label: 'Less likely', weight: 0.25 },
+    NEVER: { label: 'Never', weight: 0 }
+};
+
+export const ROLL_RULES = {
+    recent: { label: 'Recently Rolled Teams', describe: count => `${count} recently rolled team${count === 1 ? '' : 's'}` },
+    bye: { label: 'Teams on Bye', describe: count => `${count} team${count === 1 ? '' : 's'} on bye` },
+    undraftable: { label: "Teams You Can't Draft From", describe: count => `${count} team${count === 1 ? '' : 's'} with nobody you can draft` }
+};
+
+// Rolls → label, for how far back the recently rolled teams rule looks.
+export const REPEAT_WINDOW_OPTIONS = {
+    1: 'Last roll',
+    2: 'Last 2 rolls',
+    3: 'Last 3 rolls',
+    5: 'Last 5 rolls'
+};
+
+export const DEFAULT_ROLL_RULES = {
+    recent: 'OFF',
+    bye: 'OFF',
+    undraftable: 'OFF',
+    repeatWindow: 3
+};
+
+/**
+ * Returns a game's roll rules. Games saved before roll rules existed have every rule off.
+ * @param {{rollRules?: object}} [settings] - The game settings (`gameState.settings`).
+ * @returns {{recent: string, bye: string, undraftable: string, repeatWindow: number}}
+ */
+export function getRollRules(settings) {
+    return { ...DEFAULT_ROLL_RULES, ...settings?.rollRules };
+}
+
+/**
+ * Returns the IDs of the teams a player rolled in their last few spins.
+ * @param {Array<{playerNum: number, teamId?: string}>} rollHistory - Every spin in the game, in order.
+ * @param {number} playerNum - The player number.
+ * @param {number} window - How many of the player's spins to look back over.
+ * @returns {Array<string>}
+ */
+export function getRecentTeamIds(rollHistory, playerNum, window) {
+    return rollHistory
+        .filter(entry => entry.playerNum === playerNum)
+        .slice(-window)
+        .map(entry => entry.teamId)
+        .filter(Boolean);
+}
+
+/**
+ * Works out the teams each active rule applies to.
+ * @param {object} rules - The game's roll rules (from getRollRules).
+ * @param {{recentTeamIds: Array<string>, scoringWeek: {season: string, week: number}|null, openPositions: Array<string>, draftedIds: Set<string|number>}} context
+ * @returns {Promise<object>} Map of rule key → Set of team IDs, for rules that aren't off.
+ */
+async function findRuleTeams(rules, { recentTeamIds, scoringWeek, openPositions, draftedIds }) {
+    const ruleTeams = {};
+    if (rules.recent !== 'OFF') {
+        ruleTeams.recent = new Set(recentTeamIds);
+    }
+    if (rules.bye !== 'OFF' && scoringWeek) {
+        // Schedules are cached, like rosters, so this rarely hits the network after the first spin.
+        const byeWeeks = await Promise.all(teams.map(team => findTeamByeWeek(team, scoringWeek.season)));
+        ruleTeams.bye = new Set(teams.filter((_, i) => byeWeeks[i] === scoringWeek.week).map(team => team.id));
+    }
+    if (rules.undraftable !== 'OFF') {
+        // Rosters are cached, so after the first spin this rarely hits the network. A team whose
+        // roster can't be loaded is left alone rather than ruled out.
+        const rosters = await getTeamRosters(teams);
+        ruleTeams.undraftable = new Set(rosters
+            .filter(({ players, error }) => !error && !players.some(player =>
+                !draftedIds.has(player.id) && openPositions.includes(player.position?.abbreviation || player.position?.name)))
+            .map(({ team }) => team.id));
+    }
+    return ruleTeams;
+}
+
+/**
+ * Weighs every team for a player's next spin.
+ * @param {object} settings - The game settings.
+ * @param {{recentTeamIds: Array<string>, scoringWeek: object|null, openPositions: Array<string>, draftedIds: Set<string|number>}} context
+ * @returns {Promise<{weights: object, notes: Array<string>}>} Map of team ID → weight, and a
+ *   note per rule that removed teams or made them less likely (e.g. "4 teams on bye removed").
+ */
+export async function getTeamRollWeights(settings, context) {
+    const rules = getRollRules(settings);
+    const ruleTeams = await findRuleTeams(rules, context);
+    const weights = Object.fromEntries(teams.map(team => [team.id, 1]));
+    const notes = [];
+
+    Object.entries(ruleTeams).forEach(([ruleKey, teamIds]) => {
+        if (teamIds.size === 0) return;
+        const strength = ROLL_RULE_STRENGTHS[rules[ruleKey]] || ROLL_RULE_STRENGTHS.OFF;
+        teamIds.forEach(teamId => { weights[teamId] *= strength.weight; });
+        notes.push(`${ROLL_RULES[ruleKey].describe(teamIds.size)} ${strength.weight === 0 ? 'removed' : 'made less likely'}`);
+    });
+
+    // If the rules would rule out every team, the reel falls back to all of them.
+    if (Object.values(weights).every(weight => weight === 0)) {
+        return { weights: Object.fromEntries(teams.map(team => [team.id, 1])), notes: ['No team passed the roll rules, so every team is back in'] };
+    }
+    return { weights, notes };
+}
+
+/**
+ * Picks a random option, with each option's chance proportional to its weight.
+ * @param {Array<object>} options - The options to pick from.
+ * @param {function(object): number} getWeight - Returns an option's weight (0 rules it out).
+ * @returns {object|null} The option, or null if every weight is 0.
+ */
+export function pickWeighted(options, getWeight) {
+    const total = options.reduce((sum, option) => sum + getWeight(option), 0);
+    if (total <= 0) return null;
+
+    let target = Math.random() * total;
+    for (const option of options) {
+        target -= getWeight(option);
+        if (target < 0) return option;
+    }
+    return options.filter(option => getWeight(option) > 0).pop();
+}
@@ -0,0 +1,149 @@
+/**
+ * roomChat.js
+ * The chat in a multiplayer room, stored next to the room (`chats/{roomId}`) like its spectators,
+ * so chat traffic never touches the room's game transactions. Players post messages; the game
+ * posts system messages for picks, spins, and players connecting and disconnecting. Players can
+ * react to picks with a quick emoji, one reaction each per pick. Spectators read the chat but
+ * never write to it.
+ */
+
+import { ref, push, set, query, limitToLast, onValue, onDisconnect, serverTimestamp } from 'firebase/database';
+import { db } from './firebase.js';
+import { PICK_SOURCES } from './pickLog.js';
+
+export const QUICK_REACTIONS = ['🔥', '👏', '😂', '😬', '💀'];
+
+export const MAX_MESSAGE_LENGTH = 200;
+
+// Messages loaded into the drawer; older ones stay in the room but aren't shown.
+const MESSAGE_LIMIT = 100;
+
+const chatRef = roomId => ref(db, `chats/${roomId}`);
+
+/**
+ * Calls back with the room's latest messages, oldest first, whenever the chat changes.
+ * @param {string} roomId
+ * @param {function(Array<object>): void} callback - Gets messages `{ id, kind, event?, playerNum, text, sentAt, reactions? }`.
+ */
+export function watchChat(roomId, callback) {
+    onValue(query(chatRef(roomId), limitToLast(MESSAGE_LIMIT)), (snapshot) => {
+        const messages = [];
+        snapshot.forEach(child => { messages.push({ id: child.key, ...child.val() }); });
+        callback(messages);
+    });
+}
+
+/**
+ * Posts a player's message.
+ * @param {string} roomId
+ * @param {number} playerNum - The player posting.
+ * @param {string} text
+ * @returns {Promise<void>}
+ */
+export async function sendChatMessage(roomId, playerNum, text) {
+    const trimmed = text.trim().slice(0, MAX_MESSAGE_LENGTH);
+    if (!trimmed) return;
+    await push(chatRef(roomId), { kind: 'user', playerNum, text: trimmed, sentAt: serverTimestamp() });
+}
+
+/**
+ * Posts a system message about a player, shown as their name followed by the text.
+ * @param {string} roomId
+ * @param {{playerNum: number, event: string, text: string}} message - `event` is 'pick', 'roll',
+ *   'connected' or 'disconnected'.
+ * @returns {Promise<void>}
+ */
+export async function postSystemMessage(roomId, { playerNum, event, text }) {
+    await push(chatRef(roomId), { kind: 'system', event, playerNum, text, sentAt: serverTimestamp() });
+}
+
+/**
+ * Has the server post a "disconnected" message for a player when their connection drops.
+ * Like the presence handler, it's used up by a disconnect and set again on reconnect.
+ * @param {string} roomId
+ * @param {number} playerNum
+ * @returns {Promise<object>} The message's reference, to cancel the handler with.
+ */
+export async function postOnDisconnect(roomId, playerNum) {
+    const messageRef = push(chatRef(roomId));
+    await onDisconnect(messageRef).set({ kind: 'system', event: 'disconnected', playerNum, text: 'disconnected', sentAt: serverTimestamp() });
+    return messageRef;
+}
+
+/**
+ * Sets a player's reaction to a message, or clears it with null.
+ * @param {string} roomId
+ * @param {string} messageId
+ * @param {number} playerNum
+ * @param {string|null} emoji - One of QUICK_REACTIONS.
+ * @returns {Promise<void>}
+ */
+export async function setReaction(roomId, messageId, playerNum, emoji) {
+    await set(ref(db, `chats/${roomId}/${messageId}/reactions/player${playerNum}`), emoji);
+}
+
+/**
+ * Describes the spins and picks an action added, as system messages.
+ * @param {object} base - The room state before the action (from captureRoomState).
+ * @param {object} next - The room state after it.
+ * @returns {Array<{playerNum: number, event: string, text: string}>}
+ */
+export function describeNewTurns(base, next) {
+    const newEntries = list => Object.values(next.gameState?.[list] || {}).slice(Object.values(base.gameState?.[list] || {}).length);
+
+    const rolls = newEntries('rollHistory').map(entry => ({
+        playerNum: entry.playerNum,
+        event: 'roll',
+        text: `spun ${next.playerData?.[entry.playerNum]?.team?.name || 'a new roll'}`
+    }));
+
+    // Auto-drafting a whole roster logs several entries under one pick; they make one message.
+    const picks = [];
+    newEntries('pickLog').forEach(entry => {
+        const drafted = `${entry.displayName} (${entry.slotId})`;
+        const previous = picks[picks.length - 1];
+        if (previous && previous.playerNum === entry.playerNum && previous.overallPick === entry.overallPick) {
+            previous.drafted.push(drafted);
+        } else {
+            picks.push({ playerNum: entry.playerNum, overallPick: entry.overallPick, source: entry.source, drafted: [drafted] });
+        }
+    });
+
+    return [...rolls, ...picks.map(pick => ({
+        playerNum: pick.playerNum,
+        event: 'pick',
+        text: `Drafted: ${pick.drafted.join(', ')}${pick.source && pick.source !== 'ROLL' ? ` · ${PICK_SOURCES[pick.source]}` : ''}`
+    }))];
+}
+
+const readAtKey = roomId => `nfl-slots-chatRead-${roomId}`;
+
+/**
+ * Returns when this device last read a room's chat.
+ * @param {string} roomId
+ * @returns {number} Server time in ms, or 0 if never.
+ */
+export function getChatReadAt(roomId) {
+    return Number(localStorage.getItem(readAtKey(roomId))) || 0;
+}
+
+/**
+ * Records that this device has read a room's chat up to a time.
+ * @param {string} roomId
+ * @param {number} readAt - Server time in ms.
+ */
+export function markChatRead(roomId, readAt) {
+    localStorage.setItem(readAtKey(roomId), String(readAt));
+}
+
+/**
+ * Counts the messages posted since the chat was last read, leaving out the player's own
+ * messages and the system messages about them.
+ * @param {Array<object>} messages
+ * @param {number} readAt
+ * @param {number|null} localPlayerNum
+ * @returns {number}
+ */
+export function countUnread(messages, readAt, localPlayerNum) {
+    return messages.filter(message => message.sentAt > readAt && message.playerNum !== localPlayerNum).length;
+}
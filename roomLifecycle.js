@@ -0,0 +1,181 @@
+/**
+ * roomLifecycle.js
+ * Keeps multiplayer rooms from living forever. Each room carries a status and an expiry time
+ * that's pushed back whenever a player is active in it. Rooms left in the lobby or mid-draft past
+ * their expiry are marked abandoned; abandoned and finished rooms past theirs are deleted.
+ * Also remembers the rooms this device has joined, for the landing page's "My games" list.
+ */
+
+import { ref, get, remove, query, orderByChild, endAt, limitToFirst, runTransaction } from 'firebase/database';
+import { db } from './firebase.js';
+import { scoreRoster } from './results.js';
+import { getRosterSlots, getPlayerCount } from './leagueSettings.js';
+
+export const ROOM_STATUS = {
+    LOBBY: 'lobby',
+    DRAFTING: 'drafting',
+    COMPLETE: 'complete',
+    ABANDONED: 'abandoned'
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// How long a room is kept after its last activity, by status.
+export const ROOM_TTL_MS = {
+    [ROOM_STATUS.LOBBY]: 2 * DAY_MS,
+    [ROOM_STATUS.DRAFTING]: 7 * DAY_MS,
+    [ROOM_STATUS.COMPLETE]: 30 * DAY_MS,
+    [ROOM_STATUS.ABANDONED]: 7 * DAY_MS
+};
+
+// An active room's expiry is pushed back at most this often, so point updates don't rewrite it.
+const EXPIRY_REFRESH_MS = HOUR_MS;
+
+// Stale rooms handled per cleanup run.
+const PRUNE_BATCH_SIZE = 25;
+
+const MY_GAMES_KEY = 'nfl-slots-myGames';
+const MAX_MY_GAMES = 20;
+
+/**
+ * Returns the room status for a game phase.
+ * @param {string} phase - 'NAME_ENTRY', 'DRAFTING' or 'COMPLETE'.
+ * @returns {string} A ROOM_STATUS value.
+ */
+export function getRoomStatus(phase) {
+    if (phase === 'DRAFTING') return ROOM_STATUS.DRAFTING;
+    if (phase === 'COMPLETE') return ROOM_STATUS.COMPLETE;
+    return ROOM_STATUS.LOBBY;
+}
+
+/**
+ * Returns when a room expires. Rooms created before expiry existed count from their creation.
+ * @param {object} room - The room (`games/{roomId}`).
+ * @returns {number} Ms since the epoch.
+ */
+export function getRoomExpiry(room) {
+    if (typeof room.expiresAt === 'number') return room.expiresAt;
+    const status = room.status || getRoomStatus(room.gameState?.phase);
+    return (room.createdAt || 0) + ROOM_TTL_MS[status];
+}
+
+/**
+ * Works out the status and expiry to write for a room a player is active in.
+ * @param {{status?: string, expiresAt?: number}} roomMeta - The room's current status and expiry.
+ * @param {string} phase - The game phase.
+ * @param {number} now - The current time.
+ * @returns {{status: string, expiresAt: number}|null} The fields to update, or null if they're current.
+ */
+export function getRoomLifecycleUpdate(roomMeta, phase, now) {
+    const status = getRoomStatus(phase);
+    const expiresAt = now + ROOM_TTL_MS[status];
+    const isCurrent = roomMeta?.status === status && typeof roomMeta.expiresAt === 'number'
+        && roomMeta.expiresAt > expiresAt - EXPIRY_REFRESH_MS;
+    return isCurrent ? null : { status, expiresAt };
+}
+
+/**
+ * Cleans up rooms past their expiry: unfinished rooms are marked abandoned (and kept a while, so
+ * they still show in "My games"), abandoned and finished rooms are deleted. Each room is checked
+ * again in a transaction, so a room a player has just returned to is left alone.
+ * Relies on the `expiresAt` index on `games` in database.rules.json; without it the query reads every room.
+ * @param {number} [now] - The current time.
+ * @returns {Promise<{abandoned: number, removed: number}>}
+ */
+export async function pruneStaleRooms(now = Date.now()) {
+    const staleQuery = query(ref(db, 'games'), orderByChild('expiresAt'), endAt(now), limitToFirst(PRUNE_BATCH_SIZE));
+    const snapshot = await get(staleQuery);
+    const roomIds = [];
+    snapshot.forEach(child => { roomIds.push(child.key); });
+
+    const counts = { abandoned: 0, removed: 0 };
+    for (const roomId of roomIds) {
+        let outcome = null;
+        const result = await runTransaction(ref(db, `games/${roomId}`), room => {
+            outcome = null;
+            // Nothing is listening to the room here, so the first call gets null rather than the room;
+            // returning it makes the SDK retry with the server's copy, or finds the room really gone.
+            if (!room) return room;
+            if (getRoomExpiry(room) > now) {
+                // Rooms from before expiry existed get one, so they stop coming back in this query.
+                return typeof room.expiresAt === 'number' ? undefined : { ...room, expiresAt: getRoomExpiry(room) };
+            }
+            const status = room.status || getRoomStatus(room.gameState?.phase);
+            if (status === ROOM_STATUS.LOBBY || status === ROOM_STATUS.DRAFTING) {
+                outcome = 'abandoned';
+                return { ...room, status: ROOM_STATUS.ABANDONED, expiresAt: now + ROOM_TTL_MS[ROOM_STATUS.ABANDONED] };
+            }
+            outcome = 'removed';
+            return null;
+        });
+        if (result.committed && outcome) counts[outcome]++;
+        // A deleted room's chat is stored next to it (see roomChat.js), so it goes too.
+        if (result.committed && outcome === 'removed') await remove(ref(db, `chats/${roomId}`));
+    }
+    return counts;
+}
+
+/**
+ * Returns the rooms this device has joined, most recent first.
+ * @returns {Array<{roomId: string, seatNum: number, joinedAt: number}>}
+ */
+export function getRememberedRooms() {
+    try {
+        const rooms = JSON.parse(localStorage.getItem(MY_GAMES_KEY));
+        return Array.isArray(rooms) ? rooms : [];
+    } catch (error) {
+        console.warn('Could not read the saved games list:', error);
+        return [];
+    }
+}
+
+/**
+ * Remembers a room this device has a seat in, for "My games".
+ * @param {string} roomId
+ * @param {number} seatNum
+ */
+export function rememberRoom(roomId, seatNum) {
+    const rooms = getRememberedRooms().filter(room => room.roomId !== roomId);
+    rooms.unshift({ roomId, seatNum, joinedAt: Date.now() });
+    localStorage.setItem(MY_GAMES_KEY, JSON.stringify(rooms.slice(0, MAX_MY_GAMES)));
+}
+
+/**
+ * Forgets a room, e.g. once it's been deleted.
+ * @param {string} roomId
+ */
+export function forgetRoom(roomId) {
+    localStorage.setItem(MY_GAMES_KEY, JSON.stringify(getRememberedRooms().filter(room => room.roomId !== roomId)));
+}
+
+/**
+ * Summarizes a room for "My games": its status and each player's name and starters' points.
+ * @param {object} room - The room (`games/{roomId}`).
+ * @param {number} seatNum - This device's seat.
+ * @returns {{status: string, isDecided: boolean, you: object, opponents: Array<object>}}
+ *   Players are `{ playerNum, name, points }`; points are null before the draft.
+ */
+export function summarizeRoom(room, seatNum) {
+    const gameState = room.gameState || {};
+    const settings = gameState.settings;
+    const rosterSlotsList = getRosterSlots(settings);
+    const playerNums = Array.from({ length: getPlayerCount(settings) }, (_, i) => i + 1);
+    // A decided result has the final totals; otherwise the live ones are worked out from the rosters.
+    const finalTotals = Object.fromEntries(Object.values(gameState.results?.standings || {}).map(entry => [entry.playerNum, entry.total]));
+
+    const players = playerNums.map(playerNum => {
+        const data = room.playerData?.[playerNum] || {};
+        const points = gameState.phase === 'NAME_ENTRY' || !gameState.phase
+            ? null
+            : finalTotals[playerNum] ?? scoreRoster(data.rosterSlots || {}, rosterSlotsList).total;
+        return { playerNum, name: data.name || `Player ${playerNum}`, points };
+    });
+
+    return {
+        status: room.status || getRoomStatus(gameState.phase),
+        isDecided: !!gameState.results,
+        you: players.find(player => player.playerNum === seatNum) || null,
+        opponents: players.filter(player => player.playerNum !== seatNum)
+    };
+}
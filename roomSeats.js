@@ -0,0 +1,144 @@
+/**
+ * roomSeats.js
+ * Seats in a multiplayer room. A seat belongs to the client ID that claimed it, which is kept in
+ * localStorage so a player keeps their seat across reloads and tabs. Each seat also has a reclaim
+ * token, handed to its player as a rejoin link, that takes the seat back from another browser or
+ * device. The room only stores a hash of the token, so reading the room doesn't give it away; the
+ * token itself stays in the player's localStorage. A seat held by someone else is only ever taken
+ * over when a visitor chooses to.
+ */
+
+import { ref, runTransaction, serverTimestamp } from 'firebase/database';
+import { db } from './firebase.js';
+
+const CLIENT_ID_KEY = 'nfl-slots-clientId';
+
+const reclaimTokenKey = (roomId, seatNum) => `nfl-slots-reclaimToken-${roomId}-${seatNum}`;
+
+/**
+ * Returns this browser's client ID, creating it on the first visit.
+ * @returns {string}
+ */
+export function getOrCreateClientId() {
+    // Earlier versions kept the ID per tab; a tab that still has one keeps it, and its seat.
+    let clientId = localStorage.getItem(CLIENT_ID_KEY) || sessionStorage.getItem(CLIENT_ID_KEY);
+    if (!clientId) {
+        clientId = `client_${Math.random().toString(36).substring(2, 10)}`;
+    }
+    localStorage.setItem(CLIENT_ID_KEY, clientId);
+    return clientId;
+}
+
+/**
+ * Creates a random reclaim token for a seat.
+ * @returns {string}
+ */
+function createReclaimToken() {
+    return Array.from(crypto.getRandomValues(new Uint8Array(16)), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Hashes a reclaim token for storing in the room.
+ * @param {string|null} token
+ * @returns {Promise<string|null>} The SHA-256 hash in hex, or null without a token.
+ */
+async function hashReclaimToken(token) {
+    if (!token) return null;
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(token));
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Claims a seat for this client. The claim is a transaction, so two visitors can't both get a seat.
+ * A seat can be claimed if it's free or already ours; one held by someone else needs its reclaim
+ * token, or `takeOver` while its player is disconnected.
+ * @param {string} roomId
+ * @param {number} seatNum - The seat (player number).
+ * @param {string} clientId
+ * @param {{reclaimToken?: string|null, takeOver?: boolean}} [options]
+ * @returns {Promise<object|null>} The claimed seat, with the seat's token as `reclaimToken`, or null
+ *   if it couldn't be claimed.
+ */
+export async function claimSeat(roomId, seatNum, clientId, { reclaimToken = null, takeOver = false } = {}) {
+    const seatRef = ref(db, `games/${roomId}/players/player${seatNum}`);
+    try {
+        const savedToken = localStorage.getItem(reclaimTokenKey(roomId, seatNum));
+        const newToken = createReclaimToken();
+        const [givenHash, savedHash, newHash] = await Promise.all([reclaimToken, savedToken, newToken].map(hashReclaimToken));
+
+        let token = null;
+        const result = await runTransaction(seatRef, seat => {
+            const isOwn = !seat?.clientId || seat.clientId === clientId;
+            const hasToken = !!givenHash && seat?.reclaimTokenHash === givenHash;
+            if (!isOwn && !hasToken && !(takeOver && !seat.connected)) return undefined; // Abort: the seat is someone else's
+
+            // The seat keeps its token when we know it. A taken-over seat gets a new one, so the
+            // previous player's rejoin link stops working; so does a seat whose token this browser
+            // doesn't have, or that was stored before tokens were hashed.
+            const keepsSaved = isOwn && !!savedHash && seat?.reclaimTokenHash === savedHash;
+            token = hasToken ? reclaimToken : keepsSaved ? savedToken : newToken;
+            return {
+                ...seat,
+                clientId,
+                connected: true,
+                lastSeen: serverTimestamp(),
+                reclaimToken: null,
+                reclaimTokenHash: hasToken ? givenHash : keepsSaved ? savedHash : newHash
+            };
+        });
+        if (!result.committed) return null;
+
+        localStorage.setItem(reclaimTokenKey(roomId, seatNum), token);
+        return { ...result.snapshot.val(), reclaimToken: token };
+    } catch (error) {
+        console.error(`Failed to claim seat ${seatNum}:`, error);
+        return null;
+    }
+}
+
+/**
+ * Finds the first seat nobody has claimed yet.
+ * @param {object} playersNode - The room's `players` node.
+ * @param {Array<number>} seatNums - The room's seats.
+ * @returns {number|undefined}
+ */
+export function findFreeSeat(playersNode, seatNums) {
+    return seatNums.find(num => !playersNode?.[`player${num}`]?.clientId);
+}
+
+/**
+ * Lists the claimed seats whose players aren't connected, for the take-over screen.
+ * @param {object} playersNode - The room's `players` node.
+ * @param {Array<number>} seatNums - The room's seats.
+ * @returns {Array<{seatNum: number, lastSeen: number|null}>}
+ */
+export function getDisconnectedSeats(playersNode, seatNums) {
+    return seatNums
+        .filter(num => playersNode?.[`player${num}`]?.clientId && !playersNode[`player${num}`].connected)
+        .map(num => ({ seatNum: num, lastSeen: playersNode[`player${num}`].lastSeen ?? null }));
+}
+
+/**
+ * Builds the link that takes a seat back on another browser or device.
+ * @param {string} roomId
+ * @param {number} seatNum
+ * @param {string} reclaimToken
+ * @returns {string}
+ */
+export function buildRejoinLink(roomId, seatNum, reclaimToken) {
+    return `${window.location.origin}${window.location.pathname}?room=${roomId}&seat=${seatNum}&token=${reclaimToken}`;
+}
+
+/**
+ * Formats when a player was last seen, e.g. "5 min ago" or "Sun 1:05 PM".
+ * @param {number|null} lastSeen - Server time, in ms since the epoch.
+ * @param {number} now - The current server time.
+ * @returns {string}
+ */
+export function formatLastSeen(lastSeen, now) {
+    if (!lastSeen) return 'a while ago';
+    const minutes = Math.floor((now - lastSeen) / 60000);
+    if (minutes < 1) return 'just now';
+    if (minutes < 60) return `${minutes} min ago`;
+    return new Date(lastSeen).toLocaleString([], { weekday: 'short', hour: 'numeric', minute: '2-digit' });
+}
@@ -0,0 +1,183 @@
+/**
+ * roomSync.js
+ * Writes multiplayer actions to the room. Each action is committed as one Firebase transaction
+ * that writes only the fields the action changed, and only if the room still agrees with the
+ * state the action was made from: picks, spins and re-rolls must be made by the player on the
+ * clock, a drafted athlete must still be available, and nobody else may have changed the same
+ * fields in the meantime. A rejected action writes nothing.
+ */
+
+import { child, runTransaction } from 'firebase/database';
+
+// Live scoring fields on a roster slot. Every client refreshes them, so they never conflict.
+const LIVE_SLOT_FIELDS = ['fantasyPoints', 'statsData', 'matchConfidence', 'gameStatus'];
+
+// Game state lists that only grow on the acting player's turn.
+const TURN_LISTS = ['pickLog', 'rollHistory', 'rerolls'];
+
+/**
+ * Copies the game state and player data in the form they're stored in the room.
+ * Roll pools are loaded by each client, so they're left out.
+ * @param {object} gameState
+ * @param {object} playerData
+ * @returns {{gameState: object, playerData: object}}
+ */
+export function captureRoomState(gameState, playerData) {
+    const state = JSON.parse(JSON.stringify({ gameState, playerData }, (key, value) => (value === undefined ? null : value)));
+    Object.values(state.playerData || {}).forEach(data => {
+        if (data?.team) delete data.team.rosterData;
+    });
+    return state;
+}
+
+/**
+ * Puts a value in the form Firebase stores it: no nulls, no empty objects or arrays, and arrays
+ * as objects keyed by index. Two values are the same in the room if their canonical forms match.
+ * @param {*} value
+ * @returns {*}
+ */
+function canonical(value) {
+    if (value === null || value === undefined) return null;
+    if (typeof value !== 'object') return value;
+    const entries = Object.keys(value).sort()
+        .map(key => [key, canonical(value[key])])
+        .filter(([, entry]) => entry !== null);
+    return entries.length > 0 ? Object.fromEntries(entries) : null;
+}
+
+const isSameValue = (a, b) => JSON.stringify(canonical(a)) === JSON.stringify(canonical(b));
+const isTree = value => value !== null && typeof value === 'object';
+const getAt = (root, path) => path.reduce((node, key) => (isTree(node) ? node[key] : undefined), root);
+
+/**
+ * Sets (or, for null, removes) the value at a path, creating objects along the way. Arrays on the
+ * way are turned into objects, as Firebase stores them, so entries can be removed without holes.
+ * @param {object} root
+ * @param {Array<string>} path
+ * @param {*} value
+ * @returns {object} The root.
+ */
+function setAt(root, path, value) {
+    let node = root;
+    path.slice(0, -1).forEach(key => {
+        if (!isTree(node[key])) node[key] = {};
+        else if (Array.isArray(node[key])) node[key] = { ...node[key] };
+        node = node[key];
+    });
+    const last = path[path.length - 1];
+    if (canonical(value) === null) delete node[last];
+    else node[last] = canonical(value);
+    return root;
+}
+
+/**
+ * Lists the fields that differ between two room states, as deep as both sides are objects.
+ * @returns {Array<{path: Array<string>, value: *}>}
+ */
+function diffValues(base, next, path = [], changes = []) {
+    if (isTree(base) && isTree(next)) {
+        new Set([...Object.keys(base), ...Object.keys(next)]).forEach(key => diffValues(base[key], next[key], [...path, key], changes));
+    } else if (!isSameValue(base, next)) {
+        changes.push({ path, value: canonical(next) });
+    }
+    return changes;
+}
+
+const isLiveSlotField = path => path.length >= 5 && path[0] === 'playerData' && path[2] === 'rosterSlots' && LIVE_SLOT_FIELDS.includes(path[4]);
+
+/**
+ * Returns the picks, spins and re-rolls an action added to the game state.
+ * @returns {Array<{playerNum: number, overallPick?: number}>} Entries, tagged with the list they're from.
+ */
+function findNewTurnEntries(base, next) {
+    return TURN_LISTS.flatMap(list => {
+        const baseLength = Object.values(base.gameState?.[list] || {}).length;
+        return Object.values(next.gameState?.[list] || {}).slice(baseLength).map(entry => ({ ...entry, list }));
+    });
+}
+
+const rosterIdsOf = data => new Set(Object.values(data?.rosterSlots || {}).filter(Boolean).map(slot => slot.id));
+
+/**
+ * Returns the athletes an action drafted: roster entries a player didn't have before.
+ * @returns {Array<object>} The new roster slot entries.
+ */
+function findNewAthletes(base, next) {
+    return Object.entries(next.playerData || {}).flatMap(([playerNum, data]) => {
+        const before = rosterIdsOf(base.playerData?.[playerNum]);
+        return Object.values(data?.rosterSlots || {}).filter(slot => slot && !before.has(slot.id));
+    });
+}
+
+/**
+ * Checks an action against the room's current state.
+ * @returns {string|null} Why the action can't be written, or null if it can.
+ */
+function findRejection(room, base, changes, turnEntries, newAthletes) {
+    const nameOf = playerNum => getAt(room, ['playerData', String(playerNum), 'name']) || `Player ${playerNum}`;
+    const roomGameState = room.gameState || {};
+
+    for (const entry of turnEntries) {
+        const isOnClock = roomGameState.currentPlayer === entry.playerNum
+            && (entry.list !== 'pickLog' || (roomGameState.draft?.overallPick ?? null) === entry.overallPick);
+        if (!isOnClock) return `It's no longer ${nameOf(entry.playerNum)}'s turn.`;
+    }
+
+    for (const slot of newAthletes) {
+        const ownerNum = Object.keys(room.playerData || {}).find(num => rosterIdsOf(room.playerData[num]).has(slot.id));
+        if (ownerNum) return `${slot.displayName} has already been drafted by ${nameOf(ownerNum)}.`;
+    }
+
+    // A field someone else changed since the action was made is a conflict, unless they changed
+    // it to the same value (e.g. two clients both marking the draft complete).
+    const conflict = changes.find(({ path, value }) => {
+        if (isLiveSlotField(path)) return false;
+        const roomValue = getAt(room, path);
+        return !isSameValue(roomValue, getAt(base, path)) && !isSameValue(roomValue, value);
+    });
+    return conflict ? 'Another player changed the game at the same time.' : null;
+}
+
+/**
+ * Commits the changes an action made to the room.
+ * @param {DatabaseReference} roomRef - The room (`games/{roomId}`).
+ * @param {object} base - The room state the action was made from (from captureRoomState).
+ * @param {object} next - The room state after the action (from captureRoomState).
+ * @returns {Promise<{committed: boolean, reason: string|null}>} Whether the changes were written and, if not, why.
+ * @throws {Error} If the transaction can't reach the room.
+ */
+export async function commitRoomChanges(roomRef, base, next) {
+    const changes = diffValues(base, next);
+    if (changes.length === 0) return { committed: true, reason: null };
+
+    const turnEntries = findNewTurnEntries(base, next);
+    const newAthletes = findNewAthletes(base, next);
+
+    // The transaction covers the deepest node holding every change. The turn and athlete checks
+    // read both the game state and the rosters, so those actions cover the whole room; the chat and
+    // spectators are stored outside it, which keeps that down to the game, rosters and seats.
+    let scope = [];
+    if (turnEntries.length === 0 && newAthletes.length === 0) {
+        scope = changes.map(change => change.path).reduce((common, path) => {
+            const length = common.findIndex((key, i) => path[i] !== key);
+            return length === -1 ? common : common.slice(0, length);
+        });
+    }
+
+    // Live scoring is only written while the slot still holds the athlete it was scored for.
+    const slotIdAt = (state, path) => getAt(state, [...path.slice(0, 4), 'id']);
+
+    let reason = null;
+    const result = await runTransaction(scope.length > 0 ? child(roomRef, scope.join('/')) : roomRef, current => {
+        const room = scope.length > 0 ? setAt({}, scope, current) : (current || {});
+        reason = findRejection(room, base, changes, turnEntries, newAthletes);
+        if (reason) return undefined; // Abort: nothing is written
+
+        changes
+            .filter(({ path }) => !isLiveSlotField(path) || [slotIdAt(base, path), slotIdAt(next, path)].includes(slotIdAt(room, path)))
+            .forEach(({ path, value }) => setAt(room, path, value));
+        return scope.length > 0 ? getAt(room, scope) ?? null : room;
+    }, { applyLocally: false });
+
+    return { committed: result.committed, reason: result.committed ? null : reason };
+}
@@ -0,0 +1,132 @@
+/**
+ * rosterService.js
+ * The single source of NFL team rosters for the draft and stats pages.
+ * Handles caching (stale-while-revalidate, with in-flight requests shared by the cache),
+ * retries with backoff and normalization of ESPN athletes into the player objects the
+ * rest of the app works with.
+ */
+import { getDataProvider } from './api.js';
+import { cached } from './cache.js';
+import { delay } from './utils.js';
+
+const MAX_ATTEMPTS = 3;
+const RETRY_BASE_DELAY = 500; // Doubles after each failed attempt
+
+export const ROSTER_ERROR_CODES = {
+    NETWORK: 'NETWORK', // The request failed after all retries
+    EMPTY: 'EMPTY'      // The provider answered, but with no roster
+};
+
+/**
+ * Error raised when a team's roster cannot be loaded.
+ * The message is written for display to the user.
+ */
+export class RosterFetchError extends Error {
+    /**
+     * @param {object} team - The team whose roster failed to load.
+     * @param {string} code - One of ROSTER_ERROR_CODES.
+     * @param {Error} [cause] - The underlying error, if any.
+     */
+    constructor(team, code, cause) {
+        const message = code === ROSTER_ERROR_CODES.EMPTY
+            ? `No roster is available for the ${team.name} right now.`
+            : `Couldn't load the ${team.name} roster. Check your connection and try again.`;
+        super(message);
+        this.name = 'RosterFetchError';
+        this.team = team;
+        this.code = code;
+        this.cause = cause;
+    }
+}
+
+/**
+ * Builds the synthetic team defense entry that is drafted like any other player.
+ * @param {object} team - The team object from data.js.
+ * @returns {object}
+ */
+export function createDefensePlayer(team) {
+    return {
+        id: `DEF-${team.id}`,
+        displayName: team.name,
+        position: { name: 'Defense', abbreviation: 'DEF' },
+        headshot: { href: team.logo },
+        jersey: null,
+        teamId: team.id
+    };
+}
+
+/**
+ * Normalizes an ESPN athlete into the app's player shape (e.g. PK becomes K).
+ * @param {object} athlete - The ESPN athlete object.
+ * @param {object} team - The athlete's team.
+ * @returns {object}
+ */
+function normalizeAthlete(athlete, team) {
+    const position = athlete.position || {};
+    const abbreviation = position.abbreviation === 'PK' ? 'K' : position.abbreviation;
+    return {
+        id: athlete.id,
+        displayName: athlete.displayName || athlete.fullName,
+        position: { name: position.name, abbreviation },
+        headshot: athlete.headshot || null,
+        jersey: athlete.jersey || null,
+        teamId: team.id
+    };
+}
+
+/**
+ * Requests a roster from the data provider, retrying with exponential backoff.
+ * @param {object} team - The team object from data.js.
+ * @returns {Promise<Array>} The normalized players, including the team defense.
+ * @throws {RosterFetchError}
+ */
+async function requestTeamRoster(team) {
+    let lastError = null;
+    for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+        try {
+            const athletes = await getDataProvider().fetchTeamRoster(team.id);
+            const players = (athletes || [])
+                .flatMap(positionGroup => positionGroup.items || [])
+                .map(athlete => normalizeAthlete(athlete, team));
+            if (players.length === 0) {
+                throw new RosterFetchError(team, ROSTER_ERROR_CODES.EMPTY);
+            }
+            players.push(createDefensePlayer(team));
+            return players;
+        } catch (error) {
+            if (error instanceof RosterFetchError) throw error;
+            lastError = error;
+            console.warn(`Roster request for ${team.id} failed (attempt ${attempt}/${MAX_ATTEMPTS}):`, error);
+            if (attempt < MAX_ATTEMPTS) {
+                await delay(RETRY_BASE_DELAY * 2 ** (attempt - 1));
+            }
+        }
+    }
+    throw new RosterFetchError(team, ROSTER_ERROR_CODES.NETWORK, lastError);
+}
+
+/**
+ * Returns a team's normalized roster, from the cache when possible.
+ * Concurrent calls for the same team share a single request.
+ * The returned array may be shared with other callers; copy it before reordering.
+ * @param {object} team - The team object from data.js.
+ * @returns {Promise<Array>} The players, each with `id`, `displayName`, `position`, `headshot`, `jersey` and `teamId`.
+ * @throws {RosterFetchError}
+ */
+export function getTeamRoster(team) {
+    return cached('rosters', team.id, () => requestTeamRoster(team));
+}
+
+/**
+ * Loads the rosters of several teams in parallel. Failures are reported per team instead of rejecting.
+ * @param {Array<object>} teamList - The teams to load.
+ * @returns {Promise<Array<{team: object, players: Array, error: RosterFetchError|null}>>}
+ */
+export async function getTeamRosters(teamList) {
+    const results = await Promise.allSettled(teamList.map(team => getTeamRoster(team)));
+    return results.map((result, index) => ({
+        team: teamList[index],
+        players: result.status === 'fulfilled' ? result.value : [],
+        error: result.status === 'rejected' ? result.reason : null
+    }));
+}
@@ -0,0 +1,177 @@
+/**
+ * scoring.js
+ * Computes fantasy points locally from raw Tank01 stat lines using a named rule set
+ * (PPR, Half PPR, Standard) or user-defined custom weights.
+ */
+
+// Points per unit of each stat. Yardage weights are per yard (0.04 = 1 point per 25 yards).
+const BASE_WEIGHTS = {
+    passYds: 0.04,
+    passTD: 4,
+    int: -2,
+    rushYds: 0.1,
+    rushTD: 6,
+    receptions: 0,
+    recYds: 0.1,
+    recTD: 6,
+    fumblesLost: -2,
+    fgMade: 3,
+    fgMissed: 0,
+    xpMade: 1,
+    sacks: 1,
+    defInterceptions: 2,
+    fumblesRecovered: 2,
+    defTD: 6,
+    safeties: 2
+};
+
+export const SCORING_RULE_SETS = {
+    PPR: { label: 'PPR', weights: { ...BASE_WEIGHTS, receptions: 1 } },
+    HALF_PPR: { label: 'Half PPR', weights: { ...BASE_WEIGHTS, receptions: 0.5 } },
+    STANDARD: { label: 'Standard', weights: { ...BASE_WEIGHTS } },
+    CUSTOM: { label: 'Custom', weights: { ...BASE_WEIGHTS, receptions: 1 } }
+};
+
+// Human-readable names for each weight, used by the custom scoring editor.
+export const SCORING_WEIGHT_LABELS = {
+    passYds: 'Passing yard',
+    passTD: 'Passing TD',
+    int: 'Interception thrown',
+    rushYds: 'Rushing yard',
+    rushTD: 'Rushing TD',
+    receptions: 'Reception',
+    recYds: 'Receiving yard',
+    recTD: 'Receiving TD',
+    fumblesLost: 'Fumble lost',
+    fgMade: 'Field goal made',
+    fgMissed: 'Field goal missed',
+    xpMade: 'Extra point made',
+    sacks: 'DEF sack',
+    defInterceptions: 'DEF interception',
+    fumblesRecovered: 'DEF fumble recovery',
+    defTD: 'DEF touchdown',
+    safeties: 'DEF safety'
+};
+
+// Team defense points, by the maximum points allowed for each tier.
+const POINTS_ALLOWED_TIERS = [
+    { max: 0, points: 10 },
+    { max: 6, points: 7 },
+    { max: 13, points: 4 },
+    { max: 20, points: 1 },
+    { max: 27, points: 0 },
+    { max: 34, points: -1 },
+    { max: Infinity, points: -4 }
+];
+
+export const DEFAULT_SCORING = { ruleSet: 'PPR', customWeights: null };
+
+// Stats only a team defense scores. Tank01 gives offensive players a `Defense` block too (their
+// fumbles, and any fumbles they recover), which must not earn DEF points.
+const TEAM_DEFENSE_STATS = ['sacks', 'defInterceptions', 'fumblesRecovered', 'defTD', 'safeties'];
+
+/**
+ * Reads a numeric stat from a Tank01 stat line. Tank01 groups stats by category
+ * (e.g. `stats.Passing.passYds`), but flat lines are accepted as well.
+ * @param {object} stats - The raw stat line.
+ * @param {string|null} category - The category object name (e.g. 'Passing').
+ * @param {...string} keys - Candidate field names, in order of preference.
+ * @returns {number}
+ */
+function readStat(stats, category, ...keys) {
+    const sources = category && stats[category] ? [stats[category], stats] : [stats];
+    for (const source of sources) {
+        for (const key of keys) {
+            if (source[key] !== undefined && source[key] !== null && source[key] !== '') {
+                return parseFloat(source[key]) || 0;
+            }
+        }
+    }
+    return 0;
+}
+
+/**
+ * Normalizes a raw Tank01 stat line into the flat numeric stats used for scoring and display.
+ * @param {object} stats - The raw stat line.
+ * @returns {object} Flat stats, plus `isTeamDefense` and `ptsAllowed` for defense lines.
+ */
+export function extractStatLine(stats) {
+    if (!stats) return null;
+
+    const fgAttempts = readStat(stats, 'Kicking', 'fgAttempts');
+    const fgMade = readStat(stats, 'Kicking', 'fgMade');
+    const defense = stats.Defense || {};
+    const ptsAllowedRaw = defense.ptsAllowed ?? defense.pointsAllowed ?? stats.ptsAllowed;
+
+    return {
+        passCompletions: readStat(stats, 'Passing', 'passCompletions'),
+        passAttempts: readStat(stats, 'Passing', 'passAttempts'),
+        passYds: readStat(stats, 'Passing', 'passYds'),
+        passTD: readStat(stats, 'Passing', 'passTD'),
+        int: readStat(stats, 'Passing', 'int'),
+        carries: readStat(stats, 'Rushing', 'carries'),
+        rushYds: readStat(stats, 'Rushing', 'rushYds'),
+        rushTD: readStat(stats, 'Rushing', 'rushTD'),
+        targets: readStat(stats, 'Receiving', 'targets'),
+        receptions: readStat(stats, 'Receiving', 'receptions'),
+        recYds: readStat(stats, 'Receiving', 'recYds'),
+        recTD: readStat(stats, 'Receiving', 'recTD'),
+        // Tank01 lists offensive players' fumbles under `Defense`; `fumbles` counts recovered ones too.
+        fumblesLost: readStat(stats, 'Defense', 'fumblesLost'),
+        fgAttempts,
+        fgMade,
+        fgMissed: Math.max(fgAttempts - fgMade, 0),
+        xpMade: readStat(stats, 'Kicking', 'xpMade'),
+        sacks: readStat(stats, 'Defense', 'sacks'),
+        defInterceptions: readStat(stats, 'Defense', 'defensiveInterceptions', 'defInterceptions'),
+        fumblesRecovered: readStat(stats, 'Defense', 'fumblesRecovered'),
+        defTD: readStat(stats, 'Defense', 'defTD'),
+        safeties: readStat(stats, 'Defense', 'safeties'),
+        isTeamDefense: ptsAllowedRaw !== undefined && ptsAllowedRaw !== null && ptsAllowedRaw !== '',
+        ptsAllowed: parseFloat(ptsAllowedRaw) || 0
+    };
+}
+
+/**
+ * Resolves the stat weights for a game's scoring settings.
+ * @param {{ruleSet: string, customWeights: object|null}} [scoring] - The game's scoring settings.
+ * @returns {object} The weight for every stat.
+ */
+export function getScoringWeights(scoring = DEFAULT_SCORING) {
+    const ruleSet = SCORING_RULE_SETS[scoring?.ruleSet] || SCORING_RULE_SETS[DEFAULT_SCORING.ruleSet];
+    if (scoring?.ruleSet === 'CUSTOM' && scoring.customWeights) {
+        return { ...ruleSet.weights, ...scoring.customWeights };
+    }
+    return ruleSet.weights;
+}
+
+/**
+ * Returns the display label for a game's scoring settings (e.g. 'Half PPR').
+ * @param {{ruleSet: string}} [scoring] - The game's scoring settings.
+ * @returns {string}
+ */
+export function getScoringLabel(scoring = DEFAULT_SCORING) {
+    return (SCORING_RULE_SETS[scoring?.ruleSet] || SCORING_RULE_SETS[DEFAULT_SCORING.ruleSet]).label;
+}
+
+/**
+ * Calculates fantasy points for a raw stat line.
+ * @param {object} stats - The raw Tank01 stat line.
+ * @param {{ruleSet: string, customWeights: object|null}} [scoring] - The game's scoring settings.
+ * @returns {number} The fantasy points, rounded to two decimals.
+ */
+export function calculateFantasyPoints(stats, scoring = DEFAULT_SCORING) {
+    const line = extractStatLine(stats);
+    if (!line) return 0;
+
+    const weights = getScoringWeights(scoring);
+    let points = Object.keys(weights)
+        .filter(stat => line.isTeamDefense || !TEAM_DEFENSE_STATS.includes(stat))
+        .reduce((sum, stat) => sum + (line[stat] || 0) * (parseFloat(weights[stat]) || 0), 0);
+
+    if (line.isTeamDefense) {
+        points += POINTS_ALLOWED_TIERS.find(tier => line.ptsAllowed <= tier.max).points;
+    }
+
+    return Math.round(points * 100) / 100;
+}
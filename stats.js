@@ -1,7 +1,8 @@
-import { teams } from './data.js';
-import { getTank01PlayerID, fetchLastGameStats } from './api.js';
+import { teams, getTeamsByDivision } from './data.js';
+import { getPlayerGameResult } from './gameStatus.js';
 import { showPlayerStatsModal, hidePlayerStatsModal, renderPlayerStatsInModal } from './uiModals.js';
-import { getCachedData, setCachedData } from './utils.js';
+import { getTeamRoster } from './rosterService.js';
+import { getCacheStats, clearCache } from './cache.js';
 
 document.addEventListener('DOMContentLoaded', () => {
     const teamListContainer = document.getElementById('team-list');
@@ -9,6 +10,12 @@ document.addEventListener('DOMContentLoaded', () => {
     if (!teamListContainer) return;
 
     renderTeamList();
+    renderCacheSummary();
+
+    document.getElementById('clear-cache-btn').addEventListener('click', async () => {
+        await clearCache();
+        renderCacheSummary();
+    });
 
     // Attach event listeners for stats modal
     document.querySelector('.close-stats').addEventListener('click', hidePlayerStatsModal);
@@ -21,30 +28,58 @@ document.addEventListener('DOMContentLoaded', () => {
 });
 
 /**
- * Renders the list of all NFL teams in the sidebar.
+ * Renders the list of all NFL teams in the sidebar, grouped by division.
  */
 function renderTeamList() {
     const teamListEl = document.getElementById('team-list');
     teamListEl.innerHTML = '';
 
-    teams.forEach(team => {
-        const teamItem = document.createElement('div');
-        teamItem.className = 'team-list-item';
-        teamItem.dataset.teamId = team.id;
-        teamItem.innerHTML = `
-            <img src="${team.logo}" alt="${team.name} logo">
-            <span>${team.name}</span>
-        `;
-        teamItem.addEventListener('click', () => {
-             // Handle selected state for styling
-            document.querySelectorAll('.team-list-item').forEach(el => el.classList.remove('selected'));
-            teamItem.classList.add('selected');
-            fetchAndDisplayRoster(team);
+    getTeamsByDivision().forEach(({ conference, division, teams: divisionTeams }) => {
+        const group = document.createElement('div');
+        group.className = 'team-division-group';
+
+        const header = document.createElement('h3');
+        header.className = `team-division-header conference-${conference.toLowerCase()}`;
+        header.textContent = `${conference} ${division}`;
+        group.appendChild(header);
+
+        divisionTeams.forEach(team => {
+            const teamItem = document.createElement('div');
+            teamItem.className = 'team-list-item';
+            teamItem.dataset.teamId = team.id;
+            teamItem.style.borderLeftColor = team.colors.primary;
+            teamItem.innerHTML = `
+                <img src="${team.logo}" alt="${team.name} logo">
+                <span>${team.name}</span>
+            `;
+            teamItem.addEventListener('click', () => {
+                 // Handle selected state for styling
+                document.querySelectorAll('.team-list-item').forEach(el => el.classList.remove('selected'));
+                teamItem.classList.add('selected');
+                fetchAndDisplayRoster(team);
+            });
+            group.appendChild(teamItem);
         });
-        teamListEl.appendChild(teamItem);
+
+        teamListEl.appendChild(group);
     });
 }
 
+/**
+ * Shows how much API data is cached on this device, with a per-namespace breakdown on hover.
+ */
+async function renderCacheSummary() {
+    const summaryEl = document.getElementById('cache-summary');
+    if (!summaryEl) return;
+
+    const stats = await getCacheStats();
+    const toKb = bytes => `${(bytes / 1024).toFixed(1)} KB`;
+    summaryEl.textContent = `Cached data: ${stats.entries} entries (${toKb(stats.bytes)})`;
+    summaryEl.title = Object.entries(stats.namespaces)
+        .map(([namespace, summary]) => `${namespace}: ${summary.entries} entries, ${toKb(summary.bytes)}`)
+        .join('\n');
+}
+
 /**
  * Fetches roster data for a selected team and triggers rendering.
  * @param {object} team - The selected team object from data.js.
@@ -54,33 +89,21 @@ async function fetchAndDisplayRoster(team) {
     rosterContainer.innerHTML = `<div class="loading-message"><p>Loading ${team.name} roster...</p></div>`;
 
     try {
-        const rosterCacheKey = `espn-roster-${team.id}`;
-        const TTL = 10 * 60 * 1000; // 10 minutes
-        let rosterData = getCachedData(rosterCacheKey);
-
-        if (!rosterData) {
-            const response = await fetch(`https://site.api.espn.com/apis/site/v2/sports/football/nfl/teams/${team.id}/roster`);
-            if (!response.ok) {
-                throw new Error(`Failed to fetch roster: ${response.statusText}`);
-            }
-            const data = await response.json();
-            rosterData = data.athletes;
-            setCachedData(rosterCacheKey, rosterData, TTL);
-        }
-        
+        const rosterData = await getTeamRoster(team);
         renderRoster(team, rosterData);
+        renderCacheSummary();
     } catch (error) {
         console.error('Error fetching roster:', error);
-        rosterContainer.innerHTML = `<div class="error-message"><p>Could not load roster for ${team.name}. Please try again later.</p></div>`;
+        rosterContainer.innerHTML = `<div class="error-message"><p>${error.message}</p></div>`;
     }
 }
 
 /**
  * Renders the team's roster, grouped by position.
  * @param {object} team - The team object.
- * @param {Array} teamAthletes - The array of player data from the API.
+ * @param {Array} teamPlayers - The normalized players from the roster service.
  */
-function renderRoster(team, teamAthletes) {
+function renderRoster(team, teamPlayers) {
     const rosterContainer = document.getElementById('roster-display-container');
     rosterContainer.innerHTML = '';
 
@@ -93,7 +116,7 @@ function renderRoster(team, teamAthletes) {
     `;
     rosterContainer.appendChild(header);
 
-    const allPlayers = teamAthletes.flatMap(positionGroup => positionGroup.items || []);
+    const allPlayers = teamPlayers.filter(player => player.position?.abbreviation !== 'DEF');
     
     if (allPlayers.length === 0) {
         rosterContainer.innerHTML += '<p>No active roster players found for this team.</p>';
@@ -164,11 +187,5 @@ function renderRoster(team, teamAthletes) {
  * @param {object} playerObj - The player object from the roster.
  */
 function openPlayerStatsModalCaller(playerObj) {
-    // Manually create an 'originalPosition' property for defense for compatibility with the modal function.
-    const modifiedPlayerObj = { ...playerObj };
-    if (playerObj.position?.abbreviation === 'DT' || playerObj.position?.abbreviation === 'DE' || playerObj.position?.abbreviation === 'NT') {
-        modifiedPlayerObj.originalPosition = 'DEF';
-    }
-    
-    showPlayerStatsModal(modifiedPlayerObj, teams, getTank01PlayerID, fetchLastGameStats, renderPlayerStatsInModal);
+    showPlayerStatsModal(playerObj, teams, getPlayerGameResult, renderPlayerStatsInModal);
 }
\ No newline at end of file
@@ -0,0 +1,111 @@
+/**
+ * uiChat.js
+ * Handles DOM rendering for the multiplayer chat drawer: the messages, reactions to picks and the
+ * unread badge on the chat button.
+ */
+import { QUICK_REACTIONS } from './roomChat.js';
+
+/**
+ * Creates the reaction buttons under a pick, each with how many players chose it.
+ * @param {object} message - The pick's system message.
+ * @param {number|null} localPlayerNum - The local player, or null for spectators (who can't react).
+ * @param {function(string, string|null): void} onReact - Called with the message ID and the new reaction.
+ * @returns {HTMLElement}
+ */
+function createReactionBar(message, localPlayerNum, onReact) {
+    const bar = document.createElement('div');
+    bar.className = 'chat-reactions';
+    const reactions = message.reactions || {};
+    const ownReaction = localPlayerNum ? reactions[`player${localPlayerNum}`] || null : null;
+
+    QUICK_REACTIONS.forEach(emoji => {
+        const count = Object.values(reactions).filter(reaction => reaction === emoji).length;
+        if (!localPlayerNum && count === 0) return;
+
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = `chat-reaction${emoji === ownReaction ? ' chat-reaction--mine' : ''}`;
+        button.textContent = count > 0 ? `${emoji} ${count}` : emoji;
+        button.disabled = !localPlayerNum;
+        // Choosing your reaction again takes it back.
+        button.addEventListener('click', () => onReact(message.id, emoji === ownReaction ? null : emoji));
+        bar.appendChild(button);
+    });
+    return bar;
+}
+
+/**
+ * Renders the chat messages. The list stays on the newest message unless the player has
+ * scrolled back through it.
+ * @param {Array<object>} messages - From watchChat (roomChat.js).
+ * @param {object} allPlayerData - Map of player number → player data, for names.
+ * @param {number|null} localPlayerNum - The local player, or null for spectators.
+ * @param {function(string, string|null): void} onReact - Called with a message ID and the new reaction (null to clear).
+ */
+export function renderChatMessages(messages, allPlayerData, localPlayerNum, onReact) {
+    const list = document.getElementById('chat-messages');
+    const wasAtBottom = list.scrollHeight - list.scrollTop - list.clientHeight < 40;
+    list.innerHTML = '';
+
+    if (messages.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'chat-empty';
+        empty.textContent = 'No messages yet. Say hello!';
+        list.appendChild(empty);
+        return;
+    }
+
+    messages.forEach(message => {
+        const item = document.createElement('li');
+        item.className = `chat-message chat-message--${message.kind}${message.playerNum === localPlayerNum ? ' chat-message--own' : ''}`;
+
+        const author = document.createElement('strong');
+        author.className = 'chat-author';
+        author.textContent = allPlayerData[message.playerNum]?.name || `Player ${message.playerNum}`;
+
+        const text = document.createElement('span');
+        text.className = 'chat-text';
+        text.textContent = message.kind === 'user' ? message.text : ` ${message.text}`;
+
+        item.append(author, text);
+        if (message.kind === 'system' && message.event === 'pick') {
+            item.appendChild(createReactionBar(message, localPlayerNum, onReact));
+        }
+        list.appendChild(item);
+    });
+
+    if (wasAtBottom) list.scrollTop = list.scrollHeight;
+}
+
+/**
+ * Shows the message box to players, and a note to spectators, who can only read.
+ * @param {boolean} canPost
+ */
+export function renderChatForm(canPost) {
+    document.getElementById('chat-form').style.display = canPost ? 'flex' : 'none';
+    document.getElementById('chat-spectator-note').style.display = canPost ? 'none' : 'block';
+}
+
+/**
+ * Updates the unread badge on the chat button.
+ * @param {number} unreadCount
+ */
+export function updateChatBadge(unreadCount) {
+    const badge = document.getElementById('chat-unread-badge');
+    badge.textContent = unreadCount > 99 ? '99+' : String(unreadCount);
+    badge.style.display = unreadCount > 0 ? 'flex' : 'none';
+}
+
+/**
+ * Opens or closes the chat drawer.
+ * @param {boolean} isOpen
+ */
+export function setChatDrawerOpen(isOpen) {
+    document.getElementById('chat-drawer').classList.toggle('chat-open', isOpen);
+    document.getElementById('chat-drawer').setAttribute('aria-hidden', String(!isOpen));
+    document.getElementById('chat-toggle-btn').setAttribute('aria-expanded', String(isOpen));
+    if (isOpen) {
+        const list = document.getElementById('chat-messages');
+        list.scrollTop = list.scrollHeight;
+    }
+}
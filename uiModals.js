@@ -1,78 +1,54 @@
 /**
  * uiModals.js
- * Handles all DOM manipulation and logic specifically for modals (slot selection, player stats, general roster, avatar selection).
+ * Handles all DOM manipulation and logic specifically for modals (slot selection, player stats, general roster, avatar selection, results, seat take-over).
  */
 
-import { fetchLastTeamGame } from './api.js';
+import { REQUEST_PRIORITY } from './api.js';
 import { getOrCreateChild } from './uiRenderer.js'; 
 import { renderAvatarSelectionOptions } from './uiRenderer.js'; // Import the new rendering function
-import { getOpponentAndVenue, formatGameDate } from './utils.js'; // Import helpers from utils
+import { formatGameDate } from './utils.js'; // Import helpers from utils
+import { extractStatLine, getScoringLabel } from './scoring.js';
+import { MATCH_CONFIDENCE } from './playerIdentity.js';
+import { GAME_STATUS, formatGameStatus, formatScoringWeek } from './gameStatus.js';
+import { formatProjection } from './projections.js';
+import { TIEBREAKERS, getTiebreakers, describeDecision } from './results.js';
 
 // UI Function: Open the slot selection modal
-export function showSlotSelectionModal(playerObj, playerNum, originalPosition, playerDataForPlayer, assignPlayerToSlotCallback, hideSlotSelectionModalCallback) {
+// `eligibleSlots` are the roster template slots that accept the player's position (from leagueSettings.js getEligibleSlots).
+// `loadProjectionCallback()` resolves the player's projection, shown to help choose between Flex and a position slot.
+export function showSlotSelectionModal(playerObj, playerNum, eligibleSlots, playerDataForPlayer, assignPlayerToSlotCallback, hideSlotSelectionModalCallback, loadProjectionCallback) {
     const modal = document.getElementById('slot-selection-modal');
     const playerNameEl = document.getElementById('slot-selection-player-name');
+    const projectionEl = document.getElementById('slot-selection-projection');
     const optionsContainer = document.getElementById('slot-options-container');
 
     playerNameEl.textContent = playerObj.displayName;
     optionsContainer.innerHTML = '';
 
+    modal.dataset.playerId = playerObj.id;
+    projectionEl.textContent = loadProjectionCallback ? 'Loading projection...' : '';
+    if (loadProjectionCallback) {
+        loadProjectionCallback().then(projection => {
+            // Ignore a late answer if the modal has moved on to another player.
+            if (modal.dataset.playerId === String(playerObj.id)) {
+                projectionEl.textContent = formatProjection(projection);
+            }
+        });
+    }
+
     const rosterSlots = playerDataForPlayer.rosterSlots;
 
-    if (originalPosition === 'RB') {
+    eligibleSlots.forEach(slot => {
         const btn = document.createElement('button');
         btn.className = 'slot-option-btn';
-        btn.textContent = 'RB';
-        btn.onclick = () => { assignPlayerToSlotCallback(playerNum, playerObj, 'RB'); hideSlotSelectionModalCallback(); };
-        if (rosterSlots.RB) {
+        btn.textContent = slot.label;
+        btn.onclick = () => { assignPlayerToSlotCallback(playerNum, playerObj, slot.id); hideSlotSelectionModalCallback(); };
+        if (rosterSlots[slot.id]) {
             btn.classList.add('disabled');
             btn.disabled = true;
         }
         optionsContainer.appendChild(btn);
-    } else if (originalPosition === 'WR') {
-        const btnWR1 = document.createElement('button');
-        btnWR1.className = 'slot-option-btn';
-        btnWR1.textContent = 'WR1';
-        btnWR1.onclick = () => { assignPlayerToSlotCallback(playerNum, playerObj, 'WR1'); hideSlotSelectionModalCallback(); };
-        if (rosterSlots.WR1) {
-            btnWR1.classList.add('disabled');
-            btnWR1.disabled = true;
-        }
-        optionsContainer.appendChild(btnWR1);
-
-        const btnWR2 = document.createElement('button');
-        btnWR2.className = 'slot-option-btn';
-        btnWR2.textContent = 'WR2';
-        btnWR2.onclick = () => { assignPlayerToSlotCallback(playerNum, playerObj, 'WR2'); hideSlotSelectionModalCallback(); };
-        if (rosterSlots.WR2) {
-            btnWR2.classList.add('disabled');
-            btnWR2.disabled = true;
-        }
-        optionsContainer.appendChild(btnWR2);
-    } else if (originalPosition === 'TE') {
-        const btn = document.createElement('button');
-        btn.className = 'slot-option-btn';
-        btn.textContent = 'TE';
-        btn.onclick = () => { assignPlayerToSlotCallback(playerNum, playerObj, 'TE'); hideSlotSelectionModalCallback(); };
-        if (rosterSlots.TE) {
-            btn.classList.add('disabled');
-            btn.disabled = true;
-        }
-        optionsContainer.appendChild(btn);
-    }
-
-    const flexPositions = ['RB', 'WR', 'TE'];
-    if (flexPositions.includes(originalPosition)) {
-        const flexBtn = document.createElement('button');
-        flexBtn.className = 'slot-option-btn';
-        flexBtn.textContent = 'Flex';
-        flexBtn.onclick = () => { assignPlayerToSlotCallback(playerNum, playerObj, 'Flex'); hideSlotSelectionModalCallback(); };
-        if (rosterSlots.Flex) {
-            flexBtn.classList.add('disabled');
-            flexBtn.disabled = true;
-        }
-        optionsContainer.appendChild(flexBtn);
-    }
+    });
     
     // Add event listener for cancel button
     const cancelBtn = modal.querySelector('.cancel-slot-selection');
@@ -81,6 +57,30 @@ export function showSlotSelectionModal(playerObj, playerNum, originalPosition, p
     modal.style.display = 'flex';
 }
 
+// UI Function: Show the slot selection modal for moving a drafted player to another slot.
+// Each target slot that's already filled swaps its player into the slot being left.
+export function showSlotSwapModal(slotPlayer, targetSlots, rosterSlots, onSelectSlot) {
+    const modal = document.getElementById('slot-selection-modal');
+    const optionsContainer = document.getElementById('slot-options-container');
+
+    document.getElementById('slot-selection-player-name').textContent = `Move ${slotPlayer.displayName}`;
+    document.getElementById('slot-selection-projection').textContent = '';
+    modal.dataset.playerId = slotPlayer.id;
+    optionsContainer.innerHTML = '';
+
+    targetSlots.forEach(slot => {
+        const occupant = rosterSlots[slot.id];
+        const btn = document.createElement('button');
+        btn.className = 'slot-option-btn';
+        btn.textContent = occupant ? `${slot.label} (swap with ${occupant.displayName})` : slot.label;
+        btn.onclick = () => { onSelectSlot(slot.id); hideSlotSelectionModal(); };
+        optionsContainer.appendChild(btn);
+    });
+
+    modal.querySelector('.cancel-slot-selection').onclick = hideSlotSelectionModal;
+    modal.style.display = 'flex';
+}
+
 // UI Function: Hide the slot selection modal
 export function hideSlotSelectionModal() {
     document.getElementById('slot-selection-modal').style.display = 'none';
@@ -93,35 +93,31 @@ export function hideRosterModal() {
 }
 
 // UI Function: Open the player stats modal and fetch/display data
-export async function showPlayerStatsModal(playerObj, allTeams, getTank01PlayerIDCallback, fetchLastGameStatsCallback, renderPlayerStatsInModalCallback) {
+// `scoring` and `scoringWeek` are the game's settings; omit them to use the default rule set and the current week.
+export async function showPlayerStatsModal(playerObj, allTeams, getPlayerGameResultCallback, renderPlayerStatsInModalCallback, scoring, scoringWeek = null) {
     const modal = document.getElementById('player-stats-modal');
     const statsContainer = document.getElementById('player-stats-details-container');
     
     modal.style.display = 'flex';
     statsContainer.innerHTML = '<em>Loading player stats...</em>';
 
-    let playerNameForTank01 = playerObj.displayName;
-    if (playerObj.originalPosition === 'DEF') {
-        const team = allTeams.find(t => t.id === playerObj.id.split('-')[1]);
-        if (team) {
-            playerNameForTank01 = `${team.name} Defense`;
-        }
-    }
+    // The user is waiting on this modal, so its requests jump ahead of background polling.
+    const requestOptions = { priority: REQUEST_PRIORITY.HIGH };
 
     try {
-        const playerID = await getTank01PlayerIDCallback(playerNameForTank01);
-        if (!playerID) {
+        const result = await getPlayerGameResultCallback(playerObj, allTeams, scoring, scoringWeek, requestOptions);
+        if (!result) {
             statsContainer.innerHTML = `<h2>${playerObj.displayName}</h2><p>Player not found for detailed stats.</p>`;
             return;
         }
 
-        const result = await fetchLastGameStatsCallback(playerID);
-        if (result && result.stats) {
-            // Add playerID to the stats object for the new render function
-            result.stats.playerID = playerID;
-            renderPlayerStatsInModalCallback(playerObj.displayName, result.stats, allTeams);
-        } else {
-            statsContainer.innerHTML = `<h2>${playerObj.displayName}</h2><p>No game data available.</p>`;
+        renderPlayerStatsInModalCallback(playerObj.displayName, result, scoring);
+
+        // Don't let a best-guess match pass for the real player's game.
+        if (!result.match) {
+            statsContainer.insertAdjacentHTML('afterbegin', '<p class="match-warning">⚠️ No stats found for this player; they score 0 for their team\'s game.</p>');
+        } else if (result.match.confidence === MATCH_CONFIDENCE.UNCERTAIN) {
+            statsContainer.insertAdjacentHTML('afterbegin', createUncertainMatchWarning(result.match));
         }
 
     } catch (error) {
@@ -130,6 +126,12 @@ export async function showPlayerStatsModal(playerObj, allTeams, getTank01PlayerI
     }
 }
 
+// Builds the warning shown above stats that belong to an unconfirmed Tank01 match
+function createUncertainMatchWarning(match) {
+    const jersey = match.jerseyNum ? ` #${match.jerseyNum}` : '';
+    return `<p class="match-warning">⚠️ Unconfirmed match: these stats are for ${match.longName} (${match.team} ${match.pos}${jersey}), which may not be this player.</p>`;
+}
+
 // UI Function: Hide the player stats modal
 export function hidePlayerStatsModal() {
     document.getElementById('player-stats-modal').style.display = 'none';
@@ -137,82 +139,55 @@ export function hidePlayerStatsModal() {
 }
 
 // UI Function: Render player stats in the modal
-export async function renderPlayerStatsInModal(playerName, stats, allTeams) {
+// `result` comes from getPlayerGameResult: the player's game in the scoring week, its status and their stats.
+export function renderPlayerStatsInModal(playerName, result, scoring) {
     const statsContainer = document.getElementById("player-stats-details-container");
-    statsContainer.innerHTML = '';
+    const { gameStatus, stats, fantasyPoints } = result;
+    const weekLabel = formatScoringWeek(result.scoringWeek);
 
-    if (!stats) {
+    if (!gameStatus) {
         statsContainer.innerHTML = `<h2>${playerName}</h2><p>No game data available.</p>`;
         return;
     }
 
-    const fantasyPointsRaw = Number(
-        stats.fantasyPoints ||
-        stats.fantasyPointsDefault?.PPR ||
-        stats.fantasyPointsDefault?.standard ||
-        0
-    );
-
-    const gameDate = formatGameDate(stats.gameID);
-    const { opponent, venue } = getOpponentAndVenue(stats);
-
-    // If stats are for a defense, the logic is simpler
-    if (playerName.toLowerCase().includes('defense')) {
-        const teamName = playerName.replace(' Defense', '');
-        const teamData = allTeams.find(t => t.name === teamName);
-        const teamAbv = teamData ? teamData.id : 'N/A';
-        const { opponent: defOpp, venue: defVenue } = getOpponentAndVenue(stats, teamAbv);
-
-        statsContainer.innerHTML = `
-            <h2>${playerName} - Last Game</h2>
-            <p><strong>Date:</strong> ${gameDate}</p>
-            <p><strong>Opponent:</strong> ${defVenue ? defVenue + " " : ""}${defOpp}</p>
-            <p><strong>Fantasy Points:</strong> ${fantasyPointsRaw.toFixed(2)}</p>
-        `;
+    if (gameStatus.status === GAME_STATUS.BYE) {
+        statsContainer.innerHTML = `<h2>${playerName} - ${weekLabel}</h2><p><strong>Status:</strong> Bye week</p>`;
         return;
     }
-    
-    // ✅ Always fetch team schedule to compare dates for individual players
-    const scheduleGame = await fetchLastTeamGame(stats.teamAbv, stats.playerID);
-
-    let teamGame = stats; // default to player's last game
-    if (scheduleGame && scheduleGame.gameID) {
-        // if schedule game is *newer* than player's game, use it
-        if (scheduleGame.gameID.localeCompare(stats.gameID) > 0) {
-            teamGame = scheduleGame;
-        }
-    }
-
-    const teamGameDate = formatGameDate(teamGame.gameID);
-    const { opponent: teamOpp, venue: teamVenue } = getOpponentAndVenue(teamGame, stats.teamAbv);
 
-    // 🔹 Compare: if mismatch → set fantasy points = 0
-    let fantasyPoints = fantasyPointsRaw;
-    if (opponent !== teamOpp || gameDate !== teamGameDate) {
-        fantasyPoints = 0;
-    }
+    const scoringLabel = getScoringLabel(scoring);
+    const pointsLabel = gameStatus.status === GAME_STATUS.FINAL ? 'Fantasy Points' : 'Fantasy Points So Far';
+    const statusText = gameStatus.status === GAME_STATUS.SCHEDULED ? `Kickoff ${formatGameStatus(gameStatus)}` : formatGameStatus(gameStatus);
 
     let lines = [];
-    if (stats.passCompletions || stats.passAttempts || stats.passYds) {
-        lines.push(`Passing: ${stats.passCompletions||0}/${stats.passAttempts||0} for ${stats.passYds||0} yds, ${stats.passTD || 0} TD, ${stats.int || 0} INT`);
-    }
-    if (stats.receptions || stats.targets || stats.recYds) {
-        lines.push(`Receiving: ${stats.receptions||0}/${stats.targets||0} for ${stats.recYds||0} yds`);
-    }
-    if (stats.carries || stats.rushYds) {
-        lines.push(`Rushing: ${stats.carries||0} carries for ${stats.rushYds||0} yds`);
+    if (stats) {
+        const line = extractStatLine(stats);
+        if (line.passCompletions || line.passAttempts || line.passYds) {
+            lines.push(`Passing: ${line.passCompletions}/${line.passAttempts} for ${line.passYds} yds, ${line.passTD} TD, ${line.int} INT`);
+        }
+        if (line.receptions || line.targets || line.recYds) {
+            lines.push(`Receiving: ${line.receptions}/${line.targets} for ${line.recYds} yds, ${line.recTD} TD`);
+        }
+        if (line.carries || line.rushYds) {
+            lines.push(`Rushing: ${line.carries} carries for ${line.rushYds} yds, ${line.rushTD} TD`);
+        }
+        if (line.fgAttempts || line.xpMade) {
+            lines.push(`Kicking: ${line.fgMade}/${line.fgAttempts} FG, ${line.xpMade} XP`);
+        }
+        if (line.fumblesLost) {
+            lines.push(`Fumbles lost: ${line.fumblesLost}`);
+        }
+    } else if (gameStatus.status !== GAME_STATUS.SCHEDULED) {
+        lines.push('No stats recorded for this game.');
     }
 
     statsContainer.innerHTML = `
-        <h2>${playerName} - Last Game</h2>
-        <p><strong>Date:</strong> ${gameDate}</p>
-        <p><strong>Opponent:</strong> ${venue ? venue + " " : ""}${opponent}</p>
+        <h2>${playerName} - ${weekLabel}</h2>
+        <p><strong>Status:</strong> ${statusText}</p>
+        <p><strong>Date:</strong> ${formatGameDate(gameStatus.gameID)}</p>
+        <p><strong>Opponent:</strong> ${gameStatus.venue ? gameStatus.venue + " " : ""}${gameStatus.opponent}</p>
         ${lines.map(l => `<p>${l}</p>`).join("")}
-        <p><strong>Fantasy Points:</strong> ${fantasyPoints.toFixed(2)}</p>
-        <hr style="border-color: rgba(138, 155, 191, 0.2); margin: 1rem 0;">
-        <h3 style="font-size: 1.2rem; color: #8A9BBF; margin-bottom: 0.5rem;">Team (${stats.teamAbv}) - Last Game</h3>
-        <p><strong>Date:</strong> ${teamGameDate}</p>
-        <p><strong>Opponent:</strong> ${teamVenue ? teamVenue + " " : ""}${teamOpp}</p>
+        <p><strong>${pointsLabel} (${scoringLabel}):</strong> ${typeof fantasyPoints === 'number' ? fantasyPoints.toFixed(2) : fantasyPoints}</p>
     `;
 }
 
@@ -238,4 +213,110 @@ export function showAvatarSelectionModal(playerNum, currentAvatar, avatarList, s
 export function hideAvatarSelectionModal() {
     document.getElementById('avatar-selection-modal').style.display = 'none';
     document.getElementById('avatar-options-grid').innerHTML = ''; // Clear options
-}
\ No newline at end of file
+}
+// UI Helper: Add a row of text cells to a results table
+function appendResultsRow(table, texts, className = '', cellTag = 'td') {
+    const row = document.createElement('tr');
+    if (className) row.className = className;
+    texts.forEach(text => {
+        const cell = document.createElement(cellTag);
+        cell.textContent = text;
+        row.appendChild(cell);
+    });
+    table.appendChild(row);
+}
+
+// UI Function: Show the results screen: the standings and each slot's points, player by player.
+// `results` comes from decideResults (results.js); `rosterSlotsList` is the game's roster slots.
+export function showResultsModal(results, allPlayerData, rosterSlotsList, settings) {
+    const modal = document.getElementById('results-modal');
+    const container = document.getElementById('results-details-container');
+    const nameOf = playerNum => allPlayerData[playerNum]?.name || `Player ${playerNum}`;
+    const formatPoints = points => (typeof points === 'number' ? points.toFixed(2) : '—');
+    const tiebreakers = getTiebreakers(settings);
+    container.innerHTML = '';
+
+    const title = document.createElement('h2');
+    title.textContent = results.winners.length > 1
+        ? `${results.winners.map(nameOf).join(' & ')} tie!`
+        : `${nameOf(results.winners[0])} wins!`;
+    container.appendChild(title);
+
+    const decision = document.createElement('p');
+    decision.className = 'results-decision';
+    decision.textContent = describeDecision(results);
+    container.appendChild(decision);
+
+    // Standings, with the tiebreaker values in case they were needed.
+    const standingsTable = document.createElement('table');
+    standingsTable.className = 'results-table';
+    appendResultsRow(standingsTable, ['', 'Player', 'Points', ...tiebreakers.map(key => TIEBREAKERS[key].label)], '', 'th');
+    results.standings.forEach(entry => {
+        const tiebreakerPoints = tiebreakers.map(key => formatPoints(entry.tiebreakers?.[key]));
+        appendResultsRow(standingsTable, [`#${entry.rank}`, nameOf(entry.playerNum), formatPoints(entry.total), ...tiebreakerPoints],
+            entry.rank === 1 ? 'results-row--winner' : '');
+    });
+    container.appendChild(standingsTable);
+
+    // Slot by slot breakdown, one column per player in standings order.
+    const breakdownTitle = document.createElement('h3');
+    breakdownTitle.textContent = 'Slot by Slot';
+    container.appendChild(breakdownTitle);
+
+    const breakdownTable = document.createElement('table');
+    breakdownTable.className = 'results-table';
+    appendResultsRow(breakdownTable, ['Slot', ...results.standings.map(entry => nameOf(entry.playerNum))], '', 'th');
+    rosterSlotsList.forEach(slot => {
+        const cells = results.standings.map(entry => {
+            const slotPlayer = allPlayerData[entry.playerNum]?.rosterSlots?.[slot.id];
+            return slotPlayer ? `${slotPlayer.displayName} · ${formatPoints(entry.slotPoints?.[slot.id])}` : '—';
+        });
+        appendResultsRow(breakdownTable, [slot.label, ...cells], slot.isBench ? 'results-row--bench' : '');
+    });
+    appendResultsRow(breakdownTable, ['Starters', ...results.standings.map(entry => formatPoints(entry.total))], 'results-row--total');
+    container.appendChild(breakdownTable);
+
+    modal.style.display = 'flex';
+}
+
+// UI Function: Hide the results screen
+export function hideResultsModal() {
+    document.getElementById('results-modal').style.display = 'none';
+}
+
+// UI Function: Offer a visitor the disconnected seats of a full room.
+// `seats` are [{ seatNum, name, lastSeenText }]; `onTakeOver(seatNum)` takes one over, `onWatch()` spectates instead.
+export function showSeatTakeoverModal(seats, onTakeOver, onWatch) {
+    const modal = document.getElementById('seat-takeover-modal');
+    const container = document.getElementById('seat-takeover-options');
+    container.innerHTML = '';
+
+    seats.forEach(seat => {
+        const option = document.createElement('button');
+        option.className = 'seat-takeover-btn';
+        option.innerHTML = `<span class="seat-takeover-name"></span><span class="seat-takeover-last-seen"></span>`;
+        option.querySelector('.seat-takeover-name').textContent = `Take over ${seat.name}'s seat`;
+        option.querySelector('.seat-takeover-last-seen').textContent = `Last seen ${seat.lastSeenText}`;
+        option.addEventListener('click', () => {
+            hideSeatTakeoverModal();
+            onTakeOver(seat.seatNum);
+        });
+        container.appendChild(option);
+    });
+
+    const watchBtn = document.createElement('button');
+    watchBtn.className = 'seat-watch-btn';
+    watchBtn.textContent = 'Watch as a spectator';
+    watchBtn.addEventListener('click', () => {
+        hideSeatTakeoverModal();
+        onWatch();
+    });
+    container.appendChild(watchBtn);
+
+    modal.style.display = 'flex';
+}
+
+// UI Function: Hide the seat take-over screen
+export function hideSeatTakeoverModal() {
+    document.getElementById('seat-takeover-modal').style.display = 'none';
+}
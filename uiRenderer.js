@@ -3,6 +3,14 @@
  * Handles all DOM manipulation for rendering general player sections,
  * including the draft interface and fantasy roster display.
  */
+import { getScoringLabel } from './scoring.js';
+import { GAME_STATUS, formatGameStatus, formatScoringWeek, isGameRemaining } from './gameStatus.js';
+import { formatProjection } from './projections.js';
+import { formatPick } from './draftOrder.js';
+import { formatClock } from './pickClock.js';
+import { describeRoll } from './rollModes.js';
+import { PICK_SOURCES, formatPickLogNumber } from './pickLog.js';
+import { describeDecision } from './results.js';
 
 // UI Helper: Get or create a child element with a specific class
 export function getOrCreateChild(parent, className, tagName = 'div') {
@@ -15,6 +23,202 @@ export function getOrCreateChild(parent, className, tagName = 'div') {
     return element;
 }
 
+// UI Function: Create a panel per player from the #player-section-template and remove panels for seats
+// that no longer exist. `onSectionCreated(playerNum, section)` is called for each new panel to attach its listeners.
+export function renderPlayerSections(playerNums, onSectionCreated) {
+    const playersContainer = document.querySelector('.players-container');
+    const template = document.getElementById('player-section-template');
+
+    playersContainer.querySelectorAll('.player-section').forEach(section => {
+        if (!playerNums.includes(Number(section.dataset.playerNum))) {
+            section.remove();
+        }
+    });
+
+    playerNums.forEach(playerNum => {
+        if (document.getElementById(`player${playerNum}-section`)) return;
+
+        const wrapper = document.createElement('div');
+        wrapper.innerHTML = template.innerHTML.replaceAll('{n}', playerNum).trim();
+        const section = wrapper.firstElementChild;
+        section.dataset.playerNum = playerNum;
+        // Keep the panels in seat order.
+        const nextSection = [...playersContainer.querySelectorAll('.player-section')].find(el => Number(el.dataset.playerNum) > playerNum);
+        playersContainer.insertBefore(section, nextSection || null);
+        onSectionCreated(playerNum, section);
+    });
+
+    playersContainer.style.setProperty('--player-count', playerNums.length);
+    playersContainer.classList.toggle('multi-player-view', playerNums.length > 2);
+}
+
+// UI Function: Show the pick on the clock ("Round 3, Pick 2"), who is picking and who picks next.
+// `remainingSeconds` is the pick clock's countdown (null when the clock is off).
+// Pass a null `currentPick` to hide the status bar once the draft is over.
+export function renderDraftStatus(currentPick, allPlayerData, upcomingPick, remainingSeconds = null) {
+    const statusEl = document.getElementById('draft-status');
+    if (!statusEl) return;
+    if (!currentPick) {
+        statusEl.style.display = 'none';
+        return;
+    }
+
+    const nameOf = playerNum => allPlayerData[playerNum]?.name || `Player ${playerNum}`;
+    statusEl.innerHTML = '';
+
+    const pickSpan = document.createElement('span');
+    pickSpan.className = 'draft-status-pick';
+    pickSpan.textContent = formatPick(currentPick);
+    statusEl.appendChild(pickSpan);
+
+    const onClockSpan = document.createElement('span');
+    onClockSpan.className = 'draft-status-on-clock';
+    onClockSpan.textContent = `${nameOf(currentPick.playerNum)} is on the clock`;
+    statusEl.appendChild(onClockSpan);
+
+    if (upcomingPick) {
+        const nextSpan = document.createElement('span');
+        nextSpan.className = 'draft-status-next';
+        nextSpan.textContent = `Next: ${nameOf(upcomingPick.playerNum)}`;
+        statusEl.appendChild(nextSpan);
+    }
+
+    const clockSpan = document.createElement('span');
+    clockSpan.className = 'draft-status-clock';
+    statusEl.appendChild(clockSpan);
+    updatePickClockDisplay(remainingSeconds);
+
+    statusEl.style.display = 'flex';
+}
+
+// UI Function: Show the pick log, newest pick first, with the undo controls above it.
+// `undo` is { canUndo, canRespond, request, onUndo, onRespond(approved) }; pass a null `pickLog` to hide the log.
+export function renderPickLog(pickLog, allPlayerData, rosterSlotsList, undo) {
+    const logEl = document.getElementById('pick-log');
+    if (!logEl) return;
+    if (!pickLog || (pickLog.length === 0 && !undo.request)) {
+        logEl.style.display = 'none';
+        return;
+    }
+
+    const nameOf = playerNum => allPlayerData[playerNum]?.name || `Player ${playerNum}`;
+    const slotLabelOf = slotId => rosterSlotsList.find(slot => slot.id === slotId)?.label || slotId;
+    const wasOpen = logEl.querySelector('details')?.open ?? false; // Keep the log open across re-renders
+    logEl.innerHTML = '';
+
+    const controls = document.createElement('div');
+    controls.className = 'pick-log-controls';
+    if (undo.request) {
+        const message = document.createElement('span');
+        message.className = 'pick-log-request';
+        message.textContent = undo.canRespond
+            ? `${nameOf(undo.request.requestedBy)} wants to undo their last pick.`
+            : 'Waiting for another player to approve your undo...';
+        controls.appendChild(message);
+        if (undo.canRespond) {
+            [['Approve', true], ['Decline', false]].forEach(([label, approved]) => {
+                const btn = document.createElement('button');
+                btn.className = `pick-log-btn${approved ? '' : ' pick-log-btn--secondary'}`;
+                btn.textContent = label;
+                btn.addEventListener('click', () => undo.onRespond(approved));
+                controls.appendChild(btn);
+            });
+        }
+    } else if (undo.canUndo) {
+        const undoBtn = document.createElement('button');
+        undoBtn.className = 'pick-log-btn';
+        undoBtn.textContent = 'Undo Last Pick';
+        undoBtn.addEventListener('click', undo.onUndo);
+        controls.appendChild(undoBtn);
+    }
+    if (controls.childElementCount > 0) logEl.appendChild(controls);
+
+    const details = document.createElement('details');
+    details.open = wasOpen;
+    const summary = document.createElement('summary');
+    summary.textContent = `Pick Log (${pickLog.length})`;
+    details.appendChild(summary);
+
+    const list = document.createElement('ol');
+    list.className = 'pick-log-list';
+    [...pickLog].reverse().forEach(entry => {
+        const item = document.createElement('li');
+        const source = PICK_SOURCES[entry.source] || entry.source;
+        const roll = entry.roll ? ` (${entry.roll.name})` : '';
+        const time = new Date(entry.pickedAt).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+        // Names come from other players, so they're set as text rather than HTML.
+        [
+            ['pick-log-number', formatPickLogNumber(entry)],
+            ['pick-log-pick', `${nameOf(entry.playerNum)}: ${entry.displayName} → ${slotLabelOf(entry.slotId)}`],
+            ['pick-log-meta', `${source}${roll} · ${time}`]
+        ].forEach(([className, text]) => {
+            const span = document.createElement('span');
+            span.className = className;
+            span.textContent = text;
+            item.appendChild(span);
+        });
+        list.appendChild(item);
+    });
+    details.appendChild(list);
+    logEl.appendChild(details);
+
+    logEl.style.display = 'block';
+}
+
+// UI Function: Show who won the matchup, with a button to open the results screen.
+// Pass null `results` to hide the banner.
+export function renderResultsBanner(results, allPlayerData, onViewResults) {
+    const bannerEl = document.getElementById('results-banner');
+    if (!bannerEl) return;
+    if (!results) {
+        bannerEl.style.display = 'none';
+        return;
+    }
+
+    const names = results.winners.map(playerNum => allPlayerData[playerNum]?.name || `Player ${playerNum}`);
+    bannerEl.innerHTML = '';
+
+    const headline = document.createElement('span');
+    headline.className = 'results-banner-headline';
+    headline.textContent = names.length > 1 ? `🤝 ${names.join(' & ')} tie!` : `🏆 ${names[0]} wins!`;
+    bannerEl.appendChild(headline);
+
+    const decision = document.createElement('span');
+    decision.className = 'results-banner-decision';
+    decision.textContent = describeDecision(results);
+    bannerEl.appendChild(decision);
+
+    const viewBtn = document.createElement('button');
+    viewBtn.className = 'pick-log-btn';
+    viewBtn.textContent = 'View Results';
+    viewBtn.addEventListener('click', onViewResults);
+    bannerEl.appendChild(viewBtn);
+
+    bannerEl.style.display = 'flex';
+}
+
+// UI Function: Show the players how many spectators are watching, and tell a spectator they're watching.
+export function renderSpectatorStatus(spectatorCount, isSpectator) {
+    const statusEl = document.getElementById('spectator-status');
+    if (!statusEl) return;
+    const watching = `👀 ${spectatorCount} watching`;
+    statusEl.textContent = isSpectator ? `You're spectating · ${watching}` : watching;
+    statusEl.style.display = isSpectator || spectatorCount > 0 ? 'block' : 'none';
+}
+
+// UI Function: Update the pick clock countdown in the draft status bar.
+export function updatePickClockDisplay(remainingSeconds) {
+    const clockSpan = document.querySelector('#draft-status .draft-status-clock');
+    if (!clockSpan) return;
+    if (remainingSeconds === null) {
+        clockSpan.style.display = 'none';
+        return;
+    }
+    clockSpan.style.display = '';
+    clockSpan.textContent = remainingSeconds > 0 ? `⏱ ${formatClock(remainingSeconds)}` : '⏱ Time is up!';
+    clockSpan.classList.toggle('draft-status-clock--low', remainingSeconds <= 10);
+}
+
 // NEW: UI Function: Render the player's avatar and name in the title
 export function renderPlayerAvatar(playerNum, playerName, avatarUrl) {
     const playerTitleEl = document.querySelector(`#player${playerNum}-section .player-title`);
@@ -53,7 +257,7 @@ export function renderAvatarSelectionOptions(playerNum, currentAvatar, avatarLis
 }
 
 // UI Function: Update visibility of inline roster vs. fantasy roster within player section
-export function updatePlayerContentDisplay(playerNum, playerDataForPlayer, isFantasyRosterFullFn, areBothRostersFull) {
+export function updatePlayerContentDisplay(playerNum, playerDataForPlayer, isFantasyRosterFullFn, areAllRostersFull) {
     const playerContentArea = document.getElementById(`player${playerNum}-content-area`);
     // Ensure these elements exist using getOrCreateChild, even if they'll be hidden
     const inlineRosterEl = getOrCreateChild(playerContentArea, 'inline-roster');
@@ -80,8 +284,8 @@ export function updatePlayerContentDisplay(playerNum, playerDataForPlayer, isFan
     const teamIsSelected = playerDataForPlayer.team !== null && playerDataForPlayer.team.rosterData;
     const hasDraftedFromCurrentTeam = playerDataForPlayer.draftedPlayers.length > 0;
     
-    // Hide buttons if both rosters are full OR the single player's roster is full OR if a team is selected and waiting for a draft pick.
-    if (areBothRostersFull || rosterIsFull || (teamIsSelected && !hasDraftedFromCurrentTeam)) {
+    // Hide buttons if all rosters are full OR the single player's roster is full OR if a team is selected and waiting for a draft pick.
+    if (areAllRostersFull || rosterIsFull || (teamIsSelected && !hasDraftedFromCurrentTeam)) {
         teamSelectionEl.style.display = 'none';
     } else {
         // Show buttons if the roster is NOT full AND (either no team is selected yet, or a player has been drafted).
@@ -110,18 +314,82 @@ export function updatePlayerContentDisplay(playerNum, playerDataForPlayer, isFan
     }
 }
 
+// UI Function: Label the spin button for the game's roll mode (e.g. "Spin Position").
+export function updateSpinButtonLabel(playerNum, label) {
+    const labelEl = document.querySelector(`#player${playerNum}-select-team-btn span`);
+    if (labelEl) labelEl.textContent = label;
+}
+
+// UI Function: Show how many team re-rolls a player has left, and the re-roll button while they
+// can use one. The counter is hidden in games without re-rolls.
+export function updateRerollDisplay(playerNum, rerollsLeft, rerollsPerGame, canReroll) {
+    const rerollBarEl = document.getElementById(`player${playerNum}-reroll-bar`);
+    if (!rerollBarEl) return;
+    if (rerollsPerGame === 0) {
+        rerollBarEl.style.display = 'none';
+        return;
+    }
+    rerollBarEl.style.display = 'flex';
+
+    const counterEl = document.getElementById(`player${playerNum}-reroll-counter`);
+    counterEl.textContent = `Re-rolls left: ${rerollsLeft}/${rerollsPerGame}`;
+    counterEl.classList.toggle('reroll-counter--empty', rerollsLeft === 0);
+
+    document.getElementById(`player${playerNum}-reroll-btn`).style.display = canReroll ? '' : 'none';
+}
+
+/**
+ * Creates a loader that fills in each draft card's projection once the card scrolls into view.
+ * Without IntersectionObserver support, projections load straight away.
+ * @param {function(object): Promise<object|null>} loadProjectionCallback - Resolves a player's projection.
+ * @returns {function(HTMLElement, object): void} Call with a card's projection element and its player.
+ */
+function createLazyProjectionLoader(loadProjectionCallback) {
+    const load = async (element, player) => {
+        const projection = await loadProjectionCallback(player);
+        element.textContent = formatProjection(projection);
+        element.classList.remove('player-projection--loading');
+    };
+
+    if (typeof IntersectionObserver === 'undefined') {
+        return load;
+    }
+
+    const pending = new Map(); // projection element → player
+    const observer = new IntersectionObserver(entries => {
+        entries.forEach(entry => {
+            if (!entry.isIntersecting) return;
+            observer.unobserve(entry.target);
+            load(entry.target, pending.get(entry.target));
+            pending.delete(entry.target);
+        });
+    }, { rootMargin: '100px' });
+
+    return (element, player) => {
+        pending.set(element, player);
+        observer.observe(element);
+    };
+}
+
 // UI Function: Display draft interface (NFL Roster of a chosen team)
-export function displayDraftInterface(playerNum, teamAthletes, playerDataForPlayer, opponentData, isFantasyRosterFullFn, isPlayerPositionUndraftableFn, draftPlayerCallback, openPlayerStatsModalCallback) {
+// `otherPlayersData` holds every other player's data, so cards show who already drafted a player.
+// `loadProjectionCallback(player)` resolves a player's projection for the card; omit it to hide projections.
+export function displayDraftInterface(playerNum, teamPlayers, playerDataForPlayer, otherPlayersData, isFantasyRosterFullFn, isPlayerPositionUndraftableFn, draftPlayerCallback, openPlayerStatsModalCallback, loadProjectionCallback) {
     const playerContentArea = document.getElementById(`player${playerNum}-content-area`);
     const draftContainer = getOrCreateChild(playerContentArea, 'inline-roster');
     draftContainer.innerHTML = ''; // Clear previous content before rendering new
+    const loadProjection = loadProjectionCallback ? createLazyProjectionLoader(loadProjectionCallback) : null;
 
-    const allPlayers = teamAthletes.flatMap(positionGroup => positionGroup.items || []);
-    
+    // The roll (the player's `team`) decides who can be drafted, e.g. any WR from any team.
+    const roll = playerDataForPlayer.team;
+    const isPositionRoll = !!roll?.position;
+    const isMultiTeamRoll = new Set(teamPlayers.map(player => player.teamId)).size > 1;
+
+    // The roster service returns a flat, normalized player list that includes the team defense.
     // NEW: Add message if no players are found for this team
-    if (allPlayers.length === 0) {
+    if (!teamPlayers.some(player => isPositionRoll || player.position?.abbreviation !== 'DEF')) {
         const noPlayersMessage = document.createElement('p');
-        noPlayersMessage.textContent = 'No active roster players found for this team. Please try rolling a new team!';
+        noPlayersMessage.textContent = `No active roster players found for ${roll?.name || 'this team'}. Please try rolling again!`;
         noPlayersMessage.style.color = '#ef4444'; // Red color for error/warning
         noPlayersMessage.style.textAlign = 'center';
         noPlayersMessage.style.marginTop = '2rem';
@@ -131,13 +399,19 @@ export function displayDraftInterface(playerNum, teamAthletes, playerDataForPlay
         return; // Exit the function as there are no players to display
     }
 
+    if (roll) {
+        const ruleEl = document.createElement('p');
+        ruleEl.className = 'roll-rule';
+        ruleEl.textContent = describeRoll(roll);
+        draftContainer.appendChild(ruleEl);
+    }
+
+    const positionOrder = ['QB', 'RB', 'WR', 'TE', 'K', 'DEF'];
+
     const positionGroups = {};
-    allPlayers.forEach(player => {
-        let position = player.position?.abbreviation || player.position?.name || 'Unknown';
-        if (position === 'PK') position = 'K';
-        
-        const allowedPositions = ['QB', 'RB', 'WR', 'TE', 'K'];
-        if (allowedPositions.includes(position)) {
+    teamPlayers.forEach(player => {
+        const position = player.position?.abbreviation || player.position?.name || 'Unknown';
+        if (positionOrder.includes(position)) {
             if (!positionGroups[position]) {
                 positionGroups[position] = [];
             }
@@ -150,8 +424,6 @@ export function displayDraftInterface(playerNum, teamAthletes, playerDataForPlay
     filterContainer.className = 'position-filter-bar';
     draftContainer.appendChild(filterContainer);
 
-    const positionOrder = ['QB', 'RB', 'WR', 'TE', 'K'];
-
     // Create filter buttons for available positions
     positionOrder.forEach(position => {
         if (positionGroups[position] && positionGroups[position].length > 0) {
@@ -163,13 +435,6 @@ export function displayDraftInterface(playerNum, teamAthletes, playerDataForPlay
         }
     });
 
-    // Add DEF filter button separately
-    const defFilterButton = document.createElement('button');
-    defFilterButton.className = 'position-filter-btn';
-    defFilterButton.textContent = 'DEF';
-    defFilterButton.dataset.position = 'DEF';
-    filterContainer.appendChild(defFilterButton);
-
     // Add event listener to the filter bar for scrolling
     filterContainer.addEventListener('click', (event) => {
         if (event.target.tagName === 'BUTTON') {
@@ -185,8 +450,11 @@ export function displayDraftInterface(playerNum, teamAthletes, playerDataForPlay
         }
     });
     
-    // NEW: Create a set of opponent's drafted player IDs for quick lookup.
-    const opponentDraftedIds = new Set(Object.values(opponentData.rosterSlots).filter(p => p).map(p => p.id));
+    // Map every other player's drafted NFL player IDs to the name of who drafted them.
+    const draftedByOthers = new Map();
+    otherPlayersData.forEach(otherPlayer => {
+        Object.values(otherPlayer.rosterSlots).filter(p => p).forEach(p => draftedByOthers.set(p.id, otherPlayer.name));
+    });
     const canDraftFromCurrentTeam = playerDataForPlayer.draftedPlayers.length === 0;
     const rosterIsFull = isFantasyRosterFullFn(playerNum);
 
@@ -196,7 +464,7 @@ export function displayDraftInterface(playerNum, teamAthletes, playerDataForPlay
             positionDiv.style.marginBottom = '1.5rem';
             
             const title = document.createElement('h4');
-            title.textContent = `${position}s`;
+            title.textContent = position === 'DEF' ? 'DEF' : `${position}s`;
             title.className = 'position-group-title'; // Use class for styling
             title.id = `position-group-${playerNum}-${position}`; // Add unique ID for scrolling
             
@@ -216,18 +484,27 @@ export function displayDraftInterface(playerNum, teamAthletes, playerDataForPlay
                 playerDiv.innerHTML = `
                     <div class="player-card-header">
                         <img class="player-photo" src="${headshotSrc}" alt="${player.displayName}">
-                        <div class="player-name-text">${player.displayName}</div>
+                        <div>
+                            <div class="player-name-text">${player.displayName}</div>
+                            <div class="player-projection player-projection--loading">Proj …</div>
+                        </div>
                     </div>
                     <div class="player-meta-text">
-                        <span>${player.position?.abbreviation || 'N/A'}</span>
+                        <span>${position === 'DEF' ? 'Defense' : position}${isMultiTeamRoll && position !== 'DEF' ? ` · ${player.teamId}` : ''}</span>
                         <span class="draft-action-text">Draft</span>
                     </div>
                 `;
                 
                 const draftActionText = playerDiv.querySelector('.draft-action-text');
+                const projectionEl = playerDiv.querySelector('.player-projection');
+                if (loadProjection) {
+                    loadProjection(projectionEl, { ...player, originalPosition: position });
+                } else {
+                    projectionEl.remove();
+                }
 
                 const isAlreadyInFantasyRoster = Object.values(playerDataForPlayer.rosterSlots).some(slotPlayer => slotPlayer && slotPlayer.id === player.id);
-                const isDraftedByOpponent = opponentDraftedIds.has(player.id);
+                const isDraftedByOpponent = draftedByOthers.has(player.id);
                 const noAvailableSlotForPosition = isPlayerPositionUndraftableFn(playerNum, position);
 
                 if (rosterIsFull || noAvailableSlotForPosition) {
@@ -235,7 +512,7 @@ export function displayDraftInterface(playerNum, teamAthletes, playerDataForPlay
                     draftActionText.textContent = rosterIsFull ? 'Roster Full' : 'Slot Full';
                 } else if (isDraftedByOpponent) {
                     playerDiv.classList.add('player-draft-card--disabled');
-                    draftActionText.textContent = `Drafted by ${opponentData.name}`;
+                    draftActionText.textContent = `Drafted by ${draftedByOthers.get(player.id)}`;
                 } else if (!canDraftFromCurrentTeam || isAlreadyInFantasyRoster) {
                     playerDiv.classList.add('player-draft-card--drafted');
                     draftActionText.textContent = isAlreadyInFantasyRoster ? 'Drafted' : 'Drafted (1/turn)';
@@ -246,11 +523,10 @@ export function displayDraftInterface(playerNum, teamAthletes, playerDataForPlay
                     
                     // Add click listener to the whole card to view stats
                     playerDiv.addEventListener('click', () => {
-                        // The API returns a player object that is slightly different from our roster object.
-                        // We'll create a compatible object to pass to the stats modal function.
+                        // The stats modal expects roster-style objects with an `originalPosition`.
                         const playerForStats = {
                             ...player,
-                            originalPosition: player.position?.abbreviation || player.position?.name
+                            originalPosition: position
                         };
                         openPlayerStatsModalCallback(playerForStats);
                     });
@@ -270,87 +546,20 @@ export function displayDraftInterface(playerNum, teamAthletes, playerDataForPlay
             draftContainer.appendChild(positionDiv);
         }
     });
-    
-    const defDiv = document.createElement('div');
-    defDiv.style.marginBottom = '1.5rem';
-    
-    const defTitle = document.createElement('h4');
-    defTitle.textContent = 'DEF';
-    defTitle.className = 'position-group-title'; // Use class for styling
-    defTitle.id = `position-group-${playerNum}-DEF`; // Add unique ID for scrolling
-    
-    defDiv.appendChild(defTitle);
-    
-    const defPlayer = {
-        id: `DEF-${playerDataForPlayer.team.id}`,
-        displayName: playerDataForPlayer.team.name,
-        position: { name: 'Defense', abbreviation: 'DEF' },
-        headshot: { href: playerDataForPlayer.team.logo }
-    };
-    
-    const defOption = document.createElement('div');
-    defOption.classList.add('player-draft-card');
-    
-    defOption.innerHTML = `
-        <div class="player-card-header">
-            ${defPlayer.headshot && defPlayer.headshot.href ? `<img class="player-photo" src="${defPlayer.headshot.href}" alt="${defPlayer.displayName}">` : ''}
-            <div class="player-name-text">${defPlayer.displayName}</div>
-        </div>
-        <div class="player-meta-text">
-            <span>Defense</span>
-            <span class="draft-action-text">Draft</span>
-        </div>
-    `;
-
-    const draftActionTextDef = defOption.querySelector('.draft-action-text');
-    
-    const isDefAlreadyInFantasyRoster = Object.values(playerDataForPlayer.rosterSlots).some(slotPlayer => slotPlayer && slotPlayer.id === defPlayer.id);
-    const isDefDraftedByOpponent = opponentDraftedIds.has(defPlayer.id);
-    const noAvailableSlotForDef = isPlayerPositionUndraftableFn(playerNum, 'DEF');
-
-    if (rosterIsFull || noAvailableSlotForDef) {
-        defOption.classList.add('player-draft-card--disabled');
-        draftActionTextDef.textContent = rosterIsFull ? 'Roster Full' : 'Slot Full';
-    } else if (isDefDraftedByOpponent) {
-        defOption.classList.add('player-draft-card--disabled');
-        draftActionTextDef.textContent = `Drafted by ${opponentData.name}`;
-    } else if (!canDraftFromCurrentTeam || isDefAlreadyInFantasyRoster) {
-        defOption.classList.add('player-draft-card--drafted');
-        draftActionTextDef.textContent = isDefAlreadyInFantasyRoster ? 'Drafted' : 'Drafted (1/turn)';
-        // No event listener for drafted cards
-    } else {
-        defOption.classList.add('player-draft-card--available');
-        defOption.style.cursor = 'pointer';
-        
-        // Add click listener to the whole card to view stats
-        defOption.addEventListener('click', () => {
-             const playerForStats = {
-                ...defPlayer,
-                originalPosition: 'DEF'
-            };
-            openPlayerStatsModalCallback(playerForStats);
-        });
-
-        // Attach event listener only to the "Draft" text element
-        draftActionTextDef.addEventListener('click', (event) => {
-            event.stopPropagation(); // Prevent the card's stats click handler from firing
-            draftPlayerCallback(playerNum, defPlayer, 'DEF');
-        });
-        draftActionTextDef.textContent = 'Draft';
-    }
-    
-    defDiv.appendChild(defOption);
-    draftContainer.appendChild(defDiv);
 }
 
 // UI Function: Display fantasy roster
-export function displayFantasyRoster(playerNum, playerDataForPlayer, allTeams, openPlayerStatsModalCallback) {
+// Slot points were calculated with the game's `scoring` settings, whose label is shown with the total,
+// for the game's `scoringWeek` (null until the draft starts), which is shown in the title.
+// `rosterSlotsList` is the game's roster template (from leagueSettings.js getRosterSlots), in display order.
+// `slotSwap` is { canSwap(slotId), onSwap(slotId) } for the local player's roster, or null.
+export function displayFantasyRoster(playerNum, playerDataForPlayer, allTeams, openPlayerStatsModalCallback, scoring, scoringWeek, rosterSlotsList, slotSwap = null) {
     const playerContentArea = document.getElementById(`player${playerNum}-content-area`);
     const fantasyRoster = getOrCreateChild(playerContentArea, 'fantasy-roster');
     fantasyRoster.innerHTML = '';
     
     const title = document.createElement('h3');
-    title.textContent = 'Fantasy Roster';
+    title.textContent = scoringWeek ? `Fantasy Roster · ${formatScoringWeek(scoringWeek)}` : 'Fantasy Roster';
     title.style.color = '#3b82f6';
     title.style.marginBottom = '1.5rem';
     title.style.fontSize = '1.5rem';
@@ -362,22 +571,34 @@ export function displayFantasyRoster(playerNum, playerDataForPlayer, allTeams, o
     slotsContainer.className = 'fantasy-roster-slots-container';
     fantasyRoster.appendChild(slotsContainer);
 
-    const rosterSlotsOrder = ['QB', 'RB', 'WR1', 'WR2', 'TE', 'Flex', 'DEF', 'K'];
     const playerRosterSlots = playerDataForPlayer.rosterSlots;
     
+    // Only starters score; bench points are shown for lineup decisions but left out of the total.
     let totalFantasyPoints = 0;
+    let benchFantasyPoints = 0;
+    let playersRemaining = 0; // Starters whose game is scheduled or in progress
+
+    const firstBenchSlot = rosterSlotsList.find(slot => slot.isBench);
 
-    rosterSlotsOrder.forEach(slot => {
-        const playerInSlot = playerRosterSlots[slot]; 
+    rosterSlotsList.forEach(slot => {
+        if (slot === firstBenchSlot) {
+            const benchTitle = document.createElement('h4');
+            benchTitle.className = 'fantasy-roster-bench-title';
+            benchTitle.textContent = 'Bench';
+            slotsContainer.appendChild(benchTitle);
+        }
+
+        const playerInSlot = playerRosterSlots[slot.id]; 
         const div = document.createElement('div');
         div.classList.add('fantasy-roster-slot');
+        if (slot.isBench) div.classList.add('fantasy-roster-slot--bench');
 
         const leftContent = document.createElement('div');
         leftContent.classList.add('slot-left-content');
 
         const slotSpan = document.createElement('span');
         slotSpan.classList.add('slot-label');
-        slotSpan.textContent = `${slot}:`;
+        slotSpan.textContent = `${slot.label}:`;
         leftContent.appendChild(slotSpan);
 
         if (playerInSlot) {
@@ -408,7 +629,15 @@ export function displayFantasyRoster(playerNum, playerDataForPlayer, allTeams, o
             } else if (typeof playerInSlot.fantasyPoints === 'number') {
                 pointsSpan.textContent = `${playerInSlot.fantasyPoints.toFixed(2)} FPTS`;
                 pointsSpan.style.color = '#10b981';
-                totalFantasyPoints += playerInSlot.fantasyPoints;
+                if (playerInSlot.matchConfidence === 'uncertain') {
+                    pointsSpan.textContent += ' ⚠️';
+                    pointsSpan.title = 'Stats come from an unconfirmed player match. Open the player for details.';
+                }
+                if (slot.isBench) {
+                    benchFantasyPoints += playerInSlot.fantasyPoints;
+                } else {
+                    totalFantasyPoints += playerInSlot.fantasyPoints;
+                }
             } else {
                 pointsSpan.textContent = 'N/A';
                 pointsSpan.style.color = '#ef4444';
@@ -417,6 +646,27 @@ export function displayFantasyRoster(playerNum, playerDataForPlayer, allTeams, o
             pointsSpan.textContent = '';
         }
         rightContent.appendChild(pointsSpan);
+
+        if (playerInSlot && playerInSlot.gameStatus) {
+            const { status, opponent, venue } = playerInSlot.gameStatus;
+            const statusSpan = document.createElement('span');
+            statusSpan.classList.add('slot-game-status', `status-${status}`);
+            const matchup = status === GAME_STATUS.BYE ? '' : `${venue ? venue + ' ' : ''}${opponent} · `;
+            statusSpan.textContent = `${matchup}${formatGameStatus(playerInSlot.gameStatus)}`;
+            rightContent.appendChild(statusSpan);
+            if (!slot.isBench && isGameRemaining(playerInSlot.gameStatus)) playersRemaining++;
+        }
+        if (playerInSlot && slotSwap && slotSwap.canSwap(slot.id)) {
+            const swapBtn = document.createElement('button');
+            swapBtn.className = 'slot-swap-btn';
+            swapBtn.textContent = '⇄';
+            swapBtn.title = slot.isBench ? 'Move into the lineup' : 'Move to another slot or the bench';
+            swapBtn.addEventListener('click', (event) => {
+                event.stopPropagation(); // Don't open the stats modal
+                slotSwap.onSwap(slot.id);
+            });
+            rightContent.appendChild(swapBtn);
+        }
         div.appendChild(rightContent);
 
         if (playerInSlot) {
@@ -430,6 +680,18 @@ export function displayFantasyRoster(playerNum, playerDataForPlayer, allTeams, o
 
     const totalPointsDiv = document.createElement('div');
     totalPointsDiv.className = 'total-fantasy-points';
-    totalPointsDiv.innerHTML = `Total Fantasy Points: <span>${totalFantasyPoints.toFixed(2)} FPTS</span>`;
+    totalPointsDiv.innerHTML = `Points So Far (${getScoringLabel(scoring)}): <span>${totalFantasyPoints.toFixed(2)} FPTS</span>`;
     fantasyRoster.appendChild(totalPointsDiv);
+
+    const remainingDiv = document.createElement('div');
+    remainingDiv.className = 'players-remaining';
+    remainingDiv.textContent = `${playersRemaining} ${playersRemaining === 1 ? 'starter' : 'starters'} remaining`;
+    fantasyRoster.appendChild(remainingDiv);
+
+    if (rosterSlotsList.some(slot => slot.isBench)) {
+        const benchDiv = document.createElement('div');
+        benchDiv.className = 'players-remaining';
+        benchDiv.textContent = `Bench: ${benchFantasyPoints.toFixed(2)} FPTS (not counted)`;
+        fantasyRoster.appendChild(benchDiv);
+    }
 }
\ No newline at end of file
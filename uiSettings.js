@@ -0,0 +1,298 @@
+/**
+ * uiSettings.js
+ * Handles DOM rendering for the game settings panel the host fills in before the draft starts.
+ */
+import { SCORING_RULE_SETS, SCORING_WEIGHT_LABELS, getScoringWeights } from './scoring.js';
+import { CURRENT_WEEK, REGULAR_SEASON_WEEKS, DEFAULT_SCORING_WEEK, getCurrentScoringWeek } from './gameStatus.js';
+import { DRAFT_ORDERS, DEFAULT_DRAFT_ORDER } from './draftOrder.js';
+import { PICK_CLOCK_OPTIONS, DEFAULT_PICK_CLOCK_SECONDS } from './pickClock.js';
+import { ROLL_MODES, DEFAULT_ROLL_MODE } from './rollModes.js';
+import { ROLL_RULES, ROLL_RULE_STRENGTHS, REPEAT_WINDOW_OPTIONS, getRollRules } from './rollRules.js';
+import { TIEBREAKERS, DEFAULT_TIEBREAKERS } from './results.js';
+import { ROSTER_TEMPLATES, DEFAULT_ROSTER_TEMPLATE, MIN_PLAYERS, MAX_PLAYERS, REROLL_OPTIONS, BENCH_OPTIONS, getPlayerCount, getRerollsPerGame, getBenchSlotCount, getRosterSlots } from './leagueSettings.js';
+
+/**
+ * Creates a labelled settings field wrapper.
+ * @param {string} labelText - The field label.
+ * @param {HTMLElement} control - The input/select element.
+ * @returns {HTMLElement}
+ */
+function createSettingsField(labelText, control) {
+    const field = document.createElement('label');
+    field.className = 'settings-field';
+
+    const label = document.createElement('span');
+    label.className = 'settings-label';
+    label.textContent = labelText;
+
+    field.appendChild(label);
+    field.appendChild(control);
+    return field;
+}
+
+/**
+ * Creates a <select> element from a map of option values to labels.
+ * @param {object} options - Map of option value → display label.
+ * @param {string} selectedValue - The currently selected value.
+ * @param {boolean} editable - Whether the control can be changed.
+ * @param {function(string): void} onSelect - Called with the new value.
+ * @returns {HTMLSelectElement}
+ */
+function createSettingsSelect(options, selectedValue, editable, onSelect) {
+    const select = document.createElement('select');
+    select.className = 'settings-select';
+    select.disabled = !editable;
+    Object.entries(options).forEach(([value, label]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        option.selected = value === selectedValue;
+        select.appendChild(option);
+    });
+    select.addEventListener('change', () => onSelect(select.value));
+    return select;
+}
+
+/**
+ * Renders the scoring rule set selector and, for custom scoring, the weight editor.
+ * @param {HTMLElement} container - The settings grid to render into.
+ * @param {object} scoring - The current scoring settings.
+ * @param {boolean} editable - Whether the host can edit the settings.
+ * @param {function(object): void} onChange - Called with the updated scoring settings.
+ */
+function renderScoringSettings(container, scoring, editable, onChange) {
+    const ruleSetOptions = Object.fromEntries(Object.entries(SCORING_RULE_SETS).map(([key, ruleSet]) => [key, ruleSet.label]));
+    const ruleSetSelect = createSettingsSelect(ruleSetOptions, scoring.ruleSet, editable, ruleSet => {
+        const customWeights = ruleSet === 'CUSTOM' ? { ...getScoringWeights(scoring) } : null;
+        onChange({ ruleSet, customWeights });
+    });
+    container.appendChild(createSettingsField('Scoring', ruleSetSelect));
+
+    if (scoring.ruleSet !== 'CUSTOM') return;
+
+    const weights = getScoringWeights(scoring);
+    const weightsGrid = document.createElement('div');
+    weightsGrid.className = 'settings-weights-grid';
+
+    Object.keys(SCORING_WEIGHT_LABELS).forEach(stat => {
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.step = '0.01';
+        input.className = 'settings-number-input';
+        input.value = weights[stat];
+        input.disabled = !editable;
+        input.addEventListener('change', () => {
+            const value = parseFloat(input.value);
+            onChange({ ...scoring, customWeights: { ...weights, [stat]: Number.isFinite(value) ? value : 0 } });
+        });
+        weightsGrid.appendChild(createSettingsField(SCORING_WEIGHT_LABELS[stat], input));
+    });
+
+    container.appendChild(weightsGrid);
+}
+
+/**
+ * Renders the scoring week selectors: a season and a week, or the current week.
+ * The current week is only resolved when the draft starts, so the game keeps that week afterwards.
+ * @param {HTMLElement} container - The settings grid to render into.
+ * @param {{season: string, week: string}} scoringWeek - The current scoring week setting.
+ * @param {boolean} editable - Whether the host can edit the settings.
+ * @param {function(object): void} onChange - Called with the updated scoring week setting.
+ */
+function renderScoringWeekSettings(container, scoringWeek, editable, onChange) {
+    const current = getCurrentScoringWeek();
+    const isCurrentWeek = scoringWeek.week === CURRENT_WEEK;
+
+    const weekOptions = { [CURRENT_WEEK]: `Current week (Week ${current.week})` };
+    for (let week = 1; week <= REGULAR_SEASON_WEEKS; week++) {
+        weekOptions[week] = `Week ${week}`;
+    }
+    const weekSelect = createSettingsSelect(weekOptions, String(scoringWeek.week), editable, week => {
+        onChange(week === CURRENT_WEEK ? { ...DEFAULT_SCORING_WEEK } : { ...scoringWeek, week });
+    });
+    container.appendChild(createSettingsField('Scoring Week', weekSelect));
+
+    const seasonOptions = { [CURRENT_WEEK]: `Current season (${current.season})` };
+    for (let offset = 1; offset <= 2; offset++) {
+        const season = String(Number(current.season) - offset);
+        seasonOptions[season] = season;
+    }
+    const seasonSelect = createSettingsSelect(seasonOptions, String(scoringWeek.season), editable && !isCurrentWeek, season => {
+        onChange({ ...scoringWeek, season });
+    });
+    container.appendChild(createSettingsField('Season', seasonSelect));
+}
+
+/**
+ * Renders the player count selector.
+ * @param {HTMLElement} container - The settings grid to render into.
+ * @param {number} playerCount - The current number of players.
+ * @param {boolean} editable - Whether the host can edit the settings.
+ * @param {function(number): void} onChange - Called with the new player count.
+ */
+function renderPlayerCountSettings(container, playerCount, editable, onChange) {
+    const countOptions = {};
+    for (let count = MIN_PLAYERS; count <= MAX_PLAYERS; count++) {
+        countOptions[count] = `${count} players`;
+    }
+    const countSelect = createSettingsSelect(countOptions, String(playerCount), editable, count => onChange(Number(count)));
+    container.appendChild(createSettingsField('Players', countSelect));
+}
+
+/**
+ * Renders the draft order selector.
+ * @param {HTMLElement} container - The settings grid to render into.
+ * @param {string} draftOrder - The current draft order key.
+ * @param {boolean} editable - Whether the host can edit the settings.
+ * @param {function(string): void} onChange - Called with the new draft order key.
+ */
+function renderDraftOrderSettings(container, draftOrder, editable, onChange) {
+    const orderOptions = Object.fromEntries(Object.entries(DRAFT_ORDERS).map(([key, order]) => [key, order.label]));
+    const orderSelect = createSettingsSelect(orderOptions, draftOrder, editable, onChange);
+    container.appendChild(createSettingsField('Draft Order', orderSelect));
+}
+
+/**
+ * Renders the roll mode selector (what the slot reels land on).
+ * @param {HTMLElement} container - The settings grid to render into.
+ * @param {string} rollMode - The current roll mode key.
+ * @param {boolean} editable - Whether the host can edit the settings.
+ * @param {function(string): void} onChange - Called with the new roll mode key.
+ */
+function renderRollModeSettings(container, rollMode, editable, onChange) {
+    const modeOptions = Object.fromEntries(Object.entries(ROLL_MODES).map(([key, mode]) => [key, mode.label]));
+    const modeSelect = createSettingsSelect(modeOptions, rollMode, editable, onChange);
+    container.appendChild(createSettingsField('Roll Mode', modeSelect));
+}
+
+/**
+ * Renders the roll rules: how likely the team reel is to land on each kind of team, and how
+ * many spins back the recently rolled teams rule looks.
+ * @param {HTMLElement} container - The settings grid to render into.
+ * @param {object} rollRules - The current roll rules (from getRollRules).
+ * @param {boolean} editable - Whether the host can edit the settings.
+ * @param {function(object): void} onChange - Called with the updated roll rules.
+ */
+function renderRollRuleSettings(container, rollRules, editable, onChange) {
+    const strengthOptions = Object.fromEntries(Object.entries(ROLL_RULE_STRENGTHS).map(([key, strength]) => [key, strength.label]));
+
+    Object.entries(ROLL_RULES).forEach(([ruleKey, rule]) => {
+        const ruleSelect = createSettingsSelect(strengthOptions, rollRules[ruleKey], editable, strength => {
+            onChange({ ...rollRules, [ruleKey]: strength });
+        });
+        container.appendChild(createSettingsField(rule.label, ruleSelect));
+    });
+
+    // The look-back only matters while the recently rolled teams rule is on.
+    const windowSelect = createSettingsSelect(REPEAT_WINDOW_OPTIONS, String(rollRules.repeatWindow), editable && rollRules.recent !== 'OFF', repeatWindow => {
+        onChange({ ...rollRules, repeatWindow: Number(repeatWindow) });
+    });
+    container.appendChild(createSettingsField('Recent Means', windowSelect));
+}
+
+/**
+ * Renders the team re-rolls selector.
+ * @param {HTMLElement} container - The settings grid to render into.
+ * @param {number} rerollsPerGame - The current re-rolls per player.
+ * @param {boolean} editable - Whether the host can edit the settings.
+ * @param {function(number): void} onChange - Called with the new re-rolls per player.
+ */
+function renderRerollSettings(container, rerollsPerGame, editable, onChange) {
+    const rerollSelect = createSettingsSelect(REROLL_OPTIONS, String(rerollsPerGame), editable, rerolls => onChange(Number(rerolls)));
+    container.appendChild(createSettingsField('Re-rolls', rerollSelect));
+}
+
+/**
+ * Renders the tiebreaker selectors, applied in order when players finish level on points.
+ * Unused places hold 'NONE' rather than being dropped, so the list keeps its length in Firebase.
+ * @param {HTMLElement} container - The settings grid to render into.
+ * @param {Array<string>} tiebreakers - The current tiebreaker keys, one per place.
+ * @param {boolean} editable - Whether the host can edit the settings.
+ * @param {function(Array<string>): void} onChange - Called with the updated tiebreakers.
+ */
+function renderTiebreakerSettings(container, tiebreakers, editable, onChange) {
+    const tiebreakerOptions = { NONE: 'None', ...Object.fromEntries(Object.entries(TIEBREAKERS).map(([key, tiebreaker]) => [key, tiebreaker.label])) };
+
+    const places = DEFAULT_TIEBREAKERS.map((_, i) => (TIEBREAKERS[tiebreakers[i]] ? tiebreakers[i] : 'NONE'));
+
+    places.forEach((current, i) => {
+        const tiebreakerSelect = createSettingsSelect(tiebreakerOptions, current, editable, key => {
+            onChange(places.map((place, j) => (j === i ? key : place)));
+        });
+        container.appendChild(createSettingsField(`Tiebreaker ${i + 1}`, tiebreakerSelect));
+    });
+}
+
+/**
+ * Renders the pick clock selector.
+ * @param {HTMLElement} container - The settings grid to render into.
+ * @param {number} pickClockSeconds - The current seconds per pick (0 when off).
+ * @param {boolean} editable - Whether the host can edit the settings.
+ * @param {function(number): void} onChange - Called with the new seconds per pick.
+ */
+function renderPickClockSettings(container, pickClockSeconds, editable, onChange) {
+    const clockSelect = createSettingsSelect(PICK_CLOCK_OPTIONS, String(pickClockSeconds), editable, seconds => onChange(Number(seconds)));
+    container.appendChild(createSettingsField('Pick Clock', clockSelect));
+}
+
+/**
+ * Renders the roster template and bench selectors and a summary of the roster's slots.
+ * @param {HTMLElement} container - The settings grid to render into.
+ * @param {string} rosterTemplate - The current roster template key.
+ * @param {number} benchSlots - The current number of bench slots.
+ * @param {boolean} editable - Whether the host can edit the settings.
+ * @param {function(object): void} onChange - Called with the changed settings (`rosterTemplate` or `benchSlots`).
+ */
+function renderRosterTemplateSettings(container, rosterTemplate, benchSlots, editable, onChange) {
+    const templateOptions = Object.fromEntries(Object.entries(ROSTER_TEMPLATES).map(([key, template]) => [key, template.label]));
+    const templateSelect = createSettingsSelect(templateOptions, rosterTemplate, editable, template => onChange({ rosterTemplate: template }));
+    container.appendChild(createSettingsField('Roster', templateSelect));
+
+    const benchSelect = createSettingsSelect(BENCH_OPTIONS, String(benchSlots), editable, count => onChange({ benchSlots: Number(count) }));
+    container.appendChild(createSettingsField('Bench', benchSelect));
+
+    const summary = document.createElement('p');
+    summary.className = 'settings-roster-summary';
+    summary.textContent = getRosterSlots({ rosterTemplate, benchSlots }).map(slot => slot.label).join(' · ');
+    container.appendChild(summary);
+}
+
+/**
+ * Renders the game settings panel.
+ * @param {object} settings - The current game settings (`gameState.settings`).
+ * @param {boolean} editable - True for the host; other players see the settings read-only.
+ * @param {function(object): void} onSettingsChange - Called with a partial settings object to merge.
+ */
+export function renderGameSettingsPanel(settings, editable, onSettingsChange) {
+    const panel = document.getElementById('game-settings-panel');
+    const grid = document.getElementById('game-settings-grid');
+    const note = document.getElementById('game-settings-note');
+    if (!panel || !grid) return;
+
+    grid.innerHTML = '';
+    renderScoringSettings(grid, settings.scoring, editable, scoring => onSettingsChange({ scoring }));
+    // Games saved before the scoring week setting existed follow the current week.
+    renderScoringWeekSettings(grid, settings.scoringWeek || DEFAULT_SCORING_WEEK, editable, scoringWeek => onSettingsChange({ scoringWeek }));
+    renderPlayerCountSettings(grid, getPlayerCount(settings), editable, playerCount => onSettingsChange({ playerCount }));
+    renderDraftOrderSettings(grid, DRAFT_ORDERS[settings.draftOrder] ? settings.draftOrder : DEFAULT_DRAFT_ORDER, editable, draftOrder => onSettingsChange({ draftOrder }));
+    renderPickClockSettings(grid, settings.pickClockSeconds ?? DEFAULT_PICK_CLOCK_SECONDS, editable, pickClockSeconds => onSettingsChange({ pickClockSeconds }));
+    renderRollModeSettings(grid, settings.rollMode || DEFAULT_ROLL_MODE, editable, rollMode => onSettingsChange({ rollMode }));
+    renderRollRuleSettings(grid, getRollRules(settings), editable, rollRules => onSettingsChange({ rollRules }));
+    renderRerollSettings(grid, getRerollsPerGame(settings), editable, rerollsPerGame => onSettingsChange({ rerollsPerGame }));
+    renderRosterTemplateSettings(grid, ROSTER_TEMPLATES[settings.rosterTemplate] ? settings.rosterTemplate : DEFAULT_ROSTER_TEMPLATE, getBenchSlotCount(settings), editable, onSettingsChange);
+    // Games saved before the tiebreaker setting existed use the default tiebreakers.
+    renderTiebreakerSettings(grid, Object.values(settings.tiebreakers || DEFAULT_TIEBREAKERS), editable, tiebreakers => onSettingsChange({ tiebreakers }));
+
+    note.textContent = editable ? '' : 'The host is choosing the game settings.';
+    panel.style.display = 'block';
+}
+
+/**
+ * Hides the game settings panel once the draft has started.
+ */
+export function hideGameSettingsPanel() {
+    const panel = document.getElementById('game-settings-panel');
+    if (panel) {
+        panel.style.display = 'none';
+    }
+}
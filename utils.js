@@ -32,54 +32,6 @@ export function getRandomElement(array) {
  */
 export const delay = ms => new Promise(res => setTimeout(res, ms));
 
-const CACHE_PREFIX = 'fantasy-slots-cache-';
-
-/**
- * Retrieves data from sessionStorage if it exists and is not expired.
- * @param {string} key - The cache key.
- * @returns {any|null} The cached data or null if not found/expired.
- */
-export function getCachedData(key) {
-    try {
-        const itemStr = sessionStorage.getItem(CACHE_PREFIX + key);
-        if (!itemStr) {
-            return null;
-        }
-        const item = JSON.parse(itemStr);
-        const now = new Date().getTime();
-        // Check if the item has a TTL and if it's expired
-        if (item.ttl && now > item.timestamp + item.ttl) {
-            sessionStorage.removeItem(CACHE_PREFIX + key);
-            return null;
-        }
-        return item.data;
-    } catch (error) {
-        console.warn(`Could not retrieve cached data for key "${key}":`, error);
-        return null;
-    }
-}
-
-/**
- * Stores data in sessionStorage with an optional TTL.
- * @param {string} key - The cache key.
- * @param {any} data - The data to store.
- * @param {number} [ttl] - Time to live in milliseconds. If not provided, data persists for the session.
- */
-export function setCachedData(key, data, ttl) {
-    try {
-        const item = {
-            data: data,
-            timestamp: new Date().getTime(),
-        };
-        if (ttl) {
-            item.ttl = ttl;
-        }
-        sessionStorage.setItem(CACHE_PREFIX + key, JSON.stringify(item));
-    } catch (error) {
-        console.warn(`Could not set cached data for key "${key}":`, error);
-    }
-}
-
 // NEW: Helper: derive opponent (and home/away) from Tank01 gameID
 export function getOpponentAndVenue(stats, teamOverride = null) {
   const team = (teamOverride || stats.teamAbv || stats.team || "").toUpperCase();